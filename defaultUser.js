@@ -9,7 +9,7 @@ require("./require");
 const MongoClient = require("mongodb");
 const CONFIG = require("./config");
 const Database = require("./lib/orfeus-database");
-const { SHA256, randomId } = require("./lib/orfeus-crypto");
+const { hashPassword } = require("./lib/orfeus-crypto");
 
 // You can change these parameters
 const username = "Administrator";
@@ -21,26 +21,32 @@ Database.connect(function(error) {
     return console.log("Could not connect to database.");
   }
 
-  var salt = randomId(32);
-
-  Database.users().insertOne({
-    "username": username,
-    "password": SHA256(password + salt),
-    "salt": salt,
-    "network": {"code": "*", "start": new Date("1970-01-01T00:00:00")},
-    "role": 0,
-    "created": new Date(),
-    "version": CONFIG.__VERSION__,
-    "visited": null
-  }, function(error) {
+  hashPassword(password, function(error, passwordHash) {
 
     if(error) {
-      console.log("Error adding default user.");
-    } else {
-      console.log("Succesfully added default user.");
+      Database.close();
+      return console.log("Could not hash default user password.");
     }
 
-    Database.close();
+    Database.users().insertOne({
+      "username": username,
+      "password": passwordHash,
+      "network": {"code": "*", "start": new Date("1970-01-01T00:00:00")},
+      "role": 0,
+      "created": new Date(),
+      "version": CONFIG.__VERSION__,
+      "visited": null
+    }, function(error) {
+
+      if(error) {
+        console.log("Error adding default user.");
+      } else {
+        console.log("Succesfully added default user.");
+      }
+
+      Database.close();
+
+    });
 
   });
 
@@ -17,24 +17,34 @@ require("./require");
 
 // Native includes
 const fs = require("fs");
-const { createServer } = require("http");
+const { createServer, STATUS_CODES } = require("http");
+const os = require("os");
 const path = require("path");
 const querystring = require("querystring");
 const url = require("url");
 
 // ORFEUS libs
-const { SHA256 } = require("./lib/orfeus-crypto");
-const { sum, createDirectory } = require("./lib/orfeus-util");
-const { splitStationXML } = require("./lib/orfeus-metadata.js");
-const { Message } = require("./lib/orfeus-message");
+const { verifyPassword, verifyDummyPassword, compareToken, randomId } = require("./lib/orfeus-crypto");
+const { sum, createDirectory, removeDirectory, toCSV } = require("./lib/orfeus-util");
+const { splitStationXML, updateStationXML, validateMetadata, hasErrors, diffStationXML } = require("./lib/orfeus-metadata.js");
+const { Message, escapeHTML } = require("./lib/orfeus-message");
+const { getNetworkGrants, isSameNetwork } = require("./lib/orfeus-session");
+const { getRequiredPermission, isTokenPermission } = require("./lib/orfeus-permissions");
+const { getRegistry, getRuleSet, validateOverrides } = require("./lib/orfeus-rules");
+const authentication = require("./lib/orfeus-authentication");
+const totp = require("./lib/orfeus-totp");
 const database = require("./lib/orfeus-database");
 const logger = require("./lib/orfeus-logging");
 const ohttp = require("./lib/orfeus-http");
+const seisComP3 = require("./lib/orfeus-seiscomp");
 const template = require("./lib/orfeus-template");
 
 // Static information
 const CONFIG = require("./config");
 
+// Resource path of a single user identified by its MongoDB ObjectId
+const USER_RESOURCE_REGEX = new RegExp("^/api/users/[0-9a-f]{24}$");
+
 function __init__() {
 
   /*
@@ -69,6 +79,13 @@ var WebRequest = function(request, response) {
   this.response = response;
   this.session = null;
 
+  // Requests authenticated by an API token instead of a session cookie
+  this.bearer = false;
+
+  // Cached request bodies (may be read before dispatching)
+  this.body = null;
+  this.form = null;
+
   // Save the parsed url
   this.url = url.parse(request.url);
   this.query = querystring.parse(this.url.query);
@@ -82,17 +99,6 @@ WebRequest.prototype.logHTTPRequest = function() {
    * Writes HTTP summary to access log
    */
 
-  function getClientIP(request) {
-
-    /*
-     * Function WebRequest.logHTTPRequest::getClientIP
-     * Returns the client IP address
-     */
-
-    return request.headers["x-forwarded-for"] || request.connection.remoteAddress || null;
-
-  }
-
   function getUserAgent(request) {
 
     /*
@@ -105,7 +111,7 @@ WebRequest.prototype.logHTTPRequest = function() {
   }
 
   // Extract the clientIP and User Agent
-  var clientIP = getClientIP(this.request);
+  var clientIP = this.getClientIP();
   var userAgent = getUserAgent(this.request);
 
   // Mimic HTTPD access log 
@@ -120,6 +126,26 @@ WebRequest.prototype.logHTTPRequest = function() {
 
 }
 
+WebRequest.prototype.getClientIP = function() {
+
+  /*
+   * Function WebRequest.getClientIP
+   * Returns the client IP address
+   * The forwarded address is only used for connections from a trusted proxy
+   */
+
+  var remoteAddress = this.request.connection.remoteAddress || null;
+  var forwarded = this.request.headers["x-forwarded-for"];
+
+  if(!forwarded || !CONFIG.TRUSTED_PROXIES.includes(remoteAddress)) {
+    return remoteAddress;
+  }
+
+  // The trusted proxy appends the address of its client to the header
+  return forwarded.split(",").pop().trim();
+
+}
+
 WebRequest.prototype.patchResponse = function() {
 
   /*
@@ -231,6 +257,37 @@ WebRequest.prototype.pipe = function(resource) {
 
 }
 
+WebRequest.prototype.getCookie = function(name) {
+
+  /*
+   * Function WebRequest.getCookie
+   * Extracts a named cookie from the HTTP headers
+   */
+
+  // Cookie not set in HTTP request headers
+  if(this.request.headers.cookie === undefined) {
+    return null;
+  }
+
+  // Parse each cookie in the header field and attempt to get the named cookie
+  var cookies = this.request.headers.cookie.split(";");
+  var parsedQueryString;
+
+  for(var i = 0; i < cookies.length; i++) {
+
+    parsedQueryString = querystring.parse(cookies[i].trim());
+
+    // The key was found: return the value
+    if(Object.prototype.hasOwnProperty.call(parsedQueryString, name)) {
+      return parsedQueryString[name];
+    }
+
+  }
+
+  return null;
+
+}
+
 WebRequest.prototype.getSession = function(sessionHandler) {
 
   /*
@@ -238,42 +295,35 @@ WebRequest.prototype.getSession = function(sessionHandler) {
    * Attemps to get an existing session from the database
    */
 
-  function extractSessionCookie(headers) {
-  
+  function extractBearerToken(headers) {
+
     /*
-     * Function WebRequest.getSession::extractSessionCookie
-     * Extracts a session cookie from the HTTP headers
+     * Function WebRequest.getSession::extractBearerToken
+     * Extracts an API token from the HTTP Authorization header
      */
-  
-    // Cookie not set in HTTP request headers
-    if(headers.cookie === undefined) {
+
+    const BEARER_PREFIX = "Bearer ";
+
+    if(headers.authorization === undefined || !headers.authorization.startsWith(BEARER_PREFIX)) {
       return null;
     }
-  
-    // Parse each cookie in the header field and attempt to get a cookie
-    // named EIDA-MANAGER-ID
-    var cookies = headers.cookie.split(";");
-    var parsedQueryString;
-  
-    for(var i = 0; i < cookies.length; i++) {
-  
-      parsedQueryString = querystring.parse(cookies[i].trim());
-  
-      // The session key was found: return the value
-      if(Object.prototype.hasOwnProperty.call(parsedQueryString, "EIDA-MANAGER-ID")) {
-        return parsedQueryString["EIDA-MANAGER-ID"];
-      }
-  
-    }
-  
-    return null;
-  
+
+    return headers.authorization.slice(BEARER_PREFIX.length).trim();
+
   }
 
   sessionHandler = sessionHandler.bind(this);
 
+  // Scripted requests authenticate using an API token
+  var token = extractBearerToken(this.request.headers);
+
+  if(token !== null) {
+    this.bearer = true;
+    return database.getTokenUser(token, sessionHandler);
+  }
+
   // Get the session identifier from HTTP Headers (cookie)
-  var sessionIdentifier = extractSessionCookie(this.request.headers);
+  var sessionIdentifier = this.getCookie("EIDA-MANAGER-ID");
 
   // Get the session and pass 
   database.getSessionUser(sessionIdentifier, sessionHandler);
@@ -301,6 +351,14 @@ WebRequest.prototype.handleSession = function(error, session) {
       return this.removeSession(session);
     case "/authenticate":
       return this.launchAuthentication();
+    case "/login/oidc":
+      return this.launchProviderLogin();
+    case "/login/oidc/callback":
+      return this.handleProviderCallback();
+    case "/login/totp":
+      return this.launchTwoFactor();
+    case "/reset":
+      return this.launchReset();
   }
 
   // No running session means unauthorized
@@ -311,13 +369,161 @@ WebRequest.prototype.handleSession = function(error, session) {
   // Attach the session to the webrequest handler
   this.session = session;
 
+  // API tokens are not vulnerable to CSRF but only give access to the API and uploading
+  if(this.bearer) {
+    return this.dispatchBearer();
+  }
+
+  // Reissue the cookie to slide the client-side expiration with the session
+  this.setSessionCookie(this.session.sessionId, this.session.expiration);
+
+  // State-changing requests must carry a valid CSRF token
+  if(this.isStateChanging()) {
+    return this.verifyCSRFToken(this.dispatch);
+  }
+
+  this.dispatch();
+
+}
+
+WebRequest.prototype.dispatchBearer = function() {
+
+  /*
+   * Function WebRequest.dispatchBearer
+   * Forwards a request authenticated by an API token
+   * Tokens cannot be used to manage tokens
+   */
+
+  if(this.url.pathname.startsWith("/api/tokens")) {
+    return this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
+  }
+
+  // Tokens of administrators cannot be used to manage users or the node
+  if(!isTokenPermission(getRequiredPermission(this.request.method, this.url.pathname))) {
+    return this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
+  }
+
+  if(this.url.pathname.startsWith("/api") || this.url.pathname === "/upload") {
+    return this.dispatch();
+  }
+
+  this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
+
+}
+
+WebRequest.prototype.getActor = function(user) {
+
+  /*
+   * Function WebRequest.getActor
+   * Returns who makes the request for the audit log: the given user or the session user
+   */
+
+  user = user || this.session;
+
+  return {
+    "userId": user ? user._id : null,
+    "username": user ? user.username : null,
+    "ip": String(this.getClientIP())
+  }
+
+}
+
+WebRequest.prototype.isStateChanging = function() {
+
+  /*
+   * Function WebRequest.isStateChanging
+   * Returns true when the request may change the state of the application
+   */
+
+  return !["GET", "HEAD"].includes(this.request.method);
+
+}
+
+WebRequest.prototype.verifyCSRFToken = function(callback) {
+
+  /*
+   * Function WebRequest.verifyCSRFToken
+   * Compares the token submitted by the client to the token bound to the session
+   */
+
+  callback = callback.bind(this);
+
+  this.getCSRFToken(function(token) {
+
+    if(!compareToken(token, this.session.csrf)) {
+      logger.info("Invalid CSRF token for user " + this.session.username + " requesting " + this.url.pathname);
+      return this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
+    }
+
+    callback();
+
+  });
+
+}
+
+WebRequest.prototype.getCSRFToken = function(callback) {
+
+  /*
+   * Function WebRequest.getCSRFToken
+   * Extracts the CSRF token from the header or form body
+   * Tokens are never read from the URL where they would leak to logs and referrers
+   */
+
+  callback = callback.bind(this);
+
+  // Requests made by the client-side application
+  if(this.request.headers["x-csrf-token"]) {
+    return callback(this.request.headers["x-csrf-token"]);
+  }
+
+  // Forms: the parsed body is cached for the request handler
+  if(String(this.request.headers["content-type"]).startsWith("multipart/form-data")) {
+    return this.parseRequestForm(function(error, form) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      callback(form.properties.csrf);
+
+    });
+  }
+
+  if(this.request.method === "POST") {
+    return this.parseRequestBody("json", function(body) {
+      callback(body.csrf);
+    });
+  }
+
+  callback(null);
+
+}
+
+WebRequest.prototype.dispatch = function() {
+
+  /*
+   * Function WebRequest.dispatch
+   * Forwards an authenticated request to the API, RPCs or pages
+   */
+
+  // Administrators must enroll a second factor before doing anything else
+  if(this.session.isAdministrator() && !this.session.twoFactor && !this.isEnrollmentRequest()) {
+
+    if(this.url.pathname.startsWith("/api") || this.url.pathname.startsWith("/rpc")) {
+      return this.HTTPError(ohttp.E_HTTP_FORBIDDEN, new Error("Two-factor authentication is required for administrators"));
+    }
+
+    return this.redirect("/home/account?E_TOTP_REQUIRED");
+
+  }
+
   // Forward the request to the API
   if(this.url.pathname.startsWith("/api")) {
     return this.APIRequest();
   }
 
-  // Forward requests to RPCs (administrators only)
-  if(this.session.isAdministrator() && this.url.pathname.startsWith("/rpc")) {
+  // Forward requests to RPCs
+  if(this.url.pathname.startsWith("/rpc")) {
     return this.RPC();
   }
 
@@ -325,6 +531,36 @@ WebRequest.prototype.handleSession = function(error, session) {
 
 }
 
+WebRequest.prototype.isEnrollmentRequest = function() {
+
+  /*
+   * Function WebRequest.isEnrollmentRequest
+   * Returns true for the requests needed to enroll a second factor
+   */
+
+  return this.url.pathname === "/home/account" || this.url.pathname.startsWith("/api/totp");
+
+}
+
+WebRequest.prototype.isAuthorized = function() {
+
+  /*
+   * Function WebRequest.isAuthorized
+   * Returns true when the role of the user grants the permission required for the request
+   */
+
+  var permission = getRequiredPermission(this.request.method, this.url.pathname);
+
+  if(this.session.can(permission)) {
+    return true;
+  }
+
+  logger.info("User " + this.session.username + " is not granted permission " + permission + " for " + this.request.method + " " + this.url.pathname);
+
+  return false;
+
+}
+
 WebRequest.prototype.handleRouting = function() {
 
   /*
@@ -332,18 +568,17 @@ WebRequest.prototype.handleRouting = function() {
    * Chooses function handler for the requested path
    */
 
-  // Administrators
-  if(this.session.isAdministrator()) {
-    switch(this.url.pathname) {
-      case "/user":
-        return this.launchUser();
-      case "/home/admin":
-        return this.launchAdmin();
-    }
+  // Check the permission of the user for this page
+  if(!this.isAuthorized()) {
+    return this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
   }
 
   // Serve the different pages
   switch(this.url.pathname) {
+    case "/user":
+      return this.launchUser();
+    case "/home/admin":
+      return this.launchAdmin();
     case "/home":
       return this.launchHome();
     case "/send":
@@ -352,6 +587,10 @@ WebRequest.prototype.handleRouting = function() {
       return this.launchUpload();
     case "/seedlink":
       return this.launchSeedlink();
+    case "/password":
+      return this.launchPassword();
+    case "/home/account":
+      return this.HTTPResponse(ohttp.S_HTTP_OK, template.generateAccount(this.session));
     case "/home/messages":
       return this.HTTPResponse(ohttp.S_HTTP_OK, template.generateMessages(this.session));
     case "/home/messages/details":
@@ -373,10 +612,22 @@ WebRequest.prototype.RPC = function() {
    * Handler for remote procedure calls for service administrators
    */
 
+  // Check the permission of the user for remote procedure calls
+  if(!this.isAuthorized()) {
+    return this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
+  }
+
+  // The inventory is only read: other remote procedure calls have side effects and are submitted as forms
+  if(this.url.pathname === "/rpc/inventory") {
+    return this.request.method === "GET" ? this.RPCInventory() : this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+  }
+
+  if(this.request.method !== "POST") {
+    return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+  }
+
   // Delegate the RPC to the appropriate function
   switch(this.url.pathname) {
-    case "/rpc/inventory":
-      return this.RPCInventory();
     case "/rpc/prototypes":
       return this.RPCPrototypes();
     case "/rpc/database":
@@ -402,6 +653,8 @@ WebRequest.prototype.RPCDatabase = function() {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     }
 
+    database.audit(this.getActor(), "rpc.database", null, null, null);
+
     this.redirect("/home/admin?S_RESTART_FDSNWS");
 
   }.bind(this));
@@ -421,6 +674,8 @@ WebRequest.prototype.RPCFDSNWS = function() {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     }
 
+    database.audit(this.getActor(), "rpc.fdsnws", null, null, null);
+
     this.redirect("/home/admin?S_RESTART_FDSNWS");
 
   }.bind(this));
@@ -434,12 +689,14 @@ WebRequest.prototype.RPCPrototypes = function() {
    * Updates the network prototype definitions to the database
    */
 
-  database.updateAllPrototypes(this.session._id, function(error) {
+  database.updateAllPrototypes(this.getActor(), function(error) {
 
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     } 
 
+    database.audit(this.getActor(), "rpc.prototypes", null, null, null);
+
     this.redirect("/home/admin?S_UPDATE_PROTOTYPES");
 
   }.bind(this));
@@ -452,8 +709,16 @@ WebRequest.prototype.RPCInventory = function() {
    * Function RPCInventory
    * Call to merge the entire inventory based on the most recent
    * ACCEPTED or COMPLETED metadata from the database
+   * or to reconstruct the inventory that was published at a point in time
    */
 
+  if(this.query.at !== undefined) {
+    return this.RPCInventoryAt();
+  }
+
+  // The merged inventory is streamed and does not fire the callback
+  database.audit(this.getActor(), "rpc.inventory", null, null, null);
+
   database.streamAcceptedInventory(this.response, function(error) {
 
     if(error) {
@@ -467,6 +732,43 @@ WebRequest.prototype.RPCInventory = function() {
 
 }
 
+WebRequest.prototype.RPCInventoryAt = function() {
+
+  /*
+   * Function RPCInventoryAt
+   * Call to merge the inventory that was published at a point in time
+   * as StationXML or SC3ML (default) for data provenance
+   */
+
+  const FORMATS = ["sc3ml", "stationxml"];
+
+  var at = new Date(this.query.at);
+  var format = this.query.format || "sc3ml";
+
+  if(isNaN(at) || at > new Date()) {
+    return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Invalid point in time"));
+  }
+
+  if(!FORMATS.includes(format)) {
+    return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Invalid inventory format"));
+  }
+
+  // The merged inventory is streamed and does not fire the callback
+  database.audit(this.getActor(), "rpc.inventory", null, null, {"at": at, "format": format});
+
+  database.streamInventoryAt(at, format, this.response, function(error) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    // Nothing was published at this time
+    this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+  }.bind(this));
+
+}
+
 
 WebRequest.prototype.launchLogin = function(session) {
 
@@ -525,13 +827,8 @@ WebRequest.prototype.launchUpload = function() {
     return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
   }
 
-  // Block requests exceeding the configured limit (default 100MB)
-  if(Number(this.request.headers["content-length"]) > CONFIG.MAXIMUM_POST_BYTES) {
-    return this.HTTPError(ohttp.E_HTTP_PAYLOAD_TOO_LARGE);
-  }
-
   // Parse the request multiform
-  ohttp.handlePOSTForm(this.request, function(error, files) {
+  this.parseRequestForm(function(error, files) {
 
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
@@ -552,7 +849,7 @@ WebRequest.prototype.launchUpload = function() {
 
     }.bind(this));
 
-  }.bind(this));
+  });
 
 }
 
@@ -612,6 +909,8 @@ WebRequest.prototype.launchSeedlink = function() {
           return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
         }
 
+        database.audit(this.getActor(), "seedlink.submit", result.insertedId, null, {"host": json.host, "port": port});
+
         this.redirect("/home?S_SEEDLINK_SERVER_SUCCESS");
 
       }.bind(this));
@@ -649,12 +948,18 @@ WebRequest.prototype.launchUser = function() {
   this.parseRequestBody("json", function(postBody) {
 
     // Add the user to the database
-    database.addUser(postBody, function(error) { 
+    database.addUser(postBody, function(error, result) { 
 
       if(error) {
         return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
       }
 
+      database.audit(this.getActor(), "user.create", result.insertedId, null, {
+        "username": postBody.username,
+        "role": Number(postBody.role),
+        "prototype": postBody.prototype
+      });
+
       return this.redirect("/home/admin?S_ADD_USER");
 
     }.bind(this));
@@ -663,66 +968,295 @@ WebRequest.prototype.launchUser = function() {
 
 }
 
-WebRequest.prototype.launchSend = function() {
+WebRequest.prototype.validateNewPassword = function(postBody) {
 
   /*
-   * Function WebRequest.launchSend
-   * Launchs code to handle message submission
+   * Function WebRequest.validateNewPassword
+   * Returns an error code when a newly chosen password is not acceptable
    */
 
-  function getRecipientQuery(session, recipient) {
+  if(typeof postBody.password !== "string" || postBody.password.length < CONFIG.PASSWORD.MINIMUM_LENGTH) {
+    return "E_PASSWORD_LENGTH";
+  }
 
-    /* Function WebRequest.launchSend::getRecipientQuery
-     * Returns query to find the recipient
-     */
+  if(postBody.password !== postBody.repassword) {
+    return "E_PASSWORD_MISMATCH";
+  }
 
-    if(session.isAdministrator() && recipient === "broadcast") {
-      return {"username": {"$not": {"$eq": session.username}}}
-    }
+  return null;
 
-    if(recipient === "administrators") {
-      return {"role": database.ROLES.ADMINISTRATOR, "username": {"$not": {"$eq": session.username}}}
-    }
+}
 
-    return {"username": recipient}
+WebRequest.prototype.launchPassword = function() {
+
+  /*
+   * Function WebRequest.launchPassword
+   * Changes the password of the user after confirming the current password
+   */
 
+  // Only accept POST requests
+  if(this.request.method !== "POST") {
+    return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
   }
 
-  // Parse the POSTed request body as JSON
   this.parseRequestBody("json", function(postBody) {
 
-    // Disallow message to be sent to self
-    if(postBody.recipient === this.session.username) {
-      return this.redirect("/home/messages/new?self");
-    }
+    var invalid = this.validateNewPassword(postBody);
 
-    // Get the correct query depending on the recipient field
-    var userQuery = getRecipientQuery(this.session, postBody.recipient);
+    if(invalid !== null) {
+      return this.redirect("/home/account?" + invalid);
+    }
 
-    // Query the user database for the recipient name
-    database.users().find(userQuery).toArray(function(error, users) {
+    database.getUserById(this.session._id, function(error, user) {
 
       if(error) {
         return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
       }
 
-      // Unknown recipient
-      if(users.length === 0) {
-        return this.redirect("/home/messages/new?unknown");
+      if(user === null) {
+        return this.HTTPError(ohttp.E_HTTP_UNAUTHORIZED);
       }
 
-      // Create a new message for each user
-      const messageBody = users.map(function(user) {
-        return Message(
-          user._id,
-          this.session._id,
-          postBody.subject,
-          postBody.content
-        );
-      }.bind(this));
-
-      // Store all messages
-      database.messages().insertMany(messageBody, function(error, result) {
+      // The current password must be confirmed
+      verifyPassword(postBody.current, user, function(error, valid) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        if(!valid) {
+          return this.redirect("/home/account?E_PASSWORD_INVALID");
+        }
+
+        database.updatePassword(user._id, postBody.password, function(error) {
+
+          if(error) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+          }
+
+          logger.info("User " + user.username + " changed their password");
+
+          database.audit(this.getActor(), "user.password", user._id, null, null);
+
+          // Sessions on other devices may have been compromised
+          database.removeOtherSessions(user._id, this.session.sessionId, function(error) {
+
+            if(error) {
+              return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+            }
+
+            this.redirect("/home/account?S_PASSWORD_CHANGED");
+
+          }.bind(this));
+
+        }.bind(this));
+
+      }.bind(this));
+
+    }.bind(this));
+
+  });
+
+}
+
+WebRequest.prototype.launchReset = function() {
+
+  /*
+   * Function WebRequest.launchReset
+   * Lets a user choose a new password using a one-time reset token
+   * The token itself authenticates the user: no session is required
+   */
+
+  switch(this.request.method) {
+    case "GET":
+      return database.getUserByResetToken(this.query.token, function(error, user) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        if(user === null) {
+          return this.redirect("/login?E_RESET_INVALID");
+        }
+
+        this.HTTPResponse(ohttp.S_HTTP_OK, template.generateReset(this.request.url, this.query.token));
+
+      }.bind(this));
+    case "POST":
+      return this.parseRequestBody("json", this.handleResetPOST);
+    default:
+      return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+  }
+
+}
+
+WebRequest.prototype.handleResetPOST = function(postBody) {
+
+  /*
+   * Function WebRequest.handleResetPOST
+   * Sets the new password submitted with a password reset token
+   */
+
+  database.getUserByResetToken(postBody.token, function(error, user) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    if(user === null) {
+      return this.redirect("/login?E_RESET_INVALID");
+    }
+
+    var invalid = this.validateNewPassword(postBody);
+
+    if(invalid !== null) {
+      return this.redirect("/reset?" + querystring.stringify({"token": postBody.token}) + "&" + invalid);
+    }
+
+    // Updating the password also invalidates the reset token
+    database.updatePassword(user._id, postBody.password, function(error) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      logger.info("User " + user.username + " reset their password");
+
+      database.audit(this.getActor(user), "user.password", user._id, null, {"reset": true});
+
+      database.removeUserSessions(user._id, function(error) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        this.redirect("/login?S_PASSWORD_RESET");
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.resetUserPassword = function() {
+
+  /*
+   * Function WebRequest.resetUserPassword
+   * Creates a password reset link for a user (administrators only)
+   * The link is returned and optionally delivered to the user as a private message
+   */
+
+  const MESSAGE_SUBJECT = "Password Reset";
+
+  database.createPasswordReset(this.query.id, function(error, token, expiration) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    if(token === null) {
+      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+    }
+
+    logger.info("Administrator " + this.session.username + " created a password reset for user " + this.query.id);
+
+    database.audit(this.getActor(), "user.reset", this.query.id, null, {"expiration": expiration});
+
+    var link = "/reset?token=" + token;
+
+    var result = {
+      "url": link,
+      "expiration": expiration
+    }
+
+    // Only return the link to the administrator
+    if(this.query.deliver !== "message") {
+      return this.writeJSON(result);
+    }
+
+    var message = Message(
+      database.ObjectId(this.query.id),
+      database.ObjectId(this.session._id),
+      MESSAGE_SUBJECT,
+      "An administrator has reset your password. Visit " + link + " to choose a new password. This link can be used once and expires at " + expiration.toISOString() + "."
+    );
+
+    database.storeMessages([message], function(error) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      this.writeJSON(result);
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.launchSend = function() {
+
+  /*
+   * Function WebRequest.launchSend
+   * Launchs code to handle message submission
+   */
+
+  function getRecipientQuery(session, recipient) {
+
+    /* Function WebRequest.launchSend::getRecipientQuery
+     * Returns query to find the recipient
+     */
+
+    if(session.isAdministrator() && recipient === "broadcast") {
+      return {"username": {"$not": {"$eq": session.username}}}
+    }
+
+    if(recipient === "administrators") {
+      return {"role": database.ROLES.ADMINISTRATOR, "username": {"$not": {"$eq": session.username}}}
+    }
+
+    return {"username": recipient}
+
+  }
+
+  // Parse the POSTed request body as JSON
+  this.parseRequestBody("json", function(postBody) {
+
+    // Disallow message to be sent to self
+    if(postBody.recipient === this.session.username) {
+      return this.redirect("/home/messages/new?self");
+    }
+
+    // Get the correct query depending on the recipient field
+    var userQuery = getRecipientQuery(this.session, postBody.recipient);
+
+    // Query the user database for the recipient name
+    database.users().find(userQuery).toArray(function(error, users) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      // Unknown recipient
+      if(users.length === 0) {
+        return this.redirect("/home/messages/new?unknown");
+      }
+
+      // Create a new message for each user
+      const messageBody = users.map(function(user) {
+        return Message(
+          user._id,
+          this.session._id,
+          postBody.subject,
+          postBody.content
+        );
+      }.bind(this));
+
+      // Store all messages
+      database.messages().insertMany(messageBody, function(error, result) {
 
         // Error storing messages
         if(error) {
@@ -747,23 +1281,48 @@ WebRequest.prototype.removeSession = function(session) {
    */
 
   if(session === null) {
-    this.redirect("/login?S_LOGGED_OUT");
+    return this.redirect("/login?S_LOGGED_OUT");
   }
 
   logger.debug("Removing session for user " + session.username + " with session identifier " + session.sessionId);
 
-  database.sessions().deleteOne({"sessionId": session.sessionId}, function(error, result) {
+  database.removeSession(session.sessionId, function(error, result) {
   
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     }
 
+    database.audit(this.getActor(session), "logout", session._id, null, null);
+
+    this.clearSessionCookie();
     this.redirect("/login?S_LOGGED_OUT");
     
   }.bind(this)); 
 
 }
 
+WebRequest.prototype.removeAllSessions = function() {
+
+  /*
+   * Function WebRequest.removeAllSessions
+   * Removes all sessions of the user (e.g. when a cookie has been leaked)
+   */
+
+  logger.debug("Removing all sessions for user " + this.session.username);
+
+  database.removeUserSessions(this.session._id, function(error, result) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    this.clearSessionCookie();
+    this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+  }.bind(this));
+
+}
+
 WebRequest.prototype.handleAuthenticationPOST = function(credentials) {
 
   /*
@@ -771,8 +1330,72 @@ WebRequest.prototype.handleAuthenticationPOST = function(credentials) {
    * Code that handles when credentials were posted to the /authenticate endpoint
    */
 
-  // Check the user credentials
-  this.authenticate(credentials, this.handleAuthentication);
+  var attempts = this.getLoginAttempts(credentials.username);
+
+  database.getActiveLockouts(attempts, function(error, lockouts) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    // Do not even check the credentials while locked out
+    if(lockouts.length !== 0) {
+      return this.redirect("/login?E_AUTHENTICATION_LOCKED");
+    }
+
+    // Check the user credentials
+    this.authenticate(credentials, function(error, user) {
+
+      // Register the failure and possibly lock the client out
+      if(error !== null) {
+
+        database.audit(this.getActor({"_id": null, "username": String(credentials.username)}), "login.failed", String(credentials.username), null, {"reason": "credentials"});
+
+        return database.registerFailedAttempts(attempts, function(databaseError) {
+
+          if(databaseError) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, databaseError);
+          }
+
+          this.handleAuthentication(error, null);
+
+        }.bind(this));
+      }
+
+      // Failed attempts are forgotten only after the second factor was passed
+      if(user.totp && user.totp.enabled) {
+        return this.handleAuthentication(null, user);
+      }
+
+      // Forget failed attempts for the username after a succesful login
+      database.clearFailedAttempts(attempts[1], function(error) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        this.handleAuthentication(null, user);
+
+      }.bind(this));
+
+    });
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.getLoginAttempts = function(username) {
+
+  /*
+   * Function WebRequest.getLoginAttempts
+   * Returns the identifiers that failed login attempts are tracked by:
+   * the client IP address and the username
+   */
+
+  return [
+    {"type": "ip", "value": String(this.getClientIP())},
+    {"type": "username", "value": String(username)}
+  ];
 
 }
 
@@ -788,423 +1411,2134 @@ WebRequest.prototype.handleAuthentication = function(error, user) {
     return this.redirect("/login?" + error);
   }
 
-  // Add a session to the database
-  database.createSession(user, function(error, session) {
+  // The user must still pass the second factor
+  if(user.totp && user.totp.enabled) {
+    return this.launchTwoFactorChallenge(user);
+  }
+
+  this.createSession(user);
+
+}
+
+WebRequest.prototype.createSession = function(user) {
+
+  /*
+   * Function WebRequest.createSession
+   * Creates a session for a fully authenticated user
+   */
+
+  // Add a session to the database
+  database.createSession(user, function(error, session) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    database.audit(this.getActor(user), "login", user._id, null, null);
+
+    this.handleSessionCreation(session);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.launchTwoFactorChallenge = function(user) {
+
+  /*
+   * Function WebRequest.launchTwoFactorChallenge
+   * Creates a pending login and asks the user for the second factor
+   * The pending login is bound to the browser in a short-lived cookie
+   */
+
+  database.createChallenge(user, function(error, challengeId) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    var cookie = [
+      "EIDA-MANAGER-2FA=" + challengeId,
+      "Path=/login/totp",
+      "Max-Age=" + Math.floor(CONFIG.TOTP.CHALLENGE_TIMEOUT / 1000),
+      "HttpOnly",
+      "SameSite=Lax"
+    ];
+
+    if(CONFIG.SESSION.SECURE_COOKIE) {
+      cookie.push("Secure");
+    }
+
+    this.response.setHeader("Set-Cookie", cookie.join("; "));
+
+    this.redirect("/login/totp");
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.launchTwoFactor = function() {
+
+  /*
+   * Function WebRequest.launchTwoFactor
+   * Shows the second factor form or verifies a submitted code
+   */
+
+  switch(this.request.method) {
+    case "GET":
+      return this.HTTPResponse(ohttp.S_HTTP_OK, template.generateTwoFactor(this.request.url));
+    case "POST":
+      return this.parseRequestBody("json", this.handleTwoFactorPOST);
+    default:
+      return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+  }
+
+}
+
+WebRequest.prototype.handleTwoFactorPOST = function(postBody) {
+
+  /*
+   * Function WebRequest.handleTwoFactorPOST
+   * Verifies the TOTP or recovery code of a pending login
+   */
+
+  var challengeId = this.getCookie("EIDA-MANAGER-2FA");
+
+  database.getChallenge(challengeId, function(error, challenge) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    // The pending login expired or was removed after too many attempts
+    if(challenge === null) {
+      return this.redirect("/login?E_TOTP_EXPIRED");
+    }
+
+    database.getUserById(challenge.userId, function(error, user) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      if(user === null || user.disabled || !user.totp || !user.totp.enabled) {
+        return this.redirect("/login?E_TOTP_EXPIRED");
+      }
+
+      // Failed second factors count towards the lockout of the client and user
+      // because every correct password starts a new pending login
+      var attempts = this.getLoginAttempts(user.username);
+
+      database.getActiveLockouts(attempts, function(error, lockouts) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        if(lockouts.length !== 0) {
+          return this.redirect("/login?E_AUTHENTICATION_LOCKED");
+        }
+
+        this.verifySecondFactor(user, postBody.code, function(error, valid) {
+
+          if(error) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+          }
+
+          if(!valid) {
+
+            logger.info("Failed second factor attempt for user " + user.username + " from " + this.getClientIP());
+
+            database.audit(this.getActor(user), "login.failed", user._id, null, {"reason": "totp"});
+
+            return database.registerFailedAttempts(attempts, function(error) {
+
+              if(error) {
+                return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+              }
+
+              database.registerChallengeFailure(challengeId, function(error, removed) {
+
+                if(error) {
+                  return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+                }
+
+                this.redirect(removed ? "/login?E_TOTP_EXPIRED" : "/login/totp?E_TOTP_INVALID");
+
+              }.bind(this));
+
+            }.bind(this));
+
+          }
+
+          // Forget failed attempts for the username now the login is complete
+          database.clearFailedAttempts(attempts[1], function(error) {
+
+            if(error) {
+              return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+            }
+
+            // The pending login is complete
+            database.removeChallenge(challengeId, function(error) {
+
+              if(error) {
+                return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+              }
+
+              this.createSession(user);
+
+            }.bind(this));
+
+          }.bind(this));
+
+        }.bind(this));
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.verifySecondFactor = function(user, code, callback) {
+
+  /*
+   * Function WebRequest.verifySecondFactor
+   * Verifies a TOTP code or consumes a recovery code of a user
+   */
+
+  const TOTP_REGEX = /^[0-9]{6}$/;
+
+  callback = callback.bind(this);
+
+  if(typeof code !== "string" || code === "") {
+    return callback(null, false);
+  }
+
+  code = code.trim();
+
+  // Recovery codes are used when the authenticator is unavailable
+  if(!TOTP_REGEX.test(code)) {
+
+    return database.useRecoveryCode(user._id, totp.normalizeRecoveryCode(code), function(error, valid) {
+
+      if(valid) {
+        logger.info("User " + user.username + " used a recovery code");
+      }
+
+      callback(error, valid);
+
+    });
+
+  }
+
+  var step = totp.verifyCode(user.totp.secret, code, user.totp.lastStep);
+
+  if(step === null) {
+    return callback(null, false);
+  }
+
+  // Time steps are consumed atomically to prevent replay
+  database.useTOTPStep(user._id, step, callback);
+
+}
+
+WebRequest.prototype.handleSessionCreation = function(session) {
+
+  /* Function WebRequest.handleSessionCreation
+   * Callback that handles creation of a new session
+   */
+
+  // Redirect user to home page and set a cookie for this session
+  this.setSessionCookie(session.id, session.expiration);
+
+  this.response.writeHead(ohttp.S_HTTP_REDIRECT, {
+    "Location": "./home?welcome"
+  });
+ 
+  this.response.end();
+
+}
+
+WebRequest.prototype.setSessionCookie = function(sessionIdentifier, expiration) {
+
+  /*
+   * Function WebRequest.setSessionCookie
+   * Sets the session cookie on the response
+   */
+
+  var cookie = [
+    "EIDA-MANAGER-ID=" + sessionIdentifier,
+    "Path=/",
+    "Expires=" + expiration.toUTCString(),
+    "HttpOnly",
+    "SameSite=Lax"
+  ];
+
+  // Only send the cookie over HTTPS
+  if(CONFIG.SESSION.SECURE_COOKIE) {
+    cookie.push("Secure");
+  }
+
+  this.response.setHeader("Set-Cookie", cookie.join("; "));
+
+}
+
+WebRequest.prototype.clearSessionCookie = function() {
+
+  /*
+   * Function WebRequest.clearSessionCookie
+   * Instructs the client to remove the session cookie
+   */
+
+  this.setSessionCookie("", new Date(0));
+
+}
+
+
+WebRequest.prototype.authenticate = function(credentials, callback) {
+
+  /*
+   * WebRequest.authenticate
+   * Authenticates the user against the configured backends in order
+   * The first backend that accepts the credentials wins
+   */
+
+  callback = callback.bind(this);
+
+  var backends = authentication.getCredentialBackends();
+  var next;
+
+  function backendCallback(error, user) {
+
+    /*
+     * WebRequest.authenticate::backendCallback
+     * Tries the next backend when the credentials were rejected
+     */
+
+    if(error !== null) {
+      return next();
+    }
+
+    callback(null, user);
+
+  }
+
+  (next = function() {
+
+    // No backend accepted the credentials
+    if(!backends.length) {
+      return callback("E_AUTHENTICATION_FAILED", null);
+    }
+
+    switch(backends.shift()) {
+      case authentication.BACKEND_LOCAL:
+        return this.authenticateLocal(credentials, backendCallback);
+      case authentication.BACKEND_LDAP:
+        return this.authenticateLDAP(credentials, backendCallback);
+    }
+
+  }.bind(this))();
+
+}
+
+WebRequest.prototype.authenticateLDAP = function(credentials, callback) {
+
+  /*
+   * WebRequest.authenticateLDAP
+   * Authenticates the user against the LDAP server
+   */
+
+  authentication.authenticateLDAP(credentials, function(error, identity) {
+
+    // An unavailable LDAP server should not block the other backends
+    if(error) {
+      logger.error(error);
+      return callback("E_AUTHENTICATION_FAILED", null);
+    }
+
+    if(identity === null) {
+      logger.info("Failed LDAP login attempt for user " + credentials.username + " from " + this.getClientIP());
+      return callback("E_AUTHENTICATION_FAILED", null);
+    }
+
+    this.authenticateExternal(identity, callback);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.authenticateExternal = function(identity, callback) {
+
+  /*
+   * WebRequest.authenticateExternal
+   * Maps an identity asserted by an external provider to a local user
+   */
+
+  var grants = authentication.getGroupGrants(identity.groups);
+
+  database.getExternalUser(identity, grants, function(error, user) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    // The identity is not mapped to a local user
+    if(user === null) {
+      logger.info("No user for " + identity.provider + " identity " + identity.subject + " from " + this.getClientIP());
+      return callback("E_AUTHENTICATION_FAILED", null);
+    }
+
+    // Disabled accounts cannot log in
+    if(user.disabled) {
+      logger.info("Failed login attempt for disabled user " + user.username + " from " + this.getClientIP());
+      return callback("E_AUTHENTICATION_FAILED", null);
+    }
+
+    callback(null, user);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.launchProviderLogin = function() {
+
+  /*
+   * WebRequest.launchProviderLogin
+   * Redirects the user to the OpenID Connect provider
+   * The state is bound to the browser in a short-lived cookie
+   */
+
+  const BYTES_ENTROPY = 16;
+  const STATE_MAX_AGE_SECONDS = 600;
+
+  if(!CONFIG.AUTHENTICATION.BACKENDS.includes(authentication.BACKEND_OIDC)) {
+    return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+  }
+
+  var state = randomId(BYTES_ENTROPY);
+
+  var cookie = [
+    "EIDA-MANAGER-OIDC=" + state,
+    "Path=/login/oidc",
+    "Max-Age=" + STATE_MAX_AGE_SECONDS,
+    "HttpOnly",
+    "SameSite=Lax"
+  ];
+
+  if(CONFIG.SESSION.SECURE_COOKIE) {
+    cookie.push("Secure");
+  }
+
+  this.response.setHeader("Set-Cookie", cookie.join("; "));
+
+  this.redirect(authentication.getAuthorizationURL(state));
+
+}
+
+WebRequest.prototype.handleProviderCallback = function() {
+
+  /*
+   * WebRequest.handleProviderCallback
+   * Handles the user returning from the OpenID Connect provider with an authorization code
+   */
+
+  if(!CONFIG.AUTHENTICATION.BACKENDS.includes(authentication.BACKEND_OIDC)) {
+    return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+  }
+
+  // The provider refused or the state does not belong to this browser
+  if(this.query.error || !this.query.code || !compareToken(this.query.state, this.getCookie("EIDA-MANAGER-OIDC"))) {
+    logger.info("Rejected OpenID Connect callback from " + this.getClientIP());
+
+    database.audit(this.getActor({"_id": null, "username": null}), "login.failed", null, null, {"reason": "oidc"});
+    return this.redirect("/login?E_PROVIDER_FAILED");
+  }
+
+  authentication.exchangeAuthorizationCode(this.query.code, function(error, identity) {
+
+    if(error) {
+      logger.error(error);
+      return this.redirect("/login?E_PROVIDER_FAILED");
+    }
+
+    this.authenticateExternal(identity, function(error, user) {
+
+      if(error !== null) {
+        return this.redirect("/login?E_PROVIDER_FAILED");
+      }
+
+      this.handleAuthentication(null, user);
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.authenticateLocal = function(credentials, callback) {
+
+  /*
+   * WebRequest.authenticateLocal
+   * Authenticates the users against credentials in the database
+   */
+
+  callback = callback.bind(this);
+
+  function rejectCredentials() {
+
+    /*
+     * WebRequest.authenticateLocal::rejectCredentials
+     * Rejects the login after the time it takes to verify a password
+     * so that the response does not disclose whether the username exists
+     */
+
+    verifyDummyPassword(credentials.password, function() {
+      callback("E_AUTHENTICATION_FAILED", null);
+    });
+
+  }
+
+  database.getUserByName(credentials.username, function(error, result) {
+
+    // There was an error querying the database
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    // The username is invalid: do not disclose this to the client
+    if(result === null) {
+      logger.info("Failed login attempt for unknown user " + credentials.username + " from " + this.getClientIP());
+      return rejectCredentials();
+    }
+
+    // Disabled accounts cannot log in
+    if(result.disabled) {
+      logger.info("Failed login attempt for disabled user " + result.username + " from " + this.getClientIP());
+      return rejectCredentials();
+    }
+
+    verifyPassword(credentials.password, result, function(error, valid, rehash) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      // The password is invalid 
+      if(!valid) {
+        logger.info("Failed login attempt for user " + result.username + " from " + this.getClientIP());
+        return callback("E_AUTHENTICATION_FAILED", null);
+      }
+
+      // Upgrade legacy or outdated password hashes while the password is known
+      if(rehash) {
+        database.updatePassword(result._id, credentials.password, function(error) {
+          if(error) {
+            return logger.error(error);
+          }
+          logger.info("Upgraded password hash for user " + result.username);
+        });
+      }
+
+      // Credentials are valid
+      return callback(null, result);
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.parseRequestMultiform = function(parsedCallback) {
+
+  /*
+   * WebRequest.parseRequestMultiform
+   * Calls multiparty library to handle parsing of multipart data
+   */
+
+  const form = new multiparty.Form();
+
+  var files = new Array();
+
+  // Asynchronously parse all files
+  form.on("part", function(part) {
+
+    var chunks = new Array();
+
+    part.on("data", function(data) {
+      chunks.push(data);
+    });
+
+    // Files have a filename, and parameters do not
+    part.on("end", function() {
+      files.push({
+        "type": part.filename ? "file" : "parameter",
+        "name": part.name,
+        "data": Buffer.concat(chunks).toString()
+      });
+    });
+
+  }.bind(this));
+
+  // Parsing completed
+  form.on("close", function() {
+    parsedCallback(null, files);
+  }.bind(this));
+
+  // When an error occurs
+  form.on("error", function(error) {
+    parsedCallback(error);
+  });
+
+  // Attach
+  form.parse(this.request);
+
+}
+
+WebRequest.prototype.parseRequestBody = function(type, callback) {
+
+  /*
+   * Function WebRequest.parseRequestBody
+   * Parses a request body received from the client
+   * TODO let multiparty handle this
+   */
+
+  callback = callback.bind(this);
+
+  // The body was already read (e.g. for CSRF verification)
+  if(this.body !== null) {
+    return callback(this.body);
+  }
+
+  var chunks = new Array();
+
+  // Data received from client
+  this.request.on("data", function(chunk) {
+
+    chunks.push(chunk);
+
+    // Limit the maximum number of bytes that can be posted
+    if(sum(chunks) > CONFIG.MAXIMUM_POST_BYTES) {
+      return this.HTTPError(ohttp.E_HTTP_PAYLOAD_TOO_LARGE);
+    }
+
+  }.bind(this));
+
+  // Request has been ended by client
+  this.request.on("end", function() {
+
+    // The request was aborted by the server
+    if(this.response.finished) {
+      return;
+    }
+
+    // Support for different types of data
+    switch(type) {
+      case "json":
+        this.body = querystring.parse(Buffer.concat(chunks).toString());
+        return callback(this.body);
+      default:
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR);
+    }
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.parseRequestForm = function(callback) {
+
+  /*
+   * Function WebRequest.parseRequestForm
+   * Parses a multipart form received from the client
+   */
+
+  callback = callback.bind(this);
+
+  // The form was already read (e.g. for CSRF verification)
+  if(this.form !== null) {
+    return callback(null, this.form);
+  }
+
+  // Block requests exceeding the configured limit (default 100MB)
+  if(Number(this.request.headers["content-length"]) > CONFIG.MAXIMUM_POST_BYTES) {
+    return this.HTTPError(ohttp.E_HTTP_PAYLOAD_TOO_LARGE);
+  }
+
+  ohttp.handlePOSTForm(this.request, function(error, form) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    this.form = form;
+
+    callback(null, this.form);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.redirect = function(path) {
+
+  /*
+   * Function WebRequest.redirect
+   * Redirects the client to another page
+   */
+
+  // Scripted clients receive the status code of the redirect as JSON
+  if(this.bearer) {
+    return this.writeJSONStatus(path);
+  }
+
+  this.response.writeHead(ohttp.S_HTTP_REDIRECT, {"Location": path});
+  this.response.end();
+
+}
+
+WebRequest.prototype.writeJSONStatus = function(path) {
+
+  /*
+   * Function WebRequest.writeJSONStatus
+   * Writes the status flag of a redirect path (e.g. /home?S_METADATA_SUCCESS) as JSON
+   */
+
+  var status = url.parse(path).query;
+
+  // Error flags start with E_
+  if(status && status.startsWith("E_")) {
+    return this.writeJSON({"error": status}, ohttp.E_HTTP_BAD_REQUEST);
+  }
+
+  this.writeJSON({"status": status});
+
+}
+
+WebRequest.prototype.HTTPResponse = function(statusCode, HTML) {
+
+  /*
+   * Function WebRequest.HTTPResponse
+   * Returns an HTTP error to the client
+   */
+
+  // Handle 204
+  if(statusCode === ohttp.S_HTTP_NO_CONTENT) {
+    this.response.writeHead(statusCode);
+    this.response.end();
+    return;
+  }
+
+  // Write the HTML response
+  this.response.writeHead(statusCode, ohttp.MIME.HTML);
+  this.response.write(HTML);
+  this.response.end();
+
+}
+
+WebRequest.prototype.HTTPError = function(statusCode, error) {
+
+  /*
+   * Function WebRequest.HTTPError
+   * Returns an HTTP error to the client
+   */
+
+  // Write the error to the log file
+  if(error) {
+    logger.error(error);
+  }
+
+  // Scripted clients receive JSON errors
+  if(this.bearer) {
+    return this.writeJSON({"error": STATUS_CODES[statusCode], "message": error ? error.message : null}, statusCode);
+  }
+
+  // Delegate to the generic HTTPResponse function
+  this.HTTPResponse(statusCode, template.generateHTTPError(statusCode, error));
+
+}
+
+function getHost() {
+
+  return {
+   "host": process.env.SERVICE_HOST || CONFIG.HOST,
+   "port": process.env.SERVICE_PORT || CONFIG.PORT
+  }
+
+}
+
+var Webserver = function() {
+
+  /*
+   * Class Webserver
+   * Opens NodeJS webservice on given PORT and handles all incoming connections
+   */
+
+  // Create the HTTP server and listen to incoming requests
+  this.webserver = createServer(this.handleRequest);
+
+  const { host, port } = this.getHost();
+
+  // Listen to incoming connections
+  this.webserver.listen(port, host, function() {
+    logger.info("EIDA Manager webserver started at " + host + ":" + port);
+  });
+
+  // When the webserver is closed: shut down the database
+  this.webserver.on("close", function() {
+    database.close(function() {
+      process.exit(0);
+    });
+  });
+
+  // Graceful shutdown of server on interrupt
+  process.once("SIGINT", this.interrupt.bind(this));
+  process.once("SIGTERM", this.interrupt.bind(this));
+
+}
+
+Webserver.prototype.handleRequest = function(request, response) {
+
+  /*
+   * Function Webserver.handleRequest
+   * Handles any incoming HTTP requests to the webserver
+   */
+
+  new WebRequest(request, response).init();
+
+}
+
+Webserver.prototype.getHost = function() {
+
+  /*
+   * Function Webserver.getHost
+   * Returns host from environment variables (docker) or configuration
+   */
+
+  return {
+   "host": process.env.SERVICE_HOST || CONFIG.HOST || "127.0.0.1",
+   "port": process.env.SERVICE_PORT || CONFIG.PORT || 3000
+  }
+
+}
+
+Webserver.prototype.interrupt = function() {
+
+  /*
+   * Function Webserver.interrupt
+   * Signal handler for SIGINT and SIGTERM signals
+   */
+
+  logger.info("Interrupt signal received - initializing graceful shutdown of webserver and database connection.");
+
+  // Close the webserver
+  this.webserver.close()
+
+}
+
+WebRequest.prototype.getNetworkProperties = function(properties) {
+
+  /* Function WebRequest.getNetworkProperties
+   * Extracts properties passed through MultiParty form
+   */
+
+  var prototype = this.session.prototype;
+
+  var propertyObject = {
+    "restricted": properties.restricted !== undefined  && properties.restricted === "on",
+    "description": prototype.description,
+    "netRestricted": prototype.restricted,
+    "end": prototype.end,
+    "code": prototype.network.code,
+    "start": prototype.network.start
+  }
+
+  // Network prototype is restricted: must propogate to stations
+  if(propertyObject.netRestricted) {
+    propertyObject.restricted = true;
+  }
+
+  return propertyObject;
+
+}
+
+WebRequest.prototype.handleFileUpload = function(objects, callback) {
+
+  /*
+   * Function WebRequest.handleFileUpload
+   * Writes multiple (split) StationXML files to disk
+   * TODO
+   */
+
+  // Get properties from the network
+  var properties = this.getNetworkProperties(objects.properties);
+
+  // We split any submitted StationXML files to the station level
+  try {
+    var XMLDocuments = splitStationXML(objects.files, properties);
+  } catch(exception) {
+    return callback(exception);
+  }
+
+  // Assert that directories exist for the submitted files (synchronous)
+  XMLDocuments.forEach(x => createDirectory(x.metadata.filepath));
+
+  // Delegate writing of files: pass id to match user to file
+  database.writeSubmittedFiles(this.getActor(), XMLDocuments, callback);
+
+}
+
+WebRequest.prototype.validateFiles = function() {
+
+  /*
+   * Function WebRequest.validateFiles
+   * Dry run of the metadata pipeline on submitted StationXML that stores nothing
+   * Files are written to a temporary directory that is removed afterwards
+   * A trial SeisComP3 conversion and merge is made when the convert property is set
+   */
+
+  const E_PROTOTYPE_MISSING = "The network prototype definition is missing";
+
+  this.parseRequestForm(function(error, form) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    if(form.files.length === 0) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST);
+    }
+
+    var properties = this.getNetworkProperties(form.properties);
+    var convert = form.properties.convert === "on";
+
+    // Submissions that can not be split are not processed any further
+    try {
+      var XMLDocuments = splitStationXML(form.files, properties);
+    } catch(exception) {
+      return this.writeJSON({"valid": false, "error": exception.message, "stations": new Array()});
+    }
+
+    database.getNetworkRules(this.session.prototype.network, function(error, overrides) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      var ruleSet = getRuleSet(overrides);
+
+      fs.mkdtemp(path.join(os.tmpdir(), "eida-validate-"), function(error, directory) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        var stations = new Array();
+
+        var finish = function(error) {
+
+          /*
+           * Function WebRequest.validateFiles::finish
+           * Removes the temporary directory and writes the report of all stations
+           */
+
+          removeDirectory(directory);
+
+          if(error) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+          }
+
+          this.writeJSON({
+            "valid": stations.every(x => x.valid),
+            "error": null,
+            "stations": stations
+          });
+
+        }.bind(this);
+
+        var validateStation = function(XMLDocument, callback) {
+
+          /*
+           * Function WebRequest.validateFiles::validateStation
+           * Runs the validation, prototype comparison, conversion and merge of a single station
+           * Database and process failures are passed as errors: findings go in the report
+           */
+
+          var filepath = path.join(directory, XMLDocument.metadata.station);
+          var report = validateMetadata(XMLDocument.data, ruleSet);
+
+          var station = {
+            "id": XMLDocument.metadata.id,
+            "station": XMLDocument.metadata.station,
+            "sha256": XMLDocument.metadata.sha256,
+            "nChannels": XMLDocument.metadata.nChannels,
+            "valid": !hasErrors(report),
+            "report": report,
+            "prototype": null,
+            "conversion": null,
+            "merge": null
+          }
+
+          // The pipeline stops at the first stage that rejects the metadata
+          if(!station.valid) {
+            return callback(null, station);
+          }
+
+          database.comparePrototype(XMLDocument.data, function(error) {
+
+            if(error instanceof Error) {
+              return callback(error);
+            }
+
+            if(error) {
+              station.valid = false;
+              station.prototype = error;
+              return callback(null, station);
+            }
+
+            if(!convert) {
+              return callback(null, station);
+            }
+
+            fs.writeFile(filepath + ".stationXML", XMLDocument.data, function(error) {
+
+              if(error) {
+                return callback(error);
+              }
+
+              seisComP3.convertSC3ML(filepath + ".stationXML", filepath + ".sc3ml", function(error, stderr) {
+
+                if(error instanceof Error) {
+                  return callback(error);
+                }
+
+                station.conversion = {"error": error || null, "stderr": error || stderr};
+
+                if(error) {
+                  station.valid = false;
+                  return callback(null, station);
+                }
+
+                database.getActivePrototype(this.session.prototype.network, function(error, prototypes) {
+
+                  if(error) {
+                    return callback(error);
+                  }
+
+                  if(prototypes.length === 0) {
+                    station.valid = false;
+                    station.merge = {"error": E_PROTOTYPE_MISSING, "stderr": null};
+                    return callback(null, station);
+                  }
+
+                  var files = new Array(filepath + ".sc3ml", prototypes.pop().filepath + ".sc3ml");
+
+                  // Attempt to merge without output
+                  seisComP3.mergeSC3ML(files, null, function(error, stderr) {
+
+                    if(error instanceof Error) {
+                      return callback(error);
+                    }
+
+                    station.merge = {"error": error || null, "stderr": error || stderr};
+                    station.valid = !error;
+
+                    callback(null, station);
+
+                  });
+
+                });
+
+              }.bind(this));
+
+            }.bind(this));
+
+          }.bind(this));
+
+        }.bind(this);
+
+        // Stations are validated one by one to limit the number of SeisComP3 processes
+        (function next() {
+
+          if(stations.length === XMLDocuments.length) {
+            return finish(null);
+          }
+
+          validateStation(XMLDocuments[stations.length], function(error, station) {
+
+            if(error) {
+              return finish(error);
+            }
+
+            stations.push(station);
+
+            next();
+
+          });
+
+        })();
+
+      }.bind(this));
+
+    }.bind(this));
+
+  });
+
+}
+
+WebRequest.prototype.APIRequest = function() {
+
+  /*
+   * Fuction WebRequest.APIRequest
+   * All requests to the ORFEUS API go through here
+   */
+
+  // Only get the first query parameter (jQuery may add another one to prevent caching)
+  var search = this.url.search ? this.url.search.split("&").shift() : null;
+
+  // Check the permission of the user for this API
+  if(!this.isAuthorized()) {
+    return this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
+  }
+
+  // Requests to a single user resource /api/users/:id
+  if(USER_RESOURCE_REGEX.test(this.url.pathname)) {
+    switch(this.request.method) {
+      case "PATCH":
+        return this.updateUser(this.url.pathname.split("/").pop());
+      case "DELETE":
+        return this.deleteUser(this.url.pathname.split("/").pop());
+      default:
+        return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+    }
+  }
+
+  // Register new routes here
+  switch(this.url.pathname) {
+    case "/api/prototypes":
+      return this.getAllNetworkPrototypes();
+    case "/api/users":
+      return this.getUsers();
+    case "/api/users/reset":
+      switch(this.request.method) {
+        case "POST":
+          return this.resetUserPassword();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/audit":
+      return this.getAuditLog();
+    case "/api/rules":
+      switch(this.request.method) {
+        case "GET":
+          return this.getNetworkRules();
+        case "POST":
+          return this.setNetworkRules();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/review":
+      switch(this.request.method) {
+        case "POST":
+          return this.reviewFile();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/review/network":
+      switch(this.request.method) {
+        case "POST":
+          return this.setNetworkReview();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/failed":
+      switch(this.request.method) {
+        case "GET":
+          return this.getFailedFiles();
+        case "POST":
+          return this.requeueFile();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/lockouts":
+      switch(this.request.method) {
+        case "GET":
+          return this.getLockouts();
+        case "DELETE":
+          return this.removeLockout();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/prototype":
+      return this.getNetworkPrototype();
+    case "/api/totp":
+      switch(this.request.method) {
+        case "GET":
+          return this.getTwoFactor();
+        case "POST":
+          return this.enableTwoFactor();
+        case "DELETE":
+          return this.disableTwoFactor();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/totp/secret":
+      switch(this.request.method) {
+        case "POST":
+          return this.createTwoFactorSecret();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/totp/recovery":
+      switch(this.request.method) {
+        case "POST":
+          return this.regenerateRecoveryCodes();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/tokens":
+      switch(this.request.method) {
+        case "GET":
+          return this.getTokens();
+        case "POST":
+          return this.createToken();
+        case "DELETE":
+          return this.removeToken();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/network":
+      switch(this.request.method) {
+        case "POST":
+          return this.selectNetwork();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/seedlink":
+      return this.getSeedlinkServers();
+    case "/api/history":
+      return this.getMetadataHistory();
+    case "/api/history/diff":
+      return this.getMetadataDiff();
+    case "/api/history/rollback":
+      switch(this.request.method) {
+        case "POST":
+          return this.rollbackMetadata();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/latency":
+      return this.getStationLatencies();
+    case "/api/stations":
+      return this.getFDSNWSStations();
+    case "/api/staged":
+      return this.getStagedFiles();
+    case "/api/validate":
+      switch(this.request.method) {
+        case "POST":
+          return this.validateFiles();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/channels":
+      return this.getFDSNWSChannels();
+    case "/api/sessions":
+      switch(this.request.method) {
+        case "DELETE":
+          return this.removeAllSessions();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    case "/api/messages":
+      switch(this.request.method) {
+        case "GET":
+          switch(search) {
+            case "?new":
+              return this.getNewMessages();
+            default:
+              return this.getMessages();
+          }
+        case "DELETE":
+          switch(search) {
+            case "?deleteall":
+              return this.removeAllMessages();
+            case "?deletesent":
+              return this.removeAllMessagesSent();
+          }
+ 
+      }
+    case "/api/messages/details":
+      switch(this.request.method) {
+        case "GET":
+          return this.getSpecificMessage();
+        case "DELETE":
+          return this.removeSpecificMessage();
+        default:
+          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+      }
+    default:
+      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+  }
+
+}
+
+WebRequest.prototype.getAuditLog = function() {
+
+  /*
+   * Function WebRequest.getAuditLog
+   * Returns filtered audit log entries for the admin panel or as JSON/CSV export
+   */
+
+  const AUDIT_COLUMNS = ["created", "username", "ip", "action", "target", "before", "after"];
+  const DATE_REGEXP = new RegExp(/^\d{4}-\d{2}-\d{2}$/);
+  const DAY_MILLISECONDS = 86400000;
+
+  function parseDate(value) {
+
+    /*
+     * Function WebRequest.getAuditLog::parseDate
+     * Returns a date from a query parameter or null
+     */
+
+    var date = new Date(value);
+
+    return value && !isNaN(date) ? date : null;
+
+  }
+
+  function parseEndDate(value) {
+
+    /*
+     * Function WebRequest.getAuditLog::parseEndDate
+     * Returns the end of a time range from a query parameter or null
+     * A date without a time includes the entire day
+     */
+
+    var date = parseDate(value);
+
+    if(date !== null && DATE_REGEXP.test(value)) {
+      return new Date(date.getTime() + DAY_MILLISECONDS - 1);
+    }
+
+    return date;
+
+  }
+
+  // Repeated query parameters are parsed as arrays
+  if(["action", "username", "target"].some(x => this.query[x] !== undefined && typeof this.query[x] !== "string")) {
+    return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Audit log filters must be given once"));
+  }
+
+  var filter = {
+    "action": this.query.action || null,
+    "username": this.query.username || null,
+    "target": this.query.target || null,
+    "from": parseDate(this.query.from),
+    "to": parseEndDate(this.query.to),
+    "limit": Number(this.query.limit) || null
+  }
+
+  database.getAuditLog(filter, function(error, documents) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    var filename = "audit-" + new Date().toISOString().slice(0, 10);
+
+    // Exports are downloaded as they are stored
+    switch(this.query.format) {
+      case "csv":
+        this.response.writeHead(ohttp.S_HTTP_OK, Object.assign({"Content-Disposition": "attachment; filename=" + filename + ".csv"}, ohttp.MIME.CSV));
+        return this.response.end(toCSV(AUDIT_COLUMNS, documents));
+      case "json":
+        this.response.writeHead(ohttp.S_HTTP_OK, Object.assign({"Content-Disposition": "attachment; filename=" + filename + ".json"}, ohttp.MIME.JSON));
+        return this.response.end(JSON.stringify(documents));
+    }
+
+    if(documents.length === 0) {
+      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+    }
+
+    // Usernames of failed logins and changed values are user provided content
+    documents.forEach(function(document) {
+      document.username = document.username && escapeHTML(document.username);
+      document.target = document.target && escapeHTML(String(document.target));
+      document.before = document.before && escapeHTML(JSON.stringify(document.before));
+      document.after = document.after && escapeHTML(JSON.stringify(document.after));
+    });
+
+    this.writeJSON(documents);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.getLockouts = function() {
+
+  /*
+   * Function WebRequest.getLockouts
+   * Returns the tracked failed login attempts and lockouts
+   */
+
+  database.getAllLockouts(function(error, documents) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    if(documents.length === 0) {
+      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+    }
+
+    // Usernames of failed attempts are user provided content
+    documents.forEach(function(document) {
+      document.value = escapeHTML(document.value);
+    });
+
+    this.writeJSON(documents);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.getNetworkRules = function() {
+
+  /*
+   * Function WebRequest.getNetworkRules
+   * Returns the validation rules of this node and the overrides granted to a network
+   */
+
+  var network = {
+    "code": this.query.network,
+    "start": this.query.start ? new Date(this.query.start) : null
+  }
+
+  if(network.start !== null && isNaN(network.start)) {
+    return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Invalid network start date"));
+  }
+
+  database.getNetworkRules(network, function(error, overrides) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    database.requiresReview(network, function(error, review) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      this.writeJSON({
+        "rules": getRegistry(),
+        "overrides": overrides,
+        "review": review
+      });
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.setNetworkRules = function() {
+
+  /*
+   * Function WebRequest.setNetworkRules
+   * Replaces the validation rule overrides granted to a network
+   */
+
+  this.parseRequestBody("json", function(postBody) {
+
+    if(typeof postBody.network !== "string" || postBody.network === "") {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("A network is required"));
+    }
+
+    // The overrides are submitted as a JSON encoded field
+    try {
+      var rules = JSON.parse(postBody.rules);
+    } catch(exception) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, exception);
+    }
+
+    var invalid = validateOverrides(rules);
+
+    if(invalid !== null) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error(invalid));
+    }
+
+    var network = {
+      "code": postBody.network,
+      "start": postBody.start ? new Date(postBody.start) : null
+    }
+
+    if(network.start !== null && isNaN(network.start)) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Invalid network start date"));
+    }
+
+    database.setNetworkRules(network, rules, this.getActor(), function(error) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      logger.info("Administrator " + this.session.username + " changed the validation rules of network " + network.code);
+
+      this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+    }.bind(this));
+
+  });
+
+}
+
+WebRequest.prototype.setNetworkReview = function() {
+
+  /*
+   * Function WebRequest.setNetworkReview
+   * Enables or disables the manual review of metadata for a network
+   */
+
+  this.parseRequestBody("json", function(postBody) {
+
+    if(typeof postBody.network !== "string" || postBody.network === "") {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("A network is required"));
+    }
+
+    var network = {
+      "code": postBody.network,
+      "start": postBody.start ? new Date(postBody.start) : null
+    }
+
+    if(network.start !== null && isNaN(network.start)) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Invalid network start date"));
+    }
+
+    var review = postBody.review === "true";
+
+    database.setNetworkReview(network, review, this.getActor(), function(error) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      logger.info("Administrator " + this.session.username + " " + (review ? "enabled" : "disabled") + " the review of metadata for network " + network.code);
+
+      this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+    }.bind(this));
+
+  });
+
+}
+
+WebRequest.prototype.reviewFile = function() {
+
+  /*
+   * Function WebRequest.reviewFile
+   * Approves or rejects metadata that awaits review with a comment for the uploader
+   */
+
+  const MAXIMUM_COMMENT_LENGTH = 1E3;
+
+  this.parseRequestBody("json", function(postBody) {
+
+    var comment = typeof postBody.comment === "string" ? postBody.comment.trim() : "";
+
+    if(postBody.decision !== "approve" && postBody.decision !== "reject") {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("The decision must be approve or reject"));
+    }
+
+    // The uploader must be told why metadata is rejected
+    if(postBody.decision === "reject" && comment === "") {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("A comment is required to reject metadata"));
+    }
+
+    if(comment.length > MAXIMUM_COMMENT_LENGTH) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("The comment is too long"));
+    }
+
+    database.reviewFile(this.session, this.query.id, postBody.decision === "approve", comment || null, this.getActor(), function(error, document) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      if(document === null) {
+        return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+      }
+
+      logger.info("Reviewer " + this.session.username + " " + (postBody.decision === "approve" ? "approved" : "rejected") + " document " + document.network.code + "." + document.station);
+
+      this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+    }.bind(this));
+
+  });
+
+}
+
+WebRequest.prototype.getFailedFiles = function() {
+
+  /*
+   * Function WebRequest.getFailedFiles
+   * Returns the files that the metadaemon gave up on after repeated transient failures
+   */
+
+  database.getFailedFiles(function(error, documents) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    if(documents.length === 0) {
+      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+    }
+
+    this.writeJSON(documents);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.requeueFile = function() {
+
+  /*
+   * Function WebRequest.requeueFile
+   * Returns a failed file to the metadaemon pipeline
+   */
+
+  database.requeueFile(this.query.id, this.getActor(), function(error, document) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    if(document === null) {
+      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+    }
+
+    logger.info("Administrator " + this.session.username + " requeued failed document " + document.network.code + "." + document.station);
+
+    this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.removeLockout = function() {
+
+  /*
+   * Function WebRequest.removeLockout
+   * Clears the failed login attempts and lockout with a particular id
+   */
+
+  database.removeLockout(this.query.id, function(error) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    logger.info("Administrator " + this.session.username + " cleared lockout " + this.query.id);
+
+    database.audit(this.getActor(), "lockout.remove", this.query.id, null, null);
+
+    this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.updateUser = function(id) {
+
+  /*
+   * Function WebRequest.updateUser
+   * Changes the role, network grants or status of a user (administrators only)
+   */
+
+  function getUpdatedGrants(user, network, action) {
+
+    /*
+     * Function WebRequest.updateUser::getUpdatedGrants
+     * Returns the network grants of a user after granting, revoking or replacing a network
+     */
+
+    var grants = getNetworkGrants(user).filter(x => !isSameNetwork(x, network));
+
+    switch(action) {
+      case "grant":
+        return grants.concat([network]);
+      case "revoke":
+        return grants;
+      case "replace":
+      default:
+        return [network];
+    }
+
+  }
+
+  function getUpdate(user, postBody, callback) {
+
+    /*
+     * Function WebRequest.updateUser::getUpdate
+     * Validates the submitted changes and returns the update to apply
+     */
+
+    var update = new Object();
+
+    if(Object.prototype.hasOwnProperty.call(postBody, "role")) {
+      update.role = Number(postBody.role);
+      if(!Object.values(database.ROLES).includes(update.role)) {
+        return callback(new Error("An unknown role was requested that is not configured as available"));
+      }
+    }
+
+    if(Object.prototype.hasOwnProperty.call(postBody, "disabled")) {
+      if(!["true", "false"].includes(postBody.disabled)) {
+        return callback(new Error("The disabled field must be true or false"));
+      }
+      update.disabled = postBody.disabled === "true";
+    }
+
+    // Administrators cannot lock themselves out
+    if(id === this.session._id.toString() && (update.disabled || (update.role !== undefined && update.role !== database.ROLES.ADMINISTRATOR))) {
+      return callback(new Error("Administrators cannot disable or demote their own account"));
+    }
+
+    if(!postBody.prototype) {
+      return callback(null, update);
+    }
+
+    if(postBody.action && !["grant", "revoke", "replace"].includes(postBody.action)) {
+      return callback(new Error("Unknown network action: " + postBody.action));
+    }
+
+    var [code, start] = postBody.prototype.split(" ");
+
+    // Confirm the network prototype exists
+    database.getActivePrototype({"code": code, "start": new Date(start)}, function(error, documents) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      if(documents.length === 0) {
+        return callback(new Error("The requested prototype could not be found: " + postBody.prototype));
+      }
+
+      update.networks = getUpdatedGrants(user, documents.pop().network, postBody.action);
+
+      if(update.networks.length === 0) {
+        return callback(new Error("A user must be granted at least one network"));
+      }
+
+      // The first network is kept as the primary network of the user
+      update.network = update.networks[0];
+
+      callback(null, update);
+
+    });
+
+  }
+
+  database.getUserById(id, function(error, user) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    if(user === null) {
+      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+    }
+
+    this.parseRequestBody("json", function(postBody) {
+
+      getUpdate.call(this, user, postBody, function(error, update) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, error);
+        }
+
+        if(Object.keys(update).length === 0) {
+          return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("No changes were submitted"));
+        }
+
+        database.updateUser(id, update, function(error) {
+
+          if(error) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+          }
+
+          // Record the previous values of the changed fields
+          var before = new Object();
+
+          Object.keys(update).forEach(function(key) {
+            before[key] = user[key] === undefined ? null : user[key];
+          });
+
+          database.audit(this.getActor(), "user.update", user._id, before, update);
+
+          // Disabled users are logged out immediately
+          if(!update.disabled) {
+            return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+          }
+
+          database.removeUserSessions(user._id, function(error) {
+
+            if(error) {
+              return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+            }
+
+            this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+          }.bind(this));
+
+        }.bind(this));
+
+      }.bind(this));
+
+    });
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.deleteUser = function(id) {
+
+  /*
+   * Function WebRequest.deleteUser
+   * Deletes a user and its sessions (administrators only)
+   */
+
+  if(id === this.session._id.toString()) {
+    return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Administrators cannot delete their own account"));
+  }
+
+  database.getUserById(id, function(error, user) {
 
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     }
 
-    this.handleSessionCreation(session);
+    if(user === null) {
+      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+    }
+
+    database.deleteUser(id, function(error) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      database.audit(this.getActor(), "user.delete", user._id, {"username": user.username, "role": user.role, "networks": getNetworkGrants(user)}, null);
+
+      this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+    }.bind(this));
 
   }.bind(this));
 
 }
 
-WebRequest.prototype.handleSessionCreation = function(session) {
+WebRequest.prototype.getUsers = function() {
 
-  /* Function WebRequest.handleSessionCreation
-   * Callback that handles creation of a new session
+  /*
+   * Function WebRequest.getUsers
+   * Returns a list of the users in the application
    */
 
-  function cookie(session) {
+  database.getAllUsers(function(error, documents) {
 
-    /* Function WebRequest.handleSessionCreation::cookie
-     * Creates a new cookie string to send to client
-     */
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
 
-    return "EIDA-MANAGER-ID=" + session.id + "; Expires=" + session.expiration.toUTCString();
+    if(documents.length === 0) {
+      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+    }
 
-  }
+    this.writeJSON(documents);
 
-  // Redirect user to home page and set a cookie for this session
-  this.response.writeHead(ohttp.S_HTTP_REDIRECT, {
-    "Set-Cookie": cookie(session),
-    "Location": "./home?welcome"
-  });
- 
-  this.response.end();
+  }.bind(this));
 
 }
 
-
-WebRequest.prototype.authenticate = function(credentials, callback) {
+WebRequest.prototype.getAllNetworkPrototypes = function() {
 
   /*
-   * WebRequest.authenticate
-   * Authenticates the users against credentials in the database
+   * WebRequest.prototype.getAllNetworkPrototypes
+   * API that returns a list of the network prototypes defined in the database
    */
 
-  callback = callback.bind(this);
-
-  database.getUserByName(credentials.username, function(error, result) {
+  // Get all the prototypes from the database
+  database.getPrototypes(function(error, documents) {
 
-    // There was an error querying the database
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     }
 
-    // The username is invalid
-    if(result === null) {
-      return callback("E_USERNAME_INVALID", null);
-    }
-
-    // The password is invalid 
-    if(result.password !== SHA256(credentials.password + result.salt)) {
-      return callback("E_PASSWORD_INVALID", null);
+    if(documents.length === 0) {
+      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
     }
 
-    // Credentials are valid
-    return callback(null, result);
+    this.writeJSON(documents);
 
   }.bind(this));
 
 }
 
-WebRequest.prototype.parseRequestMultiform = function(parsedCallback) {
+WebRequest.prototype.getNetworkPrototype = function() {
 
   /*
-   * WebRequest.parseRequestMultiform
-   * Calls multiparty library to handle parsing of multipart data
+   * Function WebRequest.getNetworkPrototype
+   * Returns the active network prototype for this session
+   * TODO
    */
 
-  const form = new multiparty.Form();
-
-  var files = new Array();
+  function getPrototypeFile(document) {
 
-  // Asynchronously parse all files
-  form.on("part", function(part) {
+    /*
+     * Function WebRequest.getNetworkPrototype::getPrototypeFile
+     * Returns the file location on disk of the prototype
+     */
 
-    var chunks = new Array();
+    return path.join("metadata", "prototypes", document.sha256 + ".stationXML");
 
-    part.on("data", function(data) {
-      chunks.push(data);
-    });
+  }
 
-    // Files have a filename, and parameters do not
-    part.on("end", function() {
-      files.push({
-        "type": part.filename ? "file" : "parameter",
-        "name": part.name,
-        "data": Buffer.concat(chunks).toString()
-      });
-    });
+  // If admin & an id parameter was passed, make a different query
+  if(this.session.isAdministrator() && this.query.id) {
+    var findQuery = {"sha256": this.query.id}
+  } else {
+    var findQuery = {"network": this.session.prototype.network}
+  }
 
-  }.bind(this));
+  database.prototypes().find(findQuery).sort({"created": database.DESCENDING}).limit(1).toArray(function(error, documents) {
+    
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
 
-  // Parsing completed
-  form.on("close", function() {
-    parsedCallback(null, files);
-  }.bind(this));
+    if(documents.length === 0) {
+      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+    }
 
-  // When an error occurs
-  form.on("error", function(error) {
-    parsedCallback(error);
-  });
+    // Pipe the prototype file to the user
+    this.pipe(getPrototypeFile(documents.pop()));
 
-  // Attach
-  form.parse(this.request);
+  }.bind(this));
 
 }
 
-WebRequest.prototype.parseRequestBody = function(type, callback) {
+WebRequest.prototype.getTwoFactor = function() {
 
   /*
-   * Function WebRequest.parseRequestBody
-   * Parses a request body received from the client
-   * TODO let multiparty handle this
+   * Function WebRequest.getTwoFactor
+   * Returns the second factor status of the user
    */
 
-  callback = callback.bind(this);
-
-  var chunks = new Array();
-
-  // Data received from client
-  this.request.on("data", function(chunk) {
-
-    chunks.push(chunk);
+  database.getUserById(this.session._id, function(error, user) {
 
-    // Limit the maximum number of bytes that can be posted
-    if(sum(chunks) > CONFIG.MAXIMUM_POST_BYTES) {
-      return this.HTTPError(ohttp.E_HTTP_PAYLOAD_TOO_LARGE);
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     }
 
-  }.bind(this));
-
-  // Request has been ended by client
-  this.request.on("end", function() {
-
-    // The request was aborted by the server
-    if(this.response.finished) {
-      return;
-    }
+    var enabled = Boolean(user.totp && user.totp.enabled);
 
-    // Support for different types of data
-    switch(type) {
-      case "json":
-        return callback(querystring.parse(Buffer.concat(chunks).toString()));
-      default:
-        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR);
-    }
+    this.writeJSON({
+      "enabled": enabled,
+      "required": this.session.isAdministrator(),
+      "recoveryCodes": enabled ? user.totp.recovery.length : 0
+    });
 
   }.bind(this));
 
 }
 
-WebRequest.prototype.redirect = function(path) {
+WebRequest.prototype.createTwoFactorSecret = function() {
 
   /*
-   * Function WebRequest.redirect
-   * Redirects the client to another page
+   * Function WebRequest.createTwoFactorSecret
+   * Starts enrollment with a new secret that is shown as QR code
    */
 
-  this.response.writeHead(ohttp.S_HTTP_REDIRECT, {"Location": path});
-  this.response.end();
+  var secret = totp.generateSecret();
 
-}
+  database.setPendingTOTP(this.session._id, secret, function(error, result) {
 
-WebRequest.prototype.HTTPResponse = function(statusCode, HTML) {
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
 
-  /*
-   * Function WebRequest.HTTPResponse
-   * Returns an HTTP error to the client
-   */
+    // The second factor is already enabled
+    if(result.matchedCount === 0) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Two-factor authentication is already enabled"));
+    }
 
-  // Handle 204
-  if(statusCode === ohttp.S_HTTP_NO_CONTENT) {
-    this.response.writeHead(statusCode);
-    this.response.end();
-    return;
-  }
+    this.writeJSON({
+      "secret": secret,
+      "uri": totp.getProvisioningURI(secret, this.session.username)
+    });
 
-  // Write the HTML response
-  this.response.writeHead(statusCode, ohttp.MIME.HTML);
-  this.response.write(HTML);
-  this.response.end();
+  }.bind(this));
 
 }
 
-WebRequest.prototype.HTTPError = function(statusCode, error) {
+WebRequest.prototype.enableTwoFactor = function() {
 
   /*
-   * Function WebRequest.HTTPError
-   * Returns an HTTP error to the client
+   * Function WebRequest.enableTwoFactor
+   * Completes enrollment when the first code from the authenticator is valid
+   * The recovery codes are only returned once
    */
 
-  // Write the error to the log file
-  if(error) {
-    logger.error(error);
-  }
-
-  // Delegate to the generic HTTPResponse function
-  this.HTTPResponse(statusCode, template.generateHTTPError(statusCode, error));
-
-}
+  this.parseRequestBody("json", function(postBody) {
 
-function getHost() {
+    database.getUserById(this.session._id, function(error, user) {
 
-  return {
-   "host": process.env.SERVICE_HOST || CONFIG.HOST,
-   "port": process.env.SERVICE_PORT || CONFIG.PORT
-  }
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
 
-}
+      if(!user.totp || user.totp.enabled) {
+        return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("No pending two-factor enrollment"));
+      }
 
-var Webserver = function() {
+      var step = totp.verifyCode(user.totp.secret, String(postBody.code).trim(), null);
 
-  /*
-   * Class Webserver
-   * Opens NodeJS webservice on given PORT and handles all incoming connections
-   */
+      if(step === null) {
+        return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("The submitted code is invalid"));
+      }
 
-  // Create the HTTP server and listen to incoming requests
-  this.webserver = createServer(this.handleRequest);
+      var recoveryCodes = totp.generateRecoveryCodes();
 
-  const { host, port } = this.getHost();
+      database.enableTOTP(this.session._id, step, recoveryCodes, function(error) {
 
-  // Listen to incoming connections
-  this.webserver.listen(port, host, function() {
-    logger.info("EIDA Manager webserver started at " + host + ":" + port);
-  });
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
 
-  // When the webserver is closed: shut down the database
-  this.webserver.on("close", function() {
-    database.close(function() {
-      process.exit(0);
-    });
-  });
+        logger.info("User " + this.session.username + " enabled two-factor authentication");
 
-  // Graceful shutdown of server on interrupt
-  process.once("SIGINT", this.interrupt.bind(this));
-  process.once("SIGTERM", this.interrupt.bind(this));
+        database.audit(this.getActor(), "totp.enable", this.session._id, null, null);
 
-}
+        this.writeJSON({"recoveryCodes": recoveryCodes});
 
-Webserver.prototype.handleRequest = function(request, response) {
+      }.bind(this));
 
-  /*
-   * Function Webserver.handleRequest
-   * Handles any incoming HTTP requests to the webserver
-   */
+    }.bind(this));
 
-  new WebRequest(request, response).init();
+  });
 
 }
 
-Webserver.prototype.getHost = function() {
+WebRequest.prototype.disableTwoFactor = function() {
 
   /*
-   * Function Webserver.getHost
-   * Returns host from environment variables (docker) or configuration
+   * Function WebRequest.disableTwoFactor
+   * Removes the second factor after confirming a valid code
+   * Administrators are required to keep it
    */
 
-  return {
-   "host": process.env.SERVICE_HOST || CONFIG.HOST || "127.0.0.1",
-   "port": process.env.SERVICE_PORT || CONFIG.PORT || 3000
+  if(this.session.isAdministrator()) {
+    return this.HTTPError(ohttp.E_HTTP_FORBIDDEN, new Error("Administrators cannot disable two-factor authentication"));
   }
 
-}
+  this.requireSecondFactor(function() {
 
-Webserver.prototype.interrupt = function() {
+    database.disableTOTP(this.session._id, function(error) {
 
-  /*
-   * Function Webserver.interrupt
-   * Signal handler for SIGINT and SIGTERM signals
-   */
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
 
-  logger.info("Interrupt signal received - initializing graceful shutdown of webserver and database connection.");
+      logger.info("User " + this.session.username + " disabled two-factor authentication");
 
-  // Close the webserver
-  this.webserver.close()
+      database.audit(this.getActor(), "totp.disable", this.session._id, null, null);
+
+      this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+    }.bind(this));
+
+  });
 
 }
 
-WebRequest.prototype.handleFileUpload = function(objects, callback) {
+WebRequest.prototype.regenerateRecoveryCodes = function() {
 
   /*
-   * Function WebRequest.handleFileUpload
-   * Writes multiple (split) StationXML files to disk
-   * TODO
+   * Function WebRequest.regenerateRecoveryCodes
+   * Replaces all recovery codes after confirming a valid code
    */
 
-  function getNetworkProperties(properties, prototype) {
-
-    /* Function WebRequest.handleFileUpload::getNetworkProperties
-     * Extracts properties passed through MultiParty form
-     */
-
-    var propertyObject = {
-      "restricted": properties.restricted !== undefined  && properties.restricted === "on",
-      "description": prototype.description,
-      "netRestricted": prototype.restricted,
-      "end": prototype.end,
-      "code": prototype.network.code,
-      "start": prototype.network.start
-    }
+  this.requireSecondFactor(function() {
 
-    // Network prototype is restricted: must propogate to stations
-    if(propertyObject.netRestricted) {
-      propertyObject.restricted = true;
-    }
+    var recoveryCodes = totp.generateRecoveryCodes();
 
-    return propertyObject;
+    database.setRecoveryCodes(this.session._id, recoveryCodes, function(error) {
 
-  }
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
 
-  // Get properties from the network
-  var properties = getNetworkProperties(objects.properties, this.session.prototype);
+      database.audit(this.getActor(), "totp.recovery", this.session._id, null, null);
 
-  // We split any submitted StationXML files to the station level
-  try {
-    var XMLDocuments = splitStationXML(objects.files, properties);
-  } catch(exception) {
-    return callback(exception);
-  }
+      this.writeJSON({"recoveryCodes": recoveryCodes});
 
-  // Assert that directories exist for the submitted files (synchronous)
-  XMLDocuments.forEach(x => createDirectory(x.metadata.filepath));
+    }.bind(this));
 
-  // Delegate writing of files: pass id to match user to file
-  database.writeSubmittedFiles(this.session._id, XMLDocuments, callback);
+  });
 
 }
 
-WebRequest.prototype.APIRequest = function() {
+WebRequest.prototype.requireSecondFactor = function(callback) {
 
   /*
-   * Fuction WebRequest.APIRequest
-   * All requests to the ORFEUS API go through here
+   * Function WebRequest.requireSecondFactor
+   * Confirms a code from the request body before changing the second factor
    */
 
-  // Only get the first query parameter (jQuery may add another one to prevent caching)
-  var search = this.url.search ? this.url.search.split("&").shift() : null;
+  callback = callback.bind(this);
 
-  if(this.session.isAdministrator()) {
-    switch(this.url.pathname) {
-      case "/api/prototypes":
-        return this.getAllNetworkPrototypes();
-      case "/api/users":
-        return this.getUsers();
-    }
-  }
+  this.parseRequestBody("json", function(postBody) {
 
-  // Register new routes here
-  switch(this.url.pathname) {
-    case "/api/prototype":
-      return this.getNetworkPrototype();
-    case "/api/seedlink":
-      return this.getSeedlinkServers();
-    case "/api/history":
-      return this.getMetadataHistory();
-    case "/api/latency":
-      return this.getStationLatencies();
-    case "/api/stations":
-      return this.getFDSNWSStations();
-    case "/api/staged":
-      return this.getStagedFiles();
-    case "/api/channels":
-      return this.getFDSNWSChannels();
-    case "/api/messages":
-      switch(this.request.method) {
-        case "GET":
-          switch(search) {
-            case "?new":
-              return this.getNewMessages();
-            default:
-              return this.getMessages();
-          }
-        case "DELETE":
-          switch(search) {
-            case "?deleteall":
-              return this.removeAllMessages();
-            case "?deletesent":
-              return this.removeAllMessagesSent();
-          }
- 
+    database.getUserById(this.session._id, function(error, user) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
       }
-    case "/api/messages/details":
-      switch(this.request.method) {
-        case "GET":
-          return this.getSpecificMessage();
-        case "DELETE":
-          return this.removeSpecificMessage();
-        default:
-          return this.HTTPError(ohttp.E_HTTP_NOT_IMPLEMENTED);
+
+      if(!user.totp || !user.totp.enabled) {
+        return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("Two-factor authentication is not enabled"));
       }
-    default:
-      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
-  }
+
+      this.verifySecondFactor(user, postBody.code, function(error, valid) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        if(!valid) {
+          return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("The submitted code is invalid"));
+        }
+
+        callback();
+
+      });
+
+    }.bind(this));
+
+  });
 
 }
 
-WebRequest.prototype.getUsers = function() {
+WebRequest.prototype.getTokens = function() {
 
   /*
-   * Function WebRequest.getUsers
-   * Returns a list of the users in the application
+   * Function WebRequest.getTokens
+   * Returns the API tokens of the user
    */
 
-  database.getAllUsers(function(error, documents) {
+  database.getTokens(this.session._id, function(error, documents) {
 
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
@@ -1214,76 +3548,107 @@ WebRequest.prototype.getUsers = function() {
       return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
     }
 
+    documents.forEach(function(document) {
+      document.name = escapeHTML(document.name);
+    });
+
     this.writeJSON(documents);
 
   }.bind(this));
 
 }
 
-WebRequest.prototype.getAllNetworkPrototypes = function() {
+WebRequest.prototype.createToken = function() {
 
   /*
-   * WebRequest.prototype.getAllNetworkPrototypes
-   * API that returns a list of the network prototypes defined in the database
+   * Function WebRequest.createToken
+   * Creates a new API token for the network selected in this session
+   * The token is only returned once
    */
 
-  // Get all the prototypes from the database
-  database.getPrototypes(function(error, documents) {
+  const MAXIMUM_NAME_LENGTH = 64;
+
+  this.parseRequestBody("json", function(postBody) {
+
+    if(typeof postBody.name !== "string" || postBody.name === "" || postBody.name.length > MAXIMUM_NAME_LENGTH) {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("A token name of at most " + MAXIMUM_NAME_LENGTH + " characters is required"));
+    }
+
+    database.createToken(this.session, postBody.name, function(error, token, document) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      logger.info("User " + this.session.username + " created API token " + document.prefix);
+
+      database.audit(this.getActor(), "token.create", document._id, null, {"name": document.name, "prefix": document.prefix});
+
+      this.writeJSON({"token": token, "prefix": document.prefix, "network": document.network});
+
+    }.bind(this));
+
+  });
+
+}
+
+WebRequest.prototype.removeToken = function() {
+
+  /*
+   * Function WebRequest.removeToken
+   * Revokes an API token of the user
+   */
+
+  database.removeToken(this.session._id, this.query.id, function(error, result) {
 
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
     }
 
-    if(documents.length === 0) {
-      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+    if(result.deletedCount === 0) {
+      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
     }
 
-    this.writeJSON(documents);
+    database.audit(this.getActor(), "token.revoke", this.query.id, null, null);
+
+    this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
 
   }.bind(this));
 
 }
 
-WebRequest.prototype.getNetworkPrototype = function() {
+WebRequest.prototype.selectNetwork = function() {
 
   /*
-   * Function WebRequest.getNetworkPrototype
-   * Returns the active network prototype for this session
-   * TODO
+   * Function WebRequest.selectNetwork
+   * Switches the network managed in this session to another granted network
    */
 
-  function getPrototypeFile(document) {
+  this.parseRequestBody("json", function(postBody) {
 
-    /*
-     * Function WebRequest.getNetworkPrototype::getPrototypeFile
-     * Returns the file location on disk of the prototype
-     */
+    if(typeof postBody.network !== "string") {
+      return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST);
+    }
 
-    return path.join("metadata", "prototypes", document.sha256 + ".stationXML");
+    var [code, start] = postBody.network.split(" ");
+    var network = this.session.networks.find(x => isSameNetwork(x, {"code": code, "start": start}));
 
-  }
+    // Only networks granted to the user can be selected
+    if(network === undefined) {
+      return this.HTTPError(ohttp.E_HTTP_FORBIDDEN);
+    }
 
-  // If admin & an id parameter was passed, make a different query
-  if(this.session.isAdministrator() && this.query.id) {
-    var findQuery = {"sha256": this.query.id}
-  } else {
-    var findQuery = {"network": this.session.prototype.network}
-  }
+    database.selectSessionNetwork(this.session.sessionId, network, function(error) {
 
-  database.prototypes().find(findQuery).sort({"created": database.DESCENDING}).limit(1).toArray(function(error, documents) {
-    
-    if(error) {
-      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
-    }
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
 
-    if(documents.length === 0) {
-      return this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
-    }
+      this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
 
-    // Pipe the prototype file to the user
-    this.pipe(getPrototypeFile(documents.pop()));
+    }.bind(this));
 
-  }.bind(this));
+  });
 
 }
 
@@ -1295,7 +3660,7 @@ WebRequest.prototype.removeMetadata = function(id) {
    */
 
   // Pass the identifier and network
-  database.supersedeFileByHash(this.session, id, function(error) {
+  database.supersedeFileByHash(this.session, id, this.getActor(), function(error) {
 
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
@@ -1316,7 +3681,7 @@ WebRequest.prototype.pipeMetadata = function(id) {
    */
 
   // Find a document that matches the identifier
-  database.getFileByHash(id, function(error, result) {
+  database.getFileByHash(this.session, id, function(error, result) {
 
     if(error) {
       return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
@@ -1381,6 +3746,137 @@ WebRequest.prototype.getMetadataHistory = function() {
 
 }
 
+WebRequest.prototype.getMetadataDiff = function() {
+
+  /*
+   * Function WebRequest.getMetadataDiff
+   * Returns the differences between two revisions of the metadata of a station
+   */
+
+  if(!this.query.from || !this.query.to) {
+    return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST);
+  }
+
+  database.getFileByHash(this.session, this.query.from, function(error, from) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    database.getFileByHash(this.session, this.query.to, function(error, to) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      if(from === null || to === null) {
+        return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+      }
+
+      // Only revisions of the same station can be compared
+      if(from.network.code !== to.network.code || from.station !== to.station) {
+        return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST);
+      }
+
+      fs.readFile(from.filepath + ".stationXML", "utf8", function(error, fromXMLString) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        fs.readFile(to.filepath + ".stationXML", "utf8", function(error, toXMLString) {
+
+          if(error) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+          }
+
+          try {
+            var diff = diffStationXML(fromXMLString, toXMLString);
+          } catch(exception) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, exception);
+          }
+
+          this.writeJSON(Object.assign({"from": from.sha256, "to": to.sha256}, diff));
+
+        }.bind(this));
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+WebRequest.prototype.rollbackMetadata = function() {
+
+  /*
+   * Function WebRequest.rollbackMetadata
+   * Restores a superseded revision of a station as a new revision
+   * The new revision references the restored file and re-enters the processing pipeline
+   */
+
+  database.getFileByHash(this.session, this.query.id, function(error, file) {
+
+    if(error) {
+      return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+    }
+
+    // Only superseded revisions were published and are guaranteed to be kept on disk
+    if(file === null || file.status !== database.METADATA_STATUS_SUPERSEDED) {
+      return this.HTTPError(ohttp.E_HTTP_FILE_NOT_FOUND);
+    }
+
+    // Administrators may restore revisions of any network: use the prototype of the restored file
+    database.getActivePrototype(file.network, function(error, prototypes) {
+
+      if(error) {
+        return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+      }
+
+      if(prototypes.length === 0) {
+        return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, new Error("The network prototype of the restored revision could not be found"));
+      }
+
+      fs.readFile(file.filepath + ".stationXML", "utf8", function(error, XMLString) {
+
+        if(error) {
+          return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+        }
+
+        // The revision is split again to match the current network prototype
+        // The restricted status of the station is kept from the restored file
+        try {
+          var XMLDocuments = updateStationXML(prototypes.pop(), new Array(XMLString));
+        } catch(exception) {
+          return this.HTTPError(ohttp.E_HTTP_BAD_REQUEST, exception);
+        }
+
+        XMLDocuments.forEach(function(XMLDocument) {
+          XMLDocument.metadata.rollback = file.sha256;
+          createDirectory(XMLDocument.metadata.filepath);
+        });
+
+        database.writeSubmittedFiles(this.getActor(), XMLDocuments, function(error) {
+
+          if(error) {
+            return this.HTTPError(ohttp.E_HTTP_INTERNAL_SERVER_ERROR, error);
+          }
+
+          logger.info("User " + this.session.username + " restored revision " + file.sha256 + " of station " + file.network.code + "." + file.station);
+
+          this.HTTPResponse(ohttp.S_HTTP_NO_CONTENT);
+
+        }.bind(this));
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
 WebRequest.prototype.getSeedlinkServers = function() {
 
   /*
@@ -1656,11 +4152,11 @@ WebRequest.prototype.getStationLatencies = function() {
 
 }
 
-WebRequest.prototype.writeJSON = function(json) {
+WebRequest.prototype.writeJSON = function(json, statusCode) {
 
   /*
    * Function WebRequest.writeJSON
-   * Writes JSON to client
+   * Writes JSON to client (200 OK unless another status code is given)
    */
 
   // Send 204 NO CONTENT 
@@ -1673,7 +4169,7 @@ WebRequest.prototype.writeJSON = function(json) {
   }
 
   // This is bound to the response
-  this.response.writeHead(ohttp.S_HTTP_OK, {"Content-Type": "application/json"});
+  this.response.writeHead(statusCode || ohttp.S_HTTP_OK, {"Content-Type": "application/json"});
   this.response.write(JSON.stringify(json));
   this.response.end();
 
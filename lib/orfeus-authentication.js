@@ -0,0 +1,355 @@
+/*
+ * EIDA Manager - lib/orfeus-authentication.js
+ *
+ * Authentication backends for external identity providers (LDAP & OpenID Connect)
+ * Identities asserted by these providers are mapped to local users
+ *
+ * Copyright: ORFEUS Data Center
+ * Author: Mathijs Koymans, 2018
+ *
+ */
+
+// Native libs
+const http = require("http");
+const https = require("https");
+const querystring = require("querystring");
+const url = require("url");
+
+const { S_HTTP_OK } = require("./lib/orfeus-http");
+const CONFIG = require("./config");
+
+// Supported authentication backends
+const BACKEND_LOCAL = "local";
+const BACKEND_LDAP = "ldap";
+const BACKEND_OIDC = "oidc";
+
+var Identity = function(provider, subject, username, groups) {
+
+  /*
+   * Class Identity
+   * An identity asserted by an external identity provider
+   */
+
+  this.provider = provider;
+  this.subject = subject;
+  this.username = username;
+  this.groups = groups;
+
+}
+
+function toArray(value) {
+
+  /*
+   * Function toArray
+   * Returns attributes and claims that may be single valued as an array
+   */
+
+  if(value === undefined || value === null) {
+    return new Array();
+  }
+
+  return Array.isArray(value) ? value : [value];
+
+}
+
+function escapeDistinguishedName(value) {
+
+  /*
+   * Function escapeDistinguishedName
+   * Escapes a value for use in an LDAP distinguished name (RFC 4514)
+   */
+
+  return value.replace(/[\\,#+<>;"=]/g, "\\$&").replace(/^ | $/g, "\\ ");
+
+}
+
+function getCredentialBackends() {
+
+  /*
+   * Function getCredentialBackends
+   * Returns the configured backends that accept a username and password in order
+   */
+
+  return CONFIG.AUTHENTICATION.BACKENDS.filter(function(backend) {
+    return backend === BACKEND_LOCAL || backend === BACKEND_LDAP;
+  });
+
+}
+
+function authenticateLDAP(credentials, callback) {
+
+  /*
+   * Function authenticateLDAP
+   * Binds to the LDAP server with the user credentials and reads the group memberships
+   * Calls back with a null identity when the credentials are invalid
+   */
+
+  // Only loaded when the LDAP backend is used
+  const ldap = require("ldapjs");
+
+  // An empty password would be accepted as an anonymous bind
+  if(typeof credentials.username !== "string" || credentials.username === "" ||
+     typeof credentials.password !== "string" || credentials.password === "") {
+    return callback(null, null);
+  }
+
+  var finished = false;
+
+  function finish(error, identity) {
+
+    /*
+     * Function authenticateLDAP::finish
+     * Closes the connection and calls back once
+     */
+
+    if(finished) {
+      return;
+    }
+
+    finished = true;
+    client.destroy();
+
+    callback(error, identity);
+
+  }
+
+  var client = ldap.createClient({
+    "url": CONFIG.AUTHENTICATION.LDAP.URL,
+    "timeout": CONFIG.AUTHENTICATION.LDAP.TIMEOUT,
+    "connectTimeout": CONFIG.AUTHENTICATION.LDAP.TIMEOUT
+  });
+
+  client.on("error", finish);
+
+  var dn = CONFIG.AUTHENTICATION.LDAP.BIND_DN.replace("{username}", escapeDistinguishedName(credentials.username));
+
+  client.bind(dn, credentials.password, function(error) {
+
+    // Invalid credentials are not an error of the backend
+    if(error instanceof ldap.InvalidCredentialsError || error instanceof ldap.NoSuchObjectError) {
+      return finish(null, null);
+    }
+
+    if(error) {
+      return finish(error);
+    }
+
+    var groups = new Array();
+
+    // Read the group memberships from the entry of the user
+    client.search(dn, {"scope": "base", "attributes": [CONFIG.AUTHENTICATION.LDAP.GROUP_ATTRIBUTE]}, function(error, response) {
+
+      if(error) {
+        return finish(error);
+      }
+
+      response.on("searchEntry", function(entry) {
+        groups = groups.concat(toArray(entry.object[CONFIG.AUTHENTICATION.LDAP.GROUP_ATTRIBUTE]));
+      });
+
+      response.on("error", finish);
+
+      response.on("end", function() {
+        finish(null, new Identity(BACKEND_LDAP, dn, credentials.username, groups));
+      });
+
+    });
+
+  });
+
+}
+
+function getAuthorizationURL(state) {
+
+  /*
+   * Function getAuthorizationURL
+   * Returns the URL of the OpenID Connect provider the user is redirected to
+   */
+
+  return CONFIG.AUTHENTICATION.OIDC.AUTHORIZATION_ENDPOINT + "?" + querystring.stringify({
+    "response_type": "code",
+    "client_id": CONFIG.AUTHENTICATION.OIDC.CLIENT_ID,
+    "redirect_uri": CONFIG.AUTHENTICATION.OIDC.REDIRECT_URI,
+    "scope": CONFIG.AUTHENTICATION.OIDC.SCOPE,
+    "state": state
+  });
+
+}
+
+function requestJSON(endpoint, options, body, callback) {
+
+  /*
+   * Function requestJSON
+   * Makes an HTTP(S) request to an identity provider and parses the JSON response
+   */
+
+  var parsed = url.parse(endpoint);
+  var transport = parsed.protocol === "https:" ? https : http;
+
+  var request = transport.request(Object.assign({
+    "protocol": parsed.protocol,
+    "hostname": parsed.hostname,
+    "port": parsed.port,
+    "path": parsed.path,
+    "timeout": CONFIG.AUTHENTICATION.OIDC.TIMEOUT
+  }, options), function(response) {
+
+    var chunks = new Array();
+
+    response.on("data", function(chunk) {
+      chunks.push(chunk);
+    });
+
+    response.on("end", function() {
+
+      if(response.statusCode !== S_HTTP_OK) {
+        return callback(new Error("Identity provider " + endpoint + " returned status code " + response.statusCode));
+      }
+
+      var json;
+
+      try {
+        json = JSON.parse(Buffer.concat(chunks).toString());
+      } catch(exception) {
+        return callback(exception);
+      }
+
+      callback(null, json);
+
+    });
+
+  });
+
+  request.on("timeout", function() {
+    request.abort();
+  });
+
+  request.on("error", callback);
+
+  if(body !== null) {
+    request.write(body);
+  }
+
+  request.end();
+
+}
+
+function exchangeAuthorizationCode(code, callback) {
+
+  /*
+   * Function exchangeAuthorizationCode
+   * Exchanges the authorization code for an access token and reads the user claims
+   * The claims are read from the userinfo endpoint over the back channel
+   */
+
+  var body = querystring.stringify({
+    "grant_type": "authorization_code",
+    "code": code,
+    "redirect_uri": CONFIG.AUTHENTICATION.OIDC.REDIRECT_URI,
+    "client_id": CONFIG.AUTHENTICATION.OIDC.CLIENT_ID,
+    "client_secret": CONFIG.AUTHENTICATION.OIDC.CLIENT_SECRET
+  });
+
+  var tokenOptions = {
+    "method": "POST",
+    "headers": {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Content-Length": Buffer.byteLength(body),
+      "Accept": "application/json"
+    }
+  }
+
+  requestJSON(CONFIG.AUTHENTICATION.OIDC.TOKEN_ENDPOINT, tokenOptions, body, function(error, token) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    if(!token.access_token) {
+      return callback(new Error("Identity provider did not return an access token"));
+    }
+
+    var userinfoOptions = {
+      "method": "GET",
+      "headers": {
+        "Authorization": "Bearer " + token.access_token,
+        "Accept": "application/json"
+      }
+    }
+
+    requestJSON(CONFIG.AUTHENTICATION.OIDC.USERINFO_ENDPOINT, userinfoOptions, null, function(error, claims) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      // The subject is the only stable identifier of an OpenID Connect user
+      if(!claims.sub) {
+        return callback(new Error("Identity provider did not return a subject claim"));
+      }
+
+      callback(null, new Identity(
+        BACKEND_OIDC,
+        String(claims.sub),
+        claims[CONFIG.AUTHENTICATION.OIDC.USERNAME_CLAIM] || String(claims.sub),
+        toArray(claims[CONFIG.AUTHENTICATION.OIDC.GROUP_CLAIM])
+      ));
+
+    });
+
+  });
+
+}
+
+function getGroupGrants(groups) {
+
+  /*
+   * Function getGroupGrants
+   * Maps the groups of an external identity to a role and network grants
+   * The role of the first configured group that matches is used
+   * Returns null when none of the groups are mapped
+   */
+
+  var role = null;
+  var networks = new Array();
+
+  CONFIG.AUTHENTICATION.GROUPS.forEach(function(group) {
+
+    if(!groups.includes(group.NAME)) {
+      return;
+    }
+
+    if(role === null) {
+      role = group.ROLE;
+    }
+
+    group.NETWORKS.forEach(function(network) {
+      if(!networks.includes(network)) {
+        networks.push(network);
+      }
+    });
+
+  });
+
+  if(role === null) {
+    return null;
+  }
+
+  return {
+    "role": role,
+    "networks": networks
+  }
+
+}
+
+module.exports = {
+  BACKEND_LOCAL,
+  BACKEND_LDAP,
+  BACKEND_OIDC,
+  Identity,
+  getCredentialBackends,
+  authenticateLDAP,
+  getAuthorizationURL,
+  exchangeAuthorizationCode,
+  getGroupGrants
+}
@@ -10,6 +10,13 @@
 
 const crypto = require("crypto");
 
+const CONFIG = require("./config");
+
+// Supported password hashing algorithms
+const PASSWORD_ALGORITHM_PBKDF2 = "pbkdf2";
+const PASSWORD_ALGORITHM_SCRYPT = "scrypt";
+const PASSWORD_ALGORITHM_SHA256 = "sha256";
+
 function SHA256(buffer) {
 
   /*
@@ -32,7 +39,212 @@ function randomId(entropy) {
 
 }
 
+function compareToken(token, expected) {
+
+  /*
+   * Function compareToken
+   * Compares a client provided token to the expected token in constant time
+   */
+
+  if(typeof token !== "string" || typeof expected !== "string") {
+    return false;
+  }
+
+  var a = Buffer.from(token);
+  var b = Buffer.from(expected);
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+
+}
+
+function getPasswordParameters(algorithm) {
+
+  /*
+   * Function getPasswordParameters
+   * Returns the configured parameters for a password hashing algorithm
+   */
+
+  switch(algorithm) {
+    case PASSWORD_ALGORITHM_PBKDF2:
+      return {
+        "iterations": CONFIG.PASSWORD.PBKDF2.ITERATIONS,
+        "keylen": CONFIG.PASSWORD.PBKDF2.KEYLEN,
+        "digest": CONFIG.PASSWORD.PBKDF2.DIGEST
+      }
+    case PASSWORD_ALGORITHM_SCRYPT:
+      return {
+        "N": CONFIG.PASSWORD.SCRYPT.COST,
+        "r": CONFIG.PASSWORD.SCRYPT.BLOCK_SIZE,
+        "p": CONFIG.PASSWORD.SCRYPT.PARALLELIZATION,
+        "keylen": CONFIG.PASSWORD.SCRYPT.KEYLEN
+      }
+    default:
+      return null;
+  }
+
+}
+
+function deriveKey(password, salt, algorithm, parameters, callback) {
+
+  /*
+   * Function deriveKey
+   * Derives the hex encoded key from a password using the requested algorithm
+   */
+
+  function hexCallback(error, key) {
+
+    /*
+     * Function deriveKey::hexCallback
+     * Converts the derived key buffer to hex
+     */
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, key.toString("hex"));
+
+  }
+
+  switch(algorithm) {
+    case PASSWORD_ALGORITHM_PBKDF2:
+      return crypto.pbkdf2(password, salt, parameters.iterations, parameters.keylen, parameters.digest, hexCallback);
+    case PASSWORD_ALGORITHM_SCRYPT:
+      // Scrypt is only available from NodeJS 10.5
+      if(typeof crypto.scrypt !== "function") {
+        return callback(new Error("The scrypt password hashing algorithm is not supported by this NodeJS version"));
+      }
+      return crypto.scrypt(password, salt, parameters.keylen, {"N": parameters.N, "r": parameters.r, "p": parameters.p}, hexCallback);
+    case PASSWORD_ALGORITHM_SHA256:
+      // Legacy salted SHA256: only used to verify old password hashes
+      return callback(null, SHA256(password + salt));
+    default:
+      return callback(new Error("Unknown password hashing algorithm: " + algorithm));
+  }
+
+}
+
+function getStoredPassword(user) {
+
+  /*
+   * Function getStoredPassword
+   * Returns the password hash object of a user document
+   * Legacy documents store a SHA256 hex string next to a separate salt
+   */
+
+  if(typeof user.password === "string") {
+    return {
+      "algorithm": PASSWORD_ALGORITHM_SHA256,
+      "parameters": null,
+      "salt": user.salt,
+      "hash": user.password
+    }
+  }
+
+  return user.password;
+
+}
+
+function hashPassword(password, callback) {
+
+  /*
+   * Function hashPassword
+   * Hashes a password with the configured key derivation function
+   * The algorithm and parameters are stored with the hash
+   */
+
+  const BYTES_ENTROPY = 32;
+
+  var algorithm = CONFIG.PASSWORD.ALGORITHM;
+  var parameters = getPasswordParameters(algorithm);
+  var salt = randomId(BYTES_ENTROPY);
+
+  deriveKey(password, salt, algorithm, parameters, function(error, hash) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, {
+      "algorithm": algorithm,
+      "parameters": parameters,
+      "salt": salt,
+      "hash": hash
+    });
+
+  });
+
+}
+
+function verifyPassword(password, user, callback) {
+
+  /*
+   * Function verifyPassword
+   * Verifies a password against the hash stored for a user
+   * Calls back with whether the password is valid and whether it must be rehashed
+   */
+
+  var stored = getStoredPassword(user);
+
+  // Missing passwords are never valid
+  if(typeof password !== "string" || !stored) {
+    return callback(null, false, false);
+  }
+
+  deriveKey(password, stored.salt, stored.algorithm, stored.parameters, function(error, hash) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    var expected = Buffer.from(stored.hash, "hex");
+    var computed = Buffer.from(hash, "hex");
+
+    // Compare in constant time
+    if(expected.length !== computed.length || !crypto.timingSafeEqual(expected, computed)) {
+      return callback(null, false, false);
+    }
+
+    // Hashes made with an outdated algorithm or parameters are upgraded
+    var rehash = (
+      stored.algorithm !== CONFIG.PASSWORD.ALGORITHM ||
+      JSON.stringify(stored.parameters) !== JSON.stringify(getPasswordParameters(CONFIG.PASSWORD.ALGORITHM))
+    );
+
+    callback(null, true, rehash);
+
+  });
+
+}
+
+function verifyDummyPassword(password, callback) {
+
+  /*
+   * Function verifyDummyPassword
+   * Verifies a password against a fixed hash that never matches
+   * Failed logins of unknown users take as long as those of known users
+   */
+
+  var algorithm = CONFIG.PASSWORD.ALGORITHM;
+
+  var user = {
+    "password": {
+      "algorithm": algorithm,
+      "parameters": getPasswordParameters(algorithm),
+      "salt": "00000000000000000000000000000000",
+      "hash": ""
+    }
+  }
+
+  verifyPassword(password, user, callback);
+
+}
+
 module.exports = {
   SHA256,
-  randomId
+  randomId,
+  compareToken,
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword
 }
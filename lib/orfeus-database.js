@@ -10,6 +10,7 @@
 
 // Native libs
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
 // Third-party libs
@@ -18,10 +19,11 @@ const MongoClient = require("mongodb");
 // Custom libs & configuration
 const logger = require("./lib/orfeus-logging");
 const { createDirectory } = require("./lib/orfeus-util");
-const { SHA256, randomId } = require("./lib/orfeus-crypto");
-const { User, Session } = require("./lib/orfeus-session");
-const { updateStationXML, parsePrototype } = require("./lib/orfeus-metadata.js");
+const { hashPassword, randomId, SHA256 } = require("./lib/orfeus-crypto");
+const { User, Session, getSessionExpiration, getNetworkGrants, isSameNetwork } = require("./lib/orfeus-session");
+const { updateStationXML, parsePrototype, mergeStationXML } = require("./lib/orfeus-metadata.js");
 const { Message, escapeHTML } = require("./lib/orfeus-message");
+const { ROLES } = require("./lib/orfeus-permissions");
 const seisComP3 = require("./lib/orfeus-seiscomp");
 const CONFIG = require("./config");
 
@@ -39,8 +41,15 @@ var Database = function() {
   this.SEEDLINK_COLLECTION = "seedlink";
   this.FILE_COLLECTION = "files";
   this.PROTOTYPE_COLLECTION = "prototypes";
+  this.LOCKOUT_COLLECTION = "lockouts";
+  this.AUDIT_COLLECTION = "audit";
+  this.TOKEN_COLLECTION = "tokens";
+  this.CHALLENGE_COLLECTION = "challenges";
+  this.NOTIFICATION_COLLECTION = "notifications";
+  this.NETWORK_COLLECTION = "networks";
 
   // Metadata processing status codes
+  this.METADATA_STATUS_FAILED = -4;
   this.METADATA_STATUS_SUPERSEDED = -3;
   this.METADATA_STATUS_DELETED = -2;
   this.METADATA_STATUS_REJECTED = -1;
@@ -50,14 +59,12 @@ var Database = function() {
   this.METADATA_STATUS_CONVERTED = 3;
   this.METADATA_STATUS_ACCEPTED = 4;
   this.METADATA_STATUS_COMPLETED = 5;
+  this.METADATA_STATUS_AWAITING_REVIEW = 6;
 
   this.DESCENDING = -1;
   this.ASCENDING = 1;
 
-  this.ROLES = {
-    "ADMINISTRATOR": 0,
-    "USER": 1
-  }
+  this.ROLES = ROLES;
 
   // Variable for the database
   this._database = null;
@@ -141,6 +148,72 @@ Database.prototype.sessions = function() {
 
 }
 
+Database.prototype.lockouts = function() {
+
+  /*
+   * Function Database.lockouts
+   * Returns a reference to the failed login attempts collection
+   */
+
+  return this.collection(this.LOCKOUT_COLLECTION);
+
+}
+
+Database.prototype.auditLog = function() {
+
+  /*
+   * Function Database.auditLog
+   * Returns a reference to the audit log collection
+   */
+
+  return this.collection(this.AUDIT_COLLECTION);
+
+}
+
+Database.prototype.tokens = function() {
+
+  /*
+   * Function Database.tokens
+   * Returns a reference to the API token collection
+   */
+
+  return this.collection(this.TOKEN_COLLECTION);
+
+}
+
+Database.prototype.challenges = function() {
+
+  /*
+   * Function Database.challenges
+   * Returns a reference to the collection of pending second factor challenges
+   */
+
+  return this.collection(this.CHALLENGE_COLLECTION);
+
+}
+
+Database.prototype.notifications = function() {
+
+  /*
+   * Function Database.notifications
+   * Returns a reference to the capped collection used to wake up the metadaemon
+   */
+
+  return this.collection(this.NOTIFICATION_COLLECTION);
+
+}
+
+Database.prototype.networks = function() {
+
+  /*
+   * Function Database.networks
+   * Returns a reference to the collection of network settings (e.g. validation rule overrides)
+   */
+
+  return this.collection(this.NETWORK_COLLECTION);
+
+}
+
 Database.prototype.close = function() {
 
   /*
@@ -285,7 +358,9 @@ Database.prototype.getAllUsers = function(callback) {
     "username": true,
     "network": true,
     "created": true,
-    "role": true
+    "role": true,
+    "disabled": true,
+    "networks": true
   }
 
   this.users().find().project(include).toArray(callback);
@@ -303,6 +378,174 @@ Database.prototype.getUsersById = function(userIdentifiers, callback) {
 
 }
 
+Database.prototype.updateUser = function(id, update, callback) {
+
+  /*
+   * Function Database.updateUser
+   * Updates the role, networks or status of a user
+   */
+
+  this.users().updateOne({"_id": this.ObjectId(id)}, {"$set": update}, callback);
+
+}
+
+Database.prototype.deleteUser = function(id, callback) {
+
+  /*
+   * Function Database.deleteUser
+   * Removes a user and all sessions of the user
+   */
+
+  this.users().deleteOne({"_id": this.ObjectId(id)}, function(error) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    this.removeUserSessions(this.ObjectId(id), callback);
+
+  }.bind(this));
+
+}
+
+Database.prototype.audit = function(actor, action, target, before, after) {
+
+  /*
+   * Function Database.audit
+   * Writes an entry to the audit log: who did what to which target, when and from where
+   * The entry is written in the background and failures are logged
+   */
+
+  var entry = {
+    "userId": actor.userId,
+    "username": actor.username,
+    "ip": actor.ip,
+    "action": action,
+    "target": target,
+    "before": before,
+    "after": after,
+    "created": new Date()
+  }
+
+  this.auditLog().insertOne(entry, function(error) {
+
+    if(error) {
+      logger.error(error);
+    }
+
+  });
+
+}
+
+Database.prototype.createNotifications = function(callback) {
+
+  /*
+   * Function Database.createNotifications
+   * Creates the capped notification collection that can be followed with a tailable cursor
+   * Tailable cursors also work on standalone MongoDB servers unlike change streams
+   */
+
+  const E_NAMESPACE_EXISTS = 48;
+
+  var options = {
+    "capped": true,
+    "size": CONFIG.METADATA.DAEMON.NOTIFICATIONS.SIZE_BYTES
+  }
+
+  this._database.db(CONFIG.MONGO.NAME).createCollection(this.NOTIFICATION_COLLECTION, options, function(error) {
+
+    // The collection was already created
+    if(error && error.code === E_NAMESPACE_EXISTS) {
+      return callback(null);
+    }
+
+    callback(error);
+
+  });
+
+}
+
+Database.prototype.notify = function(type, callback) {
+
+  /*
+   * Function Database.notify
+   * Writes a notification that wakes up sleeping metadaemon workers
+   * Failures are logged: the metadaemon falls back to polling
+   */
+
+  callback = callback || Function.prototype;
+
+  this.notifications().insertOne({"type": type, "created": new Date()}, function(error) {
+
+    if(error) {
+      logger.error(error);
+    }
+
+    callback(error);
+
+  });
+
+}
+
+Database.prototype.followNotifications = function(since) {
+
+  /*
+   * Function Database.followNotifications
+   * Returns a stream of notifications written after a date that stays open for new notifications
+   */
+
+  var options = {
+    "tailable": true,
+    "awaitData": true,
+    "noCursorTimeout": true
+  }
+
+  return this.notifications().find({"created": {"$gte": since}}, options).stream();
+
+}
+
+Database.prototype.getAuditLog = function(filter, callback) {
+
+  /*
+   * Function Database.getAuditLog
+   * Returns audit log entries matching a filter, most recent first
+   * Actions without a dot (e.g. "metadata") match all actions in that category
+   */
+
+  const MAXIMUM_ENTRIES = 10000;
+
+  var query = new Object();
+
+  if(filter.action) {
+    query.action = filter.action.includes(".") ? filter.action : {"$regex": "^" + filter.action.replace(/[^a-z]/g, "") + "\\."};
+  }
+
+  if(filter.username) {
+    query.username = filter.username;
+  }
+
+  // Targets are either strings or MongoDB ObjectIds
+  if(filter.target) {
+    query.target = /^[0-9a-f]{24}$/.test(filter.target) ? {"$in": [filter.target, this.ObjectId(filter.target)]} : filter.target;
+  }
+
+  // Filter on a time range
+  if(filter.from || filter.to) {
+    query.created = new Object();
+    if(filter.from) {
+      query.created.$gte = filter.from;
+    }
+    if(filter.to) {
+      query.created.$lte = filter.to;
+    }
+  }
+
+  var limit = Math.min(filter.limit || MAXIMUM_ENTRIES, MAXIMUM_ENTRIES);
+
+  this.auditLog().find(query).sort({"created": this.DESCENDING}).limit(limit).toArray(callback);
+
+}
+
 Database.prototype.getUserByName = function(username, callback) {
 
   /*
@@ -328,6 +571,11 @@ Database.prototype.updateDocumentStatus = function(id, status, callback) {
     }
   }
 
+  // Superseded metadata remains published until the next inventory update withdraws it
+  if(status === this.METADATA_STATUS_SUPERSEDED) {
+    setStatus.$set.withdrawn = null;
+  }
+
   this.files().updateOne({"_id": id}, setStatus, function(error, result) {
 
     if(error) {
@@ -340,7 +588,7 @@ Database.prototype.updateDocumentStatus = function(id, status, callback) {
 
 }
 
-Database.prototype.supersedeOrDelete = function(document, callback) {
+Database.prototype.supersedeOrDelete = function(document, actor, action, callback) {
 
   /*
    * Function Database.supersedeOrDelete
@@ -350,39 +598,68 @@ Database.prototype.supersedeOrDelete = function(document, callback) {
 
   var { status, _id } = document;
 
+  function updateStatus(newStatus) {
+
+    /*
+     * Function Database.supersedeOrDelete::updateStatus
+     * Updates the status of the document and records the change in the audit log
+     */
+
+    this.updateDocumentStatus(_id, newStatus, function(error) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      this.audit(actor, action, document.sha256, {"status": status}, {"status": newStatus});
+
+      // Deleted files are purged by the metadaemon
+      if(newStatus === this.METADATA_STATUS_DELETED) {
+        this.notify("files.deleted");
+      }
+
+      callback(null);
+
+    }.bind(this));
+
+  }
+
   // These are the statuses that should NOT be saved since they were never available
   // and can be removed safely if superseded by a more recent document
   switch(status) {
+    case this.METADATA_STATUS_FAILED:
     case this.METADATA_STATUS_REJECTED:
     case this.METADATA_STATUS_PENDING:
     case this.METADATA_STATUS_VALIDATED:
     case this.METADATA_STATUS_CONVERTED:
     case this.METADATA_STATUS_ACCEPTED:
-      return this.updateDocumentStatus(_id, this.METADATA_STATUS_DELETED, callback);
+    case this.METADATA_STATUS_AWAITING_REVIEW:
+      return updateStatus.call(this, this.METADATA_STATUS_DELETED);
     case this.METADATA_STATUS_COMPLETED:
-      return this.updateDocumentStatus(_id, this.METADATA_STATUS_SUPERSEDED, callback);
+      return updateStatus.call(this, this.METADATA_STATUS_SUPERSEDED);
     default:
       return callback(null);
   }
 
 }
 
-Database.prototype.supersedeFileByStation = function(id, metadata, callback) {
+Database.prototype.supersedeFileByStation = function(id, metadata, actor, keepPublished, callback) {
 
   /*
    * Function Database.supersedeFileByStation
    * Supersedes or deletes a station entry from the database and disk
+   * Published metadata can be kept until the submitted metadata is approved
    */
 
   const findQuery = {
     "network.code": metadata.network.code,
     "network.start": metadata.network.start,
     "station": metadata.station,
-    "status": {"$ne": this.METADATA_STATUS_SUPERSEDED},
+    "status": {"$nin": keepPublished ? [this.METADATA_STATUS_SUPERSEDED, this.METADATA_STATUS_COMPLETED] : [this.METADATA_STATUS_SUPERSEDED]},
     "_id": {"$ne": this.ObjectId(id)}
   }
 
-  this.supersedeLatest(findQuery, callback);
+  this.supersedeLatest(findQuery, actor, "metadata.supersede", callback);
 
 }
 
@@ -423,354 +700,1600 @@ Database.prototype.getActivePrototype = function(network, callback) {
     
 }
 
-Database.prototype.updateNetwork = function(network, callback) {
+Database.prototype.comparePrototype = function(XMLString, callback) {
 
   /*
-   * Function Database.supersedeNetwork
-   * Updates the network metadata for all stations belonging to a network
+   * Function Database.comparePrototype
+   * Does simple validation of submitted file against the network prototype definition
+   * Conflicts are passed as message strings and database failures as errors
    */
 
-  logger.info("Updated all metadata derived for network prototype " + network.code);
+  const E_PROTOTYPE_MISSING = "The network prototype could not be found. Please contact an administrator";
+  const E_PROTOTYPE_CONFLICT_END = "The submitted network end time conflicts with the network prototype definition";
+  const E_PROTOTYPE_CONFLICT_RESTRICTED = "The submitted network restricted status conflicts with the network prototype definition";
 
-  // Match the network and group by
-  const pipeline = [{
-    "$match": {
-      "network.code": network.code,
-      "network.start": network.start,
-      "status": {
-        "$ne": this.METADATA_STATUS_SUPERSEDED
-      }
-    }
-  }, {
-    "$group": {
-      "_id": {
-        "network": "$network",
-        "station": "$station",
-      },
-      "id": {
-        "$last": "$_id"
-      },
-      "filepath": {
-        "$last": "$filepath"
-      },
-      "created": {
-        "$last": "$created"
-      },
-      "status": {
-        "$last": "$status"
-      }
-    }
-  }];
+  var thing;
 
-  // Get all latest stations/networks
-  this.files().aggregate(pipeline).toArray(function(error, documents) {
+  try {
+    thing = parsePrototype(XMLString);
+  } catch(exception) {
+    return callback(exception.message);
+  }
+
+  // A network is identifier by its code, start & end time
+  this.prototypes().find({"network": thing.network}).sort({"created": this.DESCENDING}).limit(1).toArray(function(error, documents) {
 
-    // Propogate error
     if(error) {
       return callback(error);
     }
 
-    // Update previous documents
-    logger.info("Updating " + documents.length + " metadata documents for network " + network.code);
-
-    // We will need to resubmit all station metadata for this network since the
-    // prototype has change (e.g. restrictedStatus changed)
-    var files = new Array();
-    var readCallback;
-
-    // Asynchronous but concurrent
-    (readCallback = function() {
-
-      // Nore more documents to read from disk
-      if(!documents.length) {
-        return callback(null, files);
-      }
-
-      // Read the file from disk for resubmission after changing
-      fs.readFile(documents.pop().filepath + ".stationXML", function(error, buffer) {
-
-        if(error) {
-          return callback(error);
-        }
+    // The network prototype could not be found in the database
+    if(documents.length === 0) {
+      return callback(E_PROTOTYPE_MISSING);
+    }
 
-        // Save buffer from the file
-        files.push(buffer);
+    var document = documents.pop();
 
-        // Proceed with next file
-        readCallback();
+    // Check if end time matches
+    if(document.network.end !== thing.network.end) {
+      return callback(E_PROTOTYPE_CONFLICT_END);
+    }
 
-      });
+    // Check if the restricted status matches
+    if(document.restricted !== thing.restricted) {
+      return callback(E_PROTOTYPE_CONFLICT_RESTRICTED);
+    }
 
-    }.bind(this))();
+    callback(null);
 
-  }.bind(this));
+  });
 
 }
 
-Database.prototype.supersedeLatest = function(findQuery, callback) {
+Database.prototype.claimJob = function(statusCodes, worker, callback) {
 
   /*
-   * Function Database.supersedeLatest
-   * Supersedes the latest metadata in the stack
+   * Function Database.claimJob
+   * Atomically claims the oldest file that needs processing by taking a lease on it
+   * Files with an expired lease (e.g. a crashed worker) are claimed again
+   * Files waiting for a retry are skipped until their backoff has passed
+   * Calls back with the claimed file or null when there is no work
    */
 
-  // Get the latest submission (order by created)
-  this.files().find(findQuery).sort({"created": this.DESCENDING}).limit(1).toArray(function(error, documents) {
+  var now = new Date();
+
+  var query = {
+    "status": {"$in": statusCodes},
+    "$and": [{
+      "$or": [
+        {"lease": null},
+        {"lease.expiration": {"$lt": now}}
+      ]
+    }, {
+      "$or": [
+        {"retryAfter": null},
+        {"retryAfter": {"$lt": now}}
+      ]
+    }]
+  }
+
+  var lease = {
+    "worker": worker.id,
+    "slot": worker.slot,
+    "claimed": now,
+    "expiration": new Date(now.getTime() + 1E3 * CONFIG.METADATA.DAEMON.LEASE_SECONDS)
+  }
+
+  // The original document is returned to detect recovered leases
+  this.files().findOneAndUpdate(query, {"$set": {"lease": lease}}, {"sort": {"created": this.ASCENDING}}, function(error, result) {
 
-    // Propagate the error
     if(error) {
       return callback(error);
     }
 
-    // Nothing to do
-    if(documents.length === 0) {
-      return callback(null);
+    var document = result.value;
+
+    if(document === null) {
+      return callback(null, null);
     }
 
-    // Check whether we should delete or set the document to superseded
-    this.supersedeOrDelete(documents.pop(), callback);
+    if(document.lease) {
+      logger.info("Recovered expired lease of worker " + document.lease.worker + " on document " + document.network.code + "." + document.station);
+    }
 
-  }.bind(this));
+    document.lease = lease;
+
+    callback(null, document);
+
+  });
 
 }
 
-Database.prototype.supersedeFileByHash = function(session, hash, callback) {
+Database.prototype.renewLease = function(document, callback) {
 
   /*
-   * Function Database.supersedeFileByHash
-   * Supersedes a single metadata document by hash
-   * The network session identifier is passed to check authorization
+   * Function Database.renewLease
+   * Extends the lease on a file that is still being processed
+   */
+
+  var expiration = new Date(Date.now() + 1E3 * CONFIG.METADATA.DAEMON.LEASE_SECONDS);
+
+  this.files().updateOne({"_id": document._id, "lease.worker": document.lease.worker}, {"$set": {"lease.expiration": expiration}}, callback);
+
+}
+
+Database.prototype.createHistoryEntry = function(stage, started, worker, status, error, stderr) {
+
+  /*
+   * Function Database.createHistoryEntry
+   * Returns an entry for the processing timeline of a file
+   * Captured SeisComP3 output is truncated to keep documents small
+   */
+
+  const MAXIMUM_LOG_LENGTH = 1E4;
+
+  return {
+    "stage": stage,
+    "started": started,
+    "finished": new Date(),
+    "worker": worker,
+    "status": status,
+    "error": error || null,
+    "stderr": stderr ? stderr.slice(-MAXIMUM_LOG_LENGTH) : null
+  }
+
+}
+
+Database.prototype.completeJob = function(document, setObject, entry, callback) {
+
+  /*
+   * Function Database.completeJob
+   * Writes the result of processing a file, appends it to the timeline and releases the lease
+   * Nothing is written when the lease was lost or the status was changed in the meantime
+   */
+
+  var query = {
+    "_id": document._id,
+    "status": document.status,
+    "lease.worker": document.lease.worker
+  }
+
+  var update = {
+    "$set": Object.assign({"lease": null}, setObject),
+    "$push": {"history": entry}
+  }
+
+  this.files().updateOne(query, update, function(error, result) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, result.matchedCount === 1);
+
+  });
+
+}
+
+Database.prototype.getFailedFiles = function(callback) {
+
+  /*
+   * Function Database.getFailedFiles
+   * Returns the files that could not be processed after the maximum number of attempts
+   */
+
+  this.files().find({"status": this.METADATA_STATUS_FAILED}).sort({"modified": this.DESCENDING}).toArray(callback);
+
+}
+
+Database.prototype.requeueFile = function(id, actor, callback) {
+
+  /*
+   * Function Database.requeueFile
+   * Returns a failed file to the pipeline stage it failed in with a fresh number of attempts
+   * Calls back with the requeued file or null when no failed file matches
+   */
+
+  this.files().findOne({"_id": this.ObjectId(id), "status": this.METADATA_STATUS_FAILED}, function(error, document) {
+
+    if(error || document === null) {
+      return callback(error, null);
+    }
+
+    var setObject = {
+      "modified": new Date(),
+      "status": document.failedStatus,
+      "error": null,
+      "attempts": 0,
+      "retryAfter": null,
+      "lease": null
+    }
+
+    // Guard against concurrent requeues or supersedes
+    this.files().updateOne({"_id": document._id, "status": this.METADATA_STATUS_FAILED}, {"$set": setObject}, function(error, result) {
+
+      if(error || result.matchedCount === 0) {
+        return callback(error, null);
+      }
+
+      this.audit(actor, "metadata.requeue", document.sha256, {"status": document.status}, {"status": document.failedStatus});
+
+      this.notify("files.requeued");
+
+      callback(null, document);
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+Database.prototype.releaseJobs = function(worker, callback) {
+
+  /*
+   * Function Database.releaseJobs
+   * Releases all leases held by a worker so other workers can continue immediately
+   */
+
+  this.files().updateMany({"lease.worker": worker}, {"$set": {"lease": null}}, callback);
+
+}
+
+Database.prototype.getNetworkRules = function(network, callback) {
+
+  /*
+   * Function Database.getNetworkRules
+   * Returns the validation rule overrides granted to a network
+   */
+
+  this.networks().findOne({"network.code": network.code, "network.start": network.start}, function(error, document) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    // Networks that only have review enabled may not have overrides
+    callback(null, document === null ? new Object() : (document.rules || new Object()));
+
+  });
+
+}
+
+Database.prototype.setNetworkRules = function(network, rules, actor, callback) {
+
+  /*
+   * Function Database.setNetworkRules
+   * Replaces the validation rule overrides of a network
+   */
+
+  var update = {
+    "$set": {
+      "network": network,
+      "rules": rules,
+      "modified": new Date(),
+      "userId": actor.userId
+    },
+    "$setOnInsert": {
+      "review": false
+    }
+  }
+
+  this.networks().findOneAndUpdate({"network.code": network.code, "network.start": network.start}, update, {"upsert": true}, function(error, result) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    var identifier = network.code + " " + (network.start === null ? "" : network.start.toISOString());
+
+    this.audit(actor, "rules.update", identifier.trim(), result.value === null ? null : result.value.rules, rules);
+
+    callback(null);
+
+  }.bind(this));
+
+}
+
+Database.prototype.requiresReview = function(network, callback) {
+
+  /*
+   * Function Database.requiresReview
+   * Returns whether metadata of a network must be approved by a reviewer before it is accepted
+   */
+
+  this.networks().findOne({"network.code": network.code, "network.start": network.start}, function(error, document) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, document !== null && document.review === true);
+
+  });
+
+}
+
+Database.prototype.setNetworkReview = function(network, review, actor, callback) {
+
+  /*
+   * Function Database.setNetworkReview
+   * Enables or disables the manual review of metadata for a network
+   */
+
+  var update = {
+    "$set": {
+      "network": network,
+      "review": review,
+      "modified": new Date(),
+      "userId": actor.userId
+    },
+    "$setOnInsert": {
+      "rules": new Object()
+    }
+  }
+
+  this.networks().findOneAndUpdate({"network.code": network.code, "network.start": network.start}, update, {"upsert": true}, function(error, result) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    var identifier = network.code + " " + (network.start === null ? "" : network.start.toISOString());
+
+    this.audit(actor, "review.update", identifier.trim(), {"review": result.value !== null && result.value.review === true}, {"review": review});
+
+    callback(null);
+
+  }.bind(this));
+
+}
+
+Database.prototype.reviewFile = function(session, id, approved, comment, actor, callback) {
+
+  /*
+   * Function Database.reviewFile
+   * Approves or rejects a file that awaits review and messages the comment to the uploader
+   * Approved files are accepted for inclusion in the inventory
+   * Calls back with the reviewed file or null when no file awaits review
+   */
+
+  const MESSAGE_SUBJECT = "Metadata Review";
+
+  var started = new Date();
+  var status = approved ? this.METADATA_STATUS_ACCEPTED : this.METADATA_STATUS_REJECTED;
+
+  var findQuery = {
+    "_id": this.ObjectId(id),
+    "status": this.METADATA_STATUS_AWAITING_REVIEW
+  }
+
+  // Reviewers can only review the selected network
+  if(!session.isAdministrator()) {
+    findQuery["network.code"] = session.prototype.network.code;
+    findQuery["network.start"] = session.prototype.network.start;
+  }
+
+  var update = {
+    "$set": {
+      "modified": started,
+      "status": status,
+      "error": approved ? null : comment,
+      "review": {
+        "userId": actor.userId,
+        "username": actor.username,
+        "approved": approved,
+        "comment": comment,
+        "created": started
+      }
+    },
+    "$push": {
+      "history": this.createHistoryEntry("review", started, actor.username, status, approved ? null : comment, null)
+    }
+  }
+
+  this.files().findOneAndUpdate(findQuery, update, function(error, result) {
+
+    if(error || result.value === null) {
+      return callback(error, null);
+    }
+
+    var document = result.value;
+
+    this.audit(actor, "metadata.review", document.sha256, {"status": document.status}, {"status": status, "comment": comment});
+
+    var content = "Metadata for station " + document.network.code + "." + document.station + " (" + document.sha256.slice(0, 8) + ") was " + (approved ? "approved" : "rejected") + " by " + actor.username + "." + (comment ? " Comment: " + comment : "");
+
+    // Let the uploader know about the decision and the comment of the reviewer
+    this.storeMessages(new Array(Message(document.userId, actor.userId, MESSAGE_SUBJECT, content)), function(error) {
+
+      if(error) {
+        logger.error(error);
+      }
+
+    });
+
+    // Rejected metadata leaves the published metadata in place
+    if(!approved) {
+      return callback(null, document);
+    }
+
+    // The approved metadata replaces the published metadata of the station
+    this.supersedeFileByStation(document._id, document, actor, false, function(error) {
+
+      if(error) {
+        return callback(error, null);
+      }
+
+      callback(null, document);
+
+    });
+
+  }.bind(this));
+
+}
+
+Database.prototype.updateNetwork = function(network, callback) {
+
+  /*
+   * Function Database.supersedeNetwork
+   * Updates the network metadata for all stations belonging to a network
+   */
+
+  logger.info("Updated all metadata derived for network prototype " + network.code);
+
+  // Match the network and group by
+  const pipeline = [{
+    "$match": {
+      "network.code": network.code,
+      "network.start": network.start,
+      "status": {
+        "$ne": this.METADATA_STATUS_SUPERSEDED
+      }
+    }
+  }, {
+    "$group": {
+      "_id": {
+        "network": "$network",
+        "station": "$station",
+      },
+      "id": {
+        "$last": "$_id"
+      },
+      "filepath": {
+        "$last": "$filepath"
+      },
+      "created": {
+        "$last": "$created"
+      },
+      "status": {
+        "$last": "$status"
+      }
+    }
+  }];
+
+  // Get all latest stations/networks
+  this.files().aggregate(pipeline).toArray(function(error, documents) {
+
+    // Propogate error
+    if(error) {
+      return callback(error);
+    }
+
+    // Update previous documents
+    logger.info("Updating " + documents.length + " metadata documents for network " + network.code);
+
+    // We will need to resubmit all station metadata for this network since the
+    // prototype has change (e.g. restrictedStatus changed)
+    var files = new Array();
+    var readCallback;
+
+    // Asynchronous but concurrent
+    (readCallback = function() {
+
+      // Nore more documents to read from disk
+      if(!documents.length) {
+        return callback(null, files);
+      }
+
+      // Read the file from disk for resubmission after changing
+      fs.readFile(documents.pop().filepath + ".stationXML", function(error, buffer) {
+
+        if(error) {
+          return callback(error);
+        }
+
+        // Save buffer from the file
+        files.push(buffer);
+
+        // Proceed with next file
+        readCallback();
+
+      });
+
+    }.bind(this))();
+
+  }.bind(this));
+
+}
+
+Database.prototype.supersedeLatest = function(findQuery, actor, action, callback) {
+
+  /*
+   * Function Database.supersedeLatest
+   * Supersedes the latest metadata in the stack
+   */
+
+  // Get the latest submission (order by created)
+  this.files().find(findQuery).sort({"created": this.DESCENDING}).limit(1).toArray(function(error, documents) {
+
+    // Propagate the error
+    if(error) {
+      return callback(error);
+    }
+
+    // Nothing to do
+    if(documents.length === 0) {
+      return callback(null);
+    }
+
+    // Check whether we should delete or set the document to superseded
+    this.supersedeOrDelete(documents.pop(), actor, action, callback);
+
+  }.bind(this));
+
+}
+
+Database.prototype.supersedeFileByHash = function(session, hash, actor, callback) {
+
+  /*
+   * Function Database.supersedeFileByHash
+   * Supersedes a single metadata document by hash
+   * The network session identifier is passed to check authorization
    */
 
   function getQuery(session, hash) {
 
-    /*
-     * Function Database.supersedeFileByHash::getQuery
-     * Returns the query dependent on the role of the user
-     */
+    /*
+     * Function Database.supersedeFileByHash::getQuery
+     * Returns the query dependent on the role of the user
+     */
+
+    switch(session.role) {
+      case this.ROLES.ADMINISTRATOR:
+        return {"sha256": hash}
+      default:
+        return {"network.code": session.prototype.network.code, "network.start": session.prototype.network.start, "sha256": hash}
+    }
+
+  }
+
+  this.supersedeLatest(getQuery.call(this, session, hash), actor, "metadata.delete", callback);
+
+}
+
+Database.prototype.getFileByHash = function(session, hash, callback) {
+
+  /*
+   * Function Database.getFileByHash
+   * Returns the metadata identified by its SHA256 hash
+   * The network session identifier is passed to check authorization
+   */
+
+  var findQuery = {"sha256": hash}
+
+  // Filter anything that does not belong to the selected network
+  if(!session.isAdministrator()) {
+    findQuery["network.code"] = session.prototype.network.code;
+    findQuery["network.start"] = session.prototype.network.start;
+  }
+
+  this.files().findOne(findQuery, callback);
+
+}
+
+Database.prototype.getFilesByStation = function(session, queryString, callback) {
+
+  /*
+   * Function Database.getFilesByStation
+   * Returns the list of metadata files identified by its network, station code
+   */
+
+  function getQuery(session, queryString) {
+
+    /*
+     * Function Database.getFilesByStation::getQuery
+     * Returns the query based on the role of the user
+     * Administrators have global access 
+     */
+
+    switch(session.role) {
+      case this.ROLES.ADMINISTRATOR: 
+        return {"station": queryString.station, "network.code": queryString.network}
+      default:
+        return {"station": queryString.station, "network.code": session.prototype.network.code, "network.start": session.prototype.network.start}
+    }
+
+  }
+
+  var findQuery = getQuery.call(this, session, queryString);
+
+  this.files().find(findQuery).toArray(callback);
+
+}
+
+Database.prototype.getNewMessageCount = function(id, callback) {
+
+  /*
+   * Function Database.getNewMessageCount
+   * Returns the number of new (unread) messages
+   */
+
+  this.messages().find({"recipient": this.ObjectId(id), "read": false, "recipientDeleted": false}).count(callback);
+
+}
+
+Database.prototype.getMessages = function(id, callback) {
+
+  /*
+   * Function Database.getMessages
+   * Returns an array of messages (sent or received)
+   */
+
+  this.messages().find({"$or": [{"recipient": this.ObjectId(id), "recipientDeleted": false }, {"sender": this.ObjectId(id), "senderDeleted": false}]}).sort({"created": this.DESCENDING}).toArray(callback);
+
+}
+
+Database.prototype.getMessageById = function(id, messageId, callback) {
+
+  /*
+   * Function Database.getMessageById
+   * Returns a single message identified by its MongoDB ObjectId
+   */
+
+  this.messages().findOne({"_id": this.ObjectId(messageId), "$or": [{"recipient": this.ObjectId(id), "recipientDeleted": false}, {"sender": this.ObjectId(id), "senderDeleted": false}]}, callback);
+
+}
+
+Database.prototype.getSessionUser = function(sessionIdentifier, callback) {
+
+  /* 
+   * Function Databasr.getSessionUser
+   * Returns an user object from a session identifier
+   */
+
+  // No session cookie is available
+  if(sessionIdentifier === null) {
+    return callback(null, null);
+  }
+
+  this.getSession(sessionIdentifier, function(error, session) {
+
+    // Error querying the database
+    if(error) {
+      return callback(error);
+    }
+
+    // The session does not exist
+    if(session === null) {
+      return callback(null, null);
+    }
+
+    // The session has expired but was not yet cleaned up by the TTL index
+    if(!session.expiration || session.expiration < new Date()) {
+      return this.removeSession(sessionIdentifier, function(error) {
+        callback(error || null, null);
+      });
+    }
+
+    // Get the user that belongs to the session
+    this.getAuthenticatedUser(session.userId, session, function(error, user) {
+
+      if(error || user === null) {
+        return callback(error || null, null);
+      }
+
+      // Slide the session expiration on activity
+      this.renewSession(session, function(error) {
+        user.expiration = session.expiration;
+        callback(error || null, user);
+      });
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+Database.prototype.getTokenUser = function(token, callback) {
+
+  /*
+   * Function Database.getTokenUser
+   * Returns an user object from an API token
+   * Requests made with a token are not bound to a session
+   */
+
+  this.tokens().findOne({"hash": SHA256(token)}, function(error, document) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    // The token does not exist or was revoked
+    if(document === null) {
+      return callback(null, null);
+    }
+
+    var session = {
+      "sessionId": null,
+      "expiration": null,
+      "csrf": null,
+      "network": document.network
+    }
+
+    this.getAuthenticatedUser(document.userId, session, function(error, user) {
+
+      if(error || user === null) {
+        return callback(error || null, null);
+      }
+
+      // Keep track of when the token was last used
+      this.tokens().updateOne({"_id": document._id}, {"$set": {"used": new Date()}}, function(error) {
+        callback(error || null, user);
+      });
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+Database.prototype.getAuthenticatedUser = function(userId, session, callback) {
+
+  /*
+   * Function Database.getAuthenticatedUser
+   * Returns the user object for an authenticated session or token
+   * The network selected in the session is used when it is still granted
+   */
+
+  this.getUserById(userId, function(error, user) {
+
+    // Error querying the database
+    if(error) {
+      return callback(error);
+    }
+
+    // No error but no user could be found
+    if(user === null) {
+      return callback(null, null);
+    }
+
+    // The account was disabled by an administrator
+    if(user.disabled) {
+      return callback(null, null);
+    }
+
+    // Use the network selected for this session if it is still granted
+    var grants = getNetworkGrants(user);
+    var network = grants.find(x => isSameNetwork(x, session.network)) || grants[0];
+
+    this.getActivePrototype(network, function(error, documents) {
+
+      // Error querying the database
+      if(error) {
+        return callback(error);
+      }
+
+      // Administrators can go without a prototype
+      if(user.role === this.ROLES.ADMINISTRATOR) {
+        return callback(null, new User(user, session, null));
+      }
+
+      // No error but no prototype could be found: disable user
+      if(!documents || documents.length === 0) {
+        return callback(null, null);
+      }
+
+      // Callback with the authenticated user
+      callback(null, new User(user, session, documents.pop()));
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+Database.prototype.getExternalUser = function(identity, grants, callback) {
+
+  /*
+   * Function Database.getExternalUser
+   * Maps an identity asserted by an external provider to a local user
+   * Unknown identities are linked by username or provisioned when configured
+   */
+
+  var query = {
+    "identities": {"$elemMatch": {"provider": identity.provider, "subject": identity.subject}}
+  }
+
+  this.users().findOne(query, function(error, user) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    // The identity is known
+    if(user !== null) {
+      return this.synchronizeGrants(user, grants, callback);
+    }
+
+    if(!CONFIG.AUTHENTICATION.LINK_USERNAME) {
+      return this.provisionUser(identity, grants, callback);
+    }
+
+    // Link the identity to a local user with the same username
+    var linkQuery = {
+      "username": identity.username,
+      "identities.provider": {"$ne": identity.provider}
+    }
+
+    var update = {
+      "$push": {"identities": {"provider": identity.provider, "subject": identity.subject}}
+    }
+
+    this.users().findOneAndUpdate(linkQuery, update, {"returnOriginal": false}, function(error, result) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      if(result.value === null) {
+        return this.provisionUser(identity, grants, callback);
+      }
+
+      logger.info("Linked " + identity.provider + " identity " + identity.subject + " to user " + result.value.username);
+
+      this.synchronizeGrants(result.value, grants, callback);
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+Database.prototype.provisionUser = function(identity, grants, callback) {
+
+  /*
+   * Function Database.provisionUser
+   * Creates a local user for an external identity from its group grants
+   * Provisioned users have no local password
+   */
+
+  // Only identities with mapped groups and networks are provisioned
+  if(!CONFIG.AUTHENTICATION.PROVISION || grants === null || grants.networks.length === 0) {
+    return callback(null, null);
+  }
+
+  this.getUserByName(identity.username, function(error, document) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    // Never take over an existing local user
+    if(document !== null) {
+      logger.info("Cannot provision " + identity.provider + " identity " + identity.subject + ": username " + identity.username + " is taken");
+      return callback(null, null);
+    }
+
+    this.resolveNetworks(grants.networks, function(error, networks) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      if(networks.length === 0) {
+        return callback(null, null);
+      }
+
+      var userObject = {
+        "username": identity.username,
+        "password": null,
+        "identities": [{"provider": identity.provider, "subject": identity.subject}],
+        "network": networks[0],
+        "networks": networks,
+        "role": grants.role,
+        "created": new Date(),
+        "version": CONFIG.__VERSION__,
+        "visited": null
+      }
+
+      this.users().insertOne(userObject, function(error) {
+
+        if(error) {
+          return callback(error);
+        }
+
+        logger.info("Provisioned user " + userObject.username + " for " + identity.provider + " identity " + identity.subject);
+
+        callback(null, userObject);
+
+      });
+
+    }.bind(this));
+
+  }.bind(this));
+
+}
+
+Database.prototype.synchronizeGrants = function(user, grants, callback) {
+
+  /*
+   * Function Database.synchronizeGrants
+   * Updates the role and network grants of a user to the groups of an external identity
+   * Users without mapped groups keep the grants set by an administrator
+   */
+
+  if(grants === null) {
+    return callback(null, user);
+  }
+
+  this.resolveNetworks(grants.networks, function(error, networks) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    if(networks.length === 0) {
+      return callback(null, user);
+    }
+
+    var update = {
+      "role": grants.role,
+      "network": networks[0],
+      "networks": networks
+    }
+
+    this.updateUser(user._id, update, function(error) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      callback(null, Object.assign(user, update));
+
+    });
+
+  }.bind(this));
+
+}
+
+Database.prototype.resolveNetworks = function(identifiers, callback) {
+
+  /*
+   * Function Database.resolveNetworks
+   * Resolves network identifiers ("CODE START") to the networks of their active prototypes
+   * Networks without a prototype are skipped
+   */
+
+  var queue = identifiers.slice();
+  var networks = new Array();
+  var next;
+
+  (next = function() {
+
+    if(!queue.length) {
+      return callback(null, networks);
+    }
+
+    var [code, start] = queue.shift().split(" ");
+
+    this.getActivePrototype({"code": code, "start": new Date(start)}, function(error, documents) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      if(documents.length === 0) {
+        logger.info("No prototype found for granted network " + code + " " + start);
+      } else {
+        networks.push(documents.pop().network);
+      }
+
+      next();
+
+    });
+
+  }.bind(this))();
+
+}
+
+Database.prototype.createChallenge = function(user, callback) {
+
+  /*
+   * Function Database.createChallenge
+   * Creates a pending login for a user that must still pass the second factor
+   */
+
+  const BYTES_ENTROPY = 32;
+
+  var challengeId = randomId(BYTES_ENTROPY);
+
+  var storeObject = {
+    "challengeId": challengeId,
+    "userId": user._id,
+    "attempts": 0,
+    "created": new Date(),
+    "expiration": new Date(Date.now() + CONFIG.TOTP.CHALLENGE_TIMEOUT)
+  }
+
+  this.challenges().insertOne(storeObject, function(error) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, challengeId);
+
+  });
+
+}
+
+Database.prototype.getChallenge = function(challengeId, callback) {
+
+  /*
+   * Function Database.getChallenge
+   * Returns a pending login that has not expired
+   */
+
+  this.challenges().findOne({"challengeId": challengeId, "expiration": {"$gt": new Date()}}, callback);
+
+}
+
+Database.prototype.registerChallengeFailure = function(challengeId, callback) {
+
+  /*
+   * Function Database.registerChallengeFailure
+   * Counts a failed second factor attempt and removes the pending login after too many
+   */
+
+  this.challenges().findOneAndUpdate({"challengeId": challengeId}, {"$inc": {"attempts": 1}}, {"returnOriginal": false}, function(error, result) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    if(result.value === null || result.value.attempts < CONFIG.TOTP.MAXIMUM_ATTEMPTS) {
+      return callback(null, false);
+    }
+
+    this.removeChallenge(challengeId, function(error) {
+      callback(error, true);
+    });
+
+  }.bind(this));
+
+}
+
+Database.prototype.removeChallenge = function(challengeId, callback) {
+
+  /*
+   * Function Database.removeChallenge
+   * Removes a pending login
+   */
+
+  this.challenges().deleteOne({"challengeId": challengeId}, callback);
+
+}
+
+Database.prototype.setPendingTOTP = function(userId, secret, callback) {
+
+  /*
+   * Function Database.setPendingTOTP
+   * Stores a new TOTP secret that is enabled after the first valid code
+   * An enabled second factor is never overwritten
+   */
+
+  var update = {
+    "$set": {
+      "totp": {
+        "secret": secret,
+        "enabled": false,
+        "lastStep": null,
+        "recovery": new Array(),
+        "created": new Date()
+      }
+    }
+  }
+
+  this.users().updateOne({"_id": this.ObjectId(userId), "totp.enabled": {"$ne": true}}, update, callback);
+
+}
+
+Database.prototype.enableTOTP = function(userId, step, recoveryCodes, callback) {
+
+  /*
+   * Function Database.enableTOTP
+   * Enables the second factor of a user with a set of hashed recovery codes
+   */
+
+  var update = {
+    "$set": {
+      "totp.enabled": true,
+      "totp.lastStep": step,
+      "totp.recovery": recoveryCodes.map(SHA256)
+    }
+  }
+
+  this.users().updateOne({"_id": this.ObjectId(userId), "totp.enabled": false}, update, callback);
+
+}
+
+Database.prototype.disableTOTP = function(userId, callback) {
+
+  /*
+   * Function Database.disableTOTP
+   * Removes the second factor of a user
+   */
+
+  this.users().updateOne({"_id": this.ObjectId(userId)}, {"$unset": {"totp": ""}}, callback);
 
-    switch(session.role) {
-      case this.ROLES.ADMINISTRATOR:
-        return {"sha256": hash}
-      default:
-        return {"network.code": session.prototype.network.code, "network.start": session.prototype.network.start, "sha256": hash}
-    }
+}
 
-  }
+Database.prototype.setRecoveryCodes = function(userId, recoveryCodes, callback) {
+
+  /*
+   * Function Database.setRecoveryCodes
+   * Replaces the hashed recovery codes of a user
+   */
 
-  this.supersedeLatest(getQuery.call(this, session, hash), callback);
+  this.users().updateOne({"_id": this.ObjectId(userId), "totp.enabled": true}, {"$set": {"totp.recovery": recoveryCodes.map(SHA256)}}, callback);
 
 }
 
-Database.prototype.getFileByHash = function(hash, callback) {
+Database.prototype.useTOTPStep = function(userId, step, callback) {
 
   /*
-   * Function Database.getFileByHash
-   * Returns the metadata identified by its SHA256 hash
+   * Function Database.useTOTPStep
+   * Marks a TOTP time step as used: a step can only be used once
    */
 
-  this.files().findOne({"sha256": hash}, callback);
+  var query = {
+    "_id": this.ObjectId(userId),
+    "$or": [{"totp.lastStep": null}, {"totp.lastStep": {"$lt": step}}]
+  }
+
+  this.users().updateOne(query, {"$set": {"totp.lastStep": step}}, function(error, result) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, result.matchedCount === 1);
+
+  });
 
 }
 
-Database.prototype.getFilesByStation = function(session, queryString, callback) {
+Database.prototype.useRecoveryCode = function(userId, code, callback) {
 
   /*
-   * Function Database.getFilesByStation
-   * Returns the list of metadata files identified by its network, station code
+   * Function Database.useRecoveryCode
+   * Consumes a single use recovery code
    */
 
-  function getQuery(session, queryString) {
+  var hash = SHA256(code);
 
-    /*
-     * Function Database.getFilesByStation::getQuery
-     * Returns the query based on the role of the user
-     * Administrators have global access 
-     */
+  this.users().updateOne({"_id": this.ObjectId(userId), "totp.recovery": hash}, {"$pull": {"totp.recovery": hash}}, function(error, result) {
 
-    switch(session.role) {
-      case this.ROLES.ADMINISTRATOR: 
-        return {"station": queryString.station, "network.code": queryString.network}
-      default:
-        return {"station": queryString.station, "network.code": session.prototype.network.code, "network.start": session.prototype.network.start}
+    if(error) {
+      return callback(error);
     }
 
+    callback(null, result.matchedCount === 1);
+
+  });
+
+}
+
+Database.prototype.createToken = function(session, name, callback) {
+
+  /*
+   * Function Database.createToken
+   * Creates a new API token for a user
+   * Only the hash is stored: the token itself is returned once
+   */
+
+  const BYTES_ENTROPY = 32;
+
+  var token = randomId(BYTES_ENTROPY);
+
+  var document = {
+    "userId": session._id,
+    "name": name,
+    "hash": SHA256(token),
+    "prefix": token.slice(0, 8),
+    "network": session.prototype ? session.prototype.network : null,
+    "created": new Date(),
+    "used": null
   }
 
-  var findQuery = getQuery.call(this, session, queryString);
+  this.tokens().insertOne(document, function(error) {
 
-  this.files().find(findQuery).toArray(callback);
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null, token, document);
+
+  });
 
 }
 
-Database.prototype.getNewMessageCount = function(id, callback) {
+Database.prototype.getTokens = function(userId, callback) {
 
   /*
-   * Function Database.getNewMessageCount
-   * Returns the number of new (unread) messages
+   * Function Database.getTokens
+   * Returns the API tokens of a user without their hashes
    */
 
-  this.messages().find({"recipient": this.ObjectId(id), "read": false, "recipientDeleted": false}).count(callback);
+  this.tokens().find({"userId": userId}).project({"hash": false}).sort({"created": this.DESCENDING}).toArray(callback);
 
 }
 
-Database.prototype.getMessages = function(id, callback) {
+Database.prototype.removeToken = function(userId, id, callback) {
 
   /*
-   * Function Database.getMessages
-   * Returns an array of messages (sent or received)
+   * Function Database.removeToken
+   * Revokes an API token of a user
    */
 
-  this.messages().find({"$or": [{"recipient": this.ObjectId(id), "recipientDeleted": false }, {"sender": this.ObjectId(id), "senderDeleted": false}]}).sort({"created": this.DESCENDING}).toArray(callback);
+  this.tokens().deleteOne({"_id": this.ObjectId(id), "userId": userId}, callback);
 
 }
 
-Database.prototype.getMessageById = function(id, messageId, callback) {
+Database.prototype.getAcceptedInventory = function(callback) {
 
   /*
-   * Function Database.getMessageById
-   * Returns a single message identified by its MongoDB ObjectId
+   * Function Database.getAcceptedInventory
+   * Returns the list of accepted metadata from the database
    */
 
-  this.messages().findOne({"_id": this.ObjectId(messageId), "$or": [{"recipient": this.ObjectId(id), "recipientDeleted": false}, {"sender": this.ObjectId(id), "senderDeleted": false}]}, callback);
+  // The pipeline for getting all most recent metadata flagged as ACCEPTED or COMPLETED per station
+  // Published metadata remains in the inventory while more recent metadata is processed or reviewed
+  const pipeline = [{
+    "$match": {
+      "status": {
+        "$in": [
+          this.METADATA_STATUS_ACCEPTED,
+          this.METADATA_STATUS_COMPLETED
+        ]
+      }
+    }
+  }, {
+    "$sort": {
+      "created": 1
+    }
+  }, {
+    "$group": {
+      "_id": {
+        "network": "$network",
+        "station": "$station",
+      },
+      "id": {
+        "$last": "$_id"
+      },
+      "created": {
+        "$last": "$created"
+      },
+      "status": {
+        "$last": "$status"
+      },
+      "filepath": {
+        "$last": "$filepath"
+      }
+    }
+  }];
+
+  this.files().aggregate(pipeline).toArray(callback);
 
 }
 
-Database.prototype.getSessionUser = function(sessionIdentifier, callback) {
+Database.prototype.getInventoryAt = function(at, callback) {
 
-  /* 
-   * Function Databasr.getSessionUser
-   * Returns an user object from a session identifier
+  /*
+   * Function Database.getInventoryAt
+   * Returns the list of metadata that was published at a point in time
+   * Metadata is published from the moment it becomes available until it is withdrawn by
+   * the first inventory update after it was superseded
    */
 
-  // No session cookie is available
-  if(sessionIdentifier === null) {
-    return callback(null, null);
+  // Superseded documents from before withdrawals were recorded were last modified when superseded
+  const pipeline = [{
+    "$match": {
+      "available": {"$lte": at},
+      "$or": [{
+        "status": this.METADATA_STATUS_COMPLETED
+      }, {
+        "status": this.METADATA_STATUS_SUPERSEDED,
+        "$or": [
+          {"withdrawn": {"$gt": at}},
+          {"withdrawn": {"$type": "null"}},
+          {"withdrawn": {"$exists": false}, "modified": {"$gt": at}}
+        ]
+      }]
+    }
+  }, {
+    "$sort": {
+      "available": 1
+    }
+  }, {
+    "$group": {
+      "_id": {
+        "network": "$network",
+        "station": "$station",
+      },
+      "id": {
+        "$last": "$_id"
+      },
+      "sha256": {
+        "$last": "$sha256"
+      },
+      "available": {
+        "$last": "$available"
+      },
+      "filepath": {
+        "$last": "$filepath"
+      }
+    }
+  }];
+
+  this.files().aggregate(pipeline).toArray(callback);
+
+}
+
+Database.prototype.createSession = function(user, callback) {
+
+  /*
+   * Function Database.createSession
+   * Creates a new session in the database
+   */
+
+  // Create a new session for the user
+  var session = new Session();
+
+  // Metadata to store in the session collection
+  // The expiration is used by the TTL index to remove stale sessions
+  var storeObject = {
+    "sessionId": session.id,
+    "userId": user._id,
+    "created": new Date(),
+    "expiration": session.expiration,
+    "csrf": session.csrf,
+    "network": getNetworkGrants(user)[0] || null
   }
 
-  this.getSession(sessionIdentifier, function(error, session) {
+  // Insert a new session
+  this.sessions().insertOne(storeObject, function(error, result) {
 
-    // Error querying the database
     if(error) {
       return callback(error);
     }
 
-    // The session does not exist
-    if(session === null) {
-      return callback(null, null);
+    callback(null, session);
+
+  });
+
+}
+
+Database.prototype.getActiveLockouts = function(attempts, callback) {
+
+  /*
+   * Function Database.getActiveLockouts
+   * Returns the active lockouts for a list of {type, value} login attempt identifiers
+   */
+
+  var query = {
+    "$or": attempts,
+    "lockedUntil": {"$gt": new Date()}
+  }
+
+  this.lockouts().find(query).toArray(callback);
+
+}
+
+Database.prototype.registerFailedAttempts = function(attempts, callback) {
+
+  /*
+   * Function Database.registerFailedAttempts
+   * Registers a failed login attempt for a list of {type, value} identifiers
+   * and locks the identifiers out with an exponential backoff
+   */
+
+  function getThreshold(type) {
+
+    /*
+     * Function Database.registerFailedAttempts::getThreshold
+     * Returns the number of failures allowed before an identifier is locked
+     */
+
+    switch(type) {
+      case "ip":
+        return CONFIG.LOCKOUT.IP_THRESHOLD;
+      case "username":
+      default:
+        return CONFIG.LOCKOUT.USERNAME_THRESHOLD;
     }
 
-    // Get the user that belongs to the session
-    this.getUserById(session.userId, function(error, user) {
+  }
+
+  function getLockoutDelay(failures, threshold) {
+
+    /*
+     * Function Database.registerFailedAttempts::getLockoutDelay
+     * Returns the lockout duration in milliseconds: doubled for every failure over the threshold
+     */
+
+    return Math.min(CONFIG.LOCKOUT.DELAY * Math.pow(2, failures - threshold), CONFIG.LOCKOUT.MAXIMUM_DELAY);
+
+  }
+
+  var now = new Date();
+  var queue = attempts.slice();
+  var next;
+
+  // Register the attempts one by one
+  (next = function() {
+
+    // All attempts were registered
+    if(!queue.length) {
+      return callback(null);
+    }
+
+    var attempt = queue.pop();
+    var threshold = getThreshold(attempt.type);
+
+    var update = {
+      "$inc": {"failures": 1},
+      "$set": {"lastAttempt": now, "expiration": new Date(now.getTime() + CONFIG.LOCKOUT.RESET)}
+    }
+
+    this.lockouts().findOneAndUpdate(attempt, update, {"upsert": true, "returnOriginal": false}, function(error, result) {
 
-      // Error querying the database
       if(error) {
         return callback(error);
       }
 
-      // No error but no user could be found
-      if(user === null) {
-        return callback(null, null);
+      // Not enough failures to lock out
+      if(result.value.failures < threshold) {
+        return next();
       }
 
-      this.getActivePrototype(user.network, function(error, documents) {
+      var lockedUntil = new Date(now.getTime() + getLockoutDelay(result.value.failures, threshold));
+
+      logger.info("Locking out " + attempt.type + " " + attempt.value + " until " + lockedUntil.toISOString());
+
+      this.lockouts().updateOne({"_id": result.value._id}, {"$set": {"lockedUntil": lockedUntil}}, function(error) {
+
+        if(error) {
+          return callback(error);
+        }
+
+        next();
+
+      });
+
+    }.bind(this));
+
+  }.bind(this))();
+
+}
+
+Database.prototype.clearFailedAttempts = function(attempt, callback) {
+
+  /*
+   * Function Database.clearFailedAttempts
+   * Forgets failed login attempts for a {type, value} identifier
+   */
+
+  this.lockouts().deleteOne(attempt, callback);
+
+}
+
+Database.prototype.getAllLockouts = function(callback) {
+
+  /*
+   * Function Database.getAllLockouts
+   * Returns all tracked failed login attempts
+   */
+
+  this.lockouts().find().sort({"lastAttempt": this.DESCENDING}).toArray(callback);
+
+}
+
+Database.prototype.removeLockout = function(id, callback) {
+
+  /*
+   * Function Database.removeLockout
+   * Removes a lockout identified by its MongoDB ObjectId
+   */
+
+  this.lockouts().deleteOne({"_id": this.ObjectId(id)}, callback);
+
+}
+
+Database.prototype.renewSession = function(session, callback) {
+
+  /*
+   * Function Database.renewSession
+   * Slides the expiration of an active session forward
+   * Sessions are only renewed after half of their lifetime to limit database writes
+   */
+
+  // The session is still fresh
+  if(session.expiration.getTime() - Date.now() > 0.5 * CONFIG.SESSION.TIMEOUT) {
+    return callback(null);
+  }
+
+  var expiration = getSessionExpiration();
+
+  this.sessions().updateOne({"sessionId": session.sessionId}, {"$set": {"expiration": expiration}}, function(error) {
+
+    if(error) {
+      return callback(error);
+    }
 
-        // Error querying the database
-        if(error) {
-          return callback(error);
-        }
+    session.expiration = expiration;
 
-        // Administrators can go without a prototype
-        if(user.role === this.ROLES.ADMINISTRATOR) {
-          return callback(null, new User(user, sessionIdentifier, null));
-        }
+    callback(null);
 
-        // No error but no prototype could be found: disable user
-        if(documents.length === 0) {
-          return callback(null, null);
-        }
+  });
 
-        // Callback with the authenticated user
-        callback(null, new User(user, sessionIdentifier, documents.pop()));
+}
 
-      }.bind(this));
+Database.prototype.removeSession = function(sessionIdentifier, callback) {
 
-    }.bind(this));
+  /*
+   * Function Database.removeSession
+   * Removes a single session from the database
+   */
 
-  }.bind(this));
+  this.sessions().deleteOne({"sessionId": sessionIdentifier}, callback);
 
 }
 
-Database.prototype.getAcceptedInventory = function(callback) {
+Database.prototype.removeUserSessions = function(userId, callback) {
 
   /*
-   * Function Database.getAcceptedInventory
-   * Returns the list of accepted metadata from the database
+   * Function Database.removeUserSessions
+   * Removes all sessions that belong to a user
    */
 
-  // The pipeline for getting all most recent metadata flagged as ACCEPTED or COMPLETED per station
-  const pipeline = [{
-    "$group": {
-      "_id": {
-        "network": "$network",
-        "station": "$station",
-      },
-      "id": {
-        "$last": "$_id"
-      },
-      "created": {
-        "$last": "$created"
-      },
-      "status": {
-        "$last": "$status"
-      },
-      "filepath": {
-        "$last": "$filepath"
-      }
-    }
-  }, {
-    "$match": {
-        "status": {
-          "$in": [
-            this.METADATA_STATUS_ACCEPTED,
-            this.METADATA_STATUS_COMPLETED
-          ]
-        }
-      }
-  }];
-
-  this.files().aggregate(pipeline).toArray(callback);
+  this.sessions().deleteMany({"userId": userId}, callback);
 
 }
 
-Database.prototype.createSession = function(user, callback) {
+Database.prototype.selectSessionNetwork = function(sessionIdentifier, network, callback) {
 
   /*
-   * Function Database.createSession
-   * Creates a new session in the database
+   * Function Database.selectSessionNetwork
+   * Changes the network that is managed in a session
    */
 
-  // Create a new session for the user
-  var session = new Session();
-
-  // Metadata to store in the session collection
-  var storeObject = {"sessionId": session.id, "userId": user._id, "created": new Date()}
+  this.sessions().updateOne({"sessionId": sessionIdentifier}, {"$set": {"network": network}}, callback);
 
-  // Insert a new session
-  this.sessions().insertOne(storeObject, function(error, result) {
+}
 
-    if(error) {
-      return callback(error);
-    }
+Database.prototype.removeOtherSessions = function(userId, sessionIdentifier, callback) {
 
-    callback(null, session);
+  /*
+   * Function Database.removeOtherSessions
+   * Removes all sessions of a user except the given session
+   */
 
-  });
+  this.sessions().deleteMany({"userId": userId, "sessionId": {"$ne": sessionIdentifier}}, callback);
 
 }
 
-
-Database.prototype.writeSubmittedFiles = function(id, XMLDocuments, callback) {
+Database.prototype.writeSubmittedFiles = function(actor, XMLDocuments, callback) {
 
   /*
    * Function Database.writeSubmittedFiles
@@ -799,6 +2322,12 @@ Database.prototype.writeSubmittedFiles = function(id, XMLDocuments, callback) {
       "sha256": metadata.sha256,
       "error": null,
       "available": null,
+      "lease": null,
+      "attempts": 0,
+      "retryAfter": null,
+      "history": new Array(),
+      "report": null,
+      "rollback": metadata.rollback || null,
       "modified": now,
       "created": now
     }
@@ -816,7 +2345,10 @@ Database.prototype.writeSubmittedFiles = function(id, XMLDocuments, callback) {
     if(!XMLDocuments.length) {
 
       // Write a private message to each administrator
-      this.messageAdministrators(id, submittedFiles);
+      this.messageAdministrators(actor.userId, submittedFiles);
+
+      // Wake up the metadaemon
+      this.notify("files.submitted");
 
       // Fire callback without an error
       return callback(null);
@@ -827,12 +2359,13 @@ Database.prototype.writeSubmittedFiles = function(id, XMLDocuments, callback) {
     var file = XMLDocuments.pop();
 
     // Create a file metadata object
-    var metadata = FileMetadata.call(this, id, file.metadata);
+    var metadata = FileMetadata.call(this, actor.userId, file.metadata);
 
     // Status to ignore
     var statusIgnore = [
       this.METADATA_STATUS_TERMINATED,
       this.METADATA_STATUS_REJECTED,
+      this.METADATA_STATUS_FAILED,
       this.METADATA_STATUS_SUPERSEDED
     ];
 
@@ -864,18 +2397,35 @@ Database.prototype.writeSubmittedFiles = function(id, XMLDocuments, callback) {
             return callback(error);
           }
 
-          // Supersede previous metadata documents (outdated metadata)
-          this.supersedeFileByStation(document.insertedId, metadata, function(error) {
+          this.audit(actor, metadata.rollback ? "metadata.rollback" : "metadata.upload", metadata.sha256, null, {
+            "network": metadata.network.code,
+            "station": metadata.station,
+            "filename": metadata.filename,
+            "size": metadata.size,
+            "rollback": metadata.rollback
+          });
+
+          // Metadata of networks that require review stays published until the new metadata is approved
+          this.requiresReview(metadata.network, function(error, review) {
 
             if(error) {
               return callback(error);
             }
 
-            // Save the written filename for a message sent to the administrators
-            submittedFiles.push(metadata.filename);
+            // Supersede previous metadata documents (outdated metadata)
+            this.supersedeFileByStation(document.insertedId, metadata, actor, review, function(error) {
+
+              if(error) {
+                return callback(error);
+              }
 
-            // More files to write
-            next();
+              // Save the written filename for a message sent to the administrators
+              submittedFiles.push(metadata.filename);
+
+              // More files to write
+              next();
+
+            }.bind(this));
 
           }.bind(this));
 
@@ -956,10 +2506,12 @@ Database.prototype.getStagedFiles = function(session, callback) {
   var findQuery = {
     "status": {
       "$in": [
+        this.METADATA_STATUS_FAILED,
         this.METADATA_STATUS_REJECTED,
         this.METADATA_STATUS_PENDING,
         this.METADATA_STATUS_CONVERTED,
         this.METADATA_STATUS_VALIDATED,
+        this.METADATA_STATUS_AWAITING_REVIEW,
         this.METADATA_STATUS_ACCEPTED
       ]
     }
@@ -975,11 +2527,13 @@ Database.prototype.getStagedFiles = function(session, callback) {
   var include = {
     "status": 1,
     "error": 1,
+    "report": 1,
     "sha256": 1,
     "nChannels": 1,
     "network": 1,
     "size": 1,
     "created": 1,
+    "modified": 1,
     "station": 1
   }
 
@@ -1013,14 +2567,26 @@ Database.prototype.getSeedlinkServers = function(session, callback) {
 
 }
 
-Database.prototype.setAvailable = function(ids, callback) {
+Database.prototype.setAvailable = function(ids, entry, callback) {
 
   /*
    * Function Database.setAvailable
    * Sets document status inside ids array to COMPLETED
+   * The inventory update is added to the timeline of the files that became available
    */
 
-  this.files().updateMany({"_id": {"$in": ids}}, {"$set": {"status": this.METADATA_STATUS_COMPLETED}}, function(error, count) {
+  var now = new Date();
+
+  var update = {
+    "$set": {
+      "status": this.METADATA_STATUS_COMPLETED,
+      "modified": now,
+      "available": now
+    },
+    "$push": {"history": entry}
+  }
+
+  this.files().updateMany({"_id": {"$in": ids}, "status": this.METADATA_STATUS_ACCEPTED}, update, function(error, count) {
 
     if(error) { 
       return callback(error);
@@ -1032,6 +2598,54 @@ Database.prototype.setAvailable = function(ids, callback) {
 
 }
 
+Database.prototype.setWithdrawn = function(started, callback) {
+
+  /*
+   * Function Database.setWithdrawn
+   * Records the date & time superseded documents were removed from the published inventory
+   * Documents superseded after the inventory was merged are still included
+   */
+
+  var query = {
+    "status": this.METADATA_STATUS_SUPERSEDED,
+    "withdrawn": {"$type": "null"},
+    "modified": {"$lt": started}
+  }
+
+  this.files().updateMany(query, {"$set": {"withdrawn": new Date()}}, function(error) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    callback(null);
+
+  });
+
+}
+
+Database.prototype.addInventoryFailure = function(ids, started, error, callback) {
+
+  /*
+   * Function Database.addInventoryFailure
+   * Adds a failed inventory update to the timeline of the files waiting to become available
+   * and propagates the original error
+   */
+
+  var entry = this.createInventoryEntry(started, error);
+
+  this.files().updateMany({"_id": {"$in": ids}, "status": this.METADATA_STATUS_ACCEPTED}, {"$push": {"history": entry}}, function(databaseError) {
+
+    if(databaseError) {
+      logger.error(databaseError);
+    }
+
+    callback(error);
+
+  });
+
+}
+
 Database.prototype.addUser = function(postBody, callback) {
 
   /*
@@ -1039,11 +2653,6 @@ Database.prototype.addUser = function(postBody, callback) {
    * Adds a new user to the database
    */
 
-  // Get a random salt and hash the submitted password
-  var salt = randomId(32);
-
-  // Add the salt and hash the password for saving
-  var passwordHash = SHA256(postBody.password + salt);
   var role = Number(postBody.role);
 
   // Do some sanity checks
@@ -1094,25 +2703,36 @@ Database.prototype.addUser = function(postBody, callback) {
         return callback(new Error("The requested prototype could not be found: " + JSON.stringify(network)));
       }
 
-      // User object to be stored in the database
-      var userObject = {
-        "username": postBody.username,
-        "password": passwordHash,
-        "salt": salt,
-        "network": documents.pop().network,
-        "role": role,
-        "created": new Date(),
-        "version": CONFIG.__VERSION__,
-        "visited": null
-      }
+      var network = documents.pop().network;
 
-      // Add the MongoDB user document
-      this.users().insertOne(userObject, callback);
+      // Hash the submitted password for saving
+      hashPassword(postBody.password, function(error, passwordHash) {
 
-      // Remove the Default ORFEUS Administrator when a new administrator is added
-      if(role === this.ROLES.ADMINISTRATOR) {
-        this.users().deleteMany({"username": "Administrator"});
-      }
+        if(error) {
+          return callback(error);
+        }
+
+        // User object to be stored in the database
+        var userObject = {
+          "username": postBody.username,
+          "password": passwordHash,
+          "network": network,
+          "networks": [network],
+          "role": role,
+          "created": new Date(),
+          "version": CONFIG.__VERSION__,
+          "visited": null
+        }
+
+        // Add the MongoDB user document
+        this.users().insertOne(userObject, callback);
+
+        // Remove the Default ORFEUS Administrator when a new administrator is added
+        if(role === this.ROLES.ADMINISTRATOR) {
+          this.users().deleteMany({"username": "Administrator"});
+        }
+
+      }.bind(this));
 
     }.bind(this));
 
@@ -1120,6 +2740,84 @@ Database.prototype.addUser = function(postBody, callback) {
 
 }
 
+Database.prototype.updatePassword = function(id, password, callback) {
+
+  /*
+   * Function Database.updatePassword
+   * Hashes and stores a new password for a user
+   */
+
+  hashPassword(password, function(error, passwordHash) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    // Legacy SHA256 hashes kept the salt in a separate field
+    // A pending password reset token is no longer valid
+    this.users().updateOne({"_id": id}, {"$set": {"password": passwordHash}, "$unset": {"salt": "", "reset": ""}}, function(error, result) {
+
+      if(error) {
+        return callback(error);
+      }
+
+      callback(null);
+
+    });
+
+  }.bind(this));
+
+}
+
+Database.prototype.createPasswordReset = function(id, callback) {
+
+  /*
+   * Function Database.createPasswordReset
+   * Creates a one-time password reset token for a user
+   * Only the hash of the token is stored and the token expires
+   */
+
+  const BYTES_ENTROPY = 32;
+
+  var token = randomId(BYTES_ENTROPY);
+
+  var reset = {
+    "hash": SHA256(token),
+    "expiration": new Date(Date.now() + CONFIG.PASSWORD.RESET_TIMEOUT)
+  }
+
+  this.users().updateOne({"_id": this.ObjectId(id)}, {"$set": {"reset": reset}}, function(error, result) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    // The user does not exist
+    if(result.matchedCount === 0) {
+      return callback(null, null);
+    }
+
+    callback(null, token, reset.expiration);
+
+  });
+
+}
+
+Database.prototype.getUserByResetToken = function(token, callback) {
+
+  /*
+   * Function Database.getUserByResetToken
+   * Returns the user that owns a valid password reset token
+   */
+
+  if(typeof token !== "string") {
+    return callback(null, null);
+  }
+
+  this.users().findOne({"reset.hash": SHA256(token), "reset.expiration": {"$gt": new Date()}}, callback);
+
+}
+
 Database.prototype.readPrototypeDirectory = function(callback) {
 
   /*
@@ -1155,7 +2853,7 @@ Database.prototype.updateUserVisit = function(id) {
 
 }
 
-Database.prototype.updateAllPrototypes = function(sessionId, callback) {
+Database.prototype.updateAllPrototypes = function(actor, callback) {
 
   /*
    * Function WebRequest.updateAllPrototypes
@@ -1183,7 +2881,7 @@ Database.prototype.updateAllPrototypes = function(sessionId, callback) {
       }
 
       // Delegate handling of prototype update
-      this.handlePrototypeUpdate(files.pop(), sessionId, function(error) {
+      this.handlePrototypeUpdate(files.pop(), actor, function(error) {
 
         if(error) {
           return callback(error);
@@ -1199,7 +2897,7 @@ Database.prototype.updateAllPrototypes = function(sessionId, callback) {
 
 }
 
-Database.prototype.handlePrototypeUpdate = function(file, sessionId, callback) {
+Database.prototype.handlePrototypeUpdate = function(file, actor, callback) {
 
   /*
    * Function WebRequest.handlePrototypeUpdates
@@ -1229,13 +2927,25 @@ Database.prototype.handlePrototypeUpdate = function(file, sessionId, callback) {
         return callback(error);
       }
 
+      var previous = documents.length !== 0 ? documents.pop().sha256 : null;
+
       // Do nothing if the active prototype was resubmitted 
-      if(documents.length !== 0 && parsedPrototype.sha256 === documents.pop().sha256) {
+      if(parsedPrototype.sha256 === previous) {
         return callback(null);
       }
 
       // Write the prototype to disk
-      this.writePrototype(parsedPrototype, buffer, sessionId, callback);
+      this.writePrototype(parsedPrototype, buffer, actor, function(error) {
+
+        if(error) {
+          return callback(error);
+        }
+
+        this.audit(actor, "prototype.update", parsedPrototype.network.code + " " + new Date(parsedPrototype.network.start).toISOString(), {"sha256": previous}, {"sha256": parsedPrototype.sha256});
+
+        callback(null);
+
+      }.bind(this));
 
     }.bind(this));
 
@@ -1243,7 +2953,7 @@ Database.prototype.handlePrototypeUpdate = function(file, sessionId, callback) {
 
 }
 
-Database.prototype.writePrototype = function(parsedPrototype, buffer, sessionId, callback) {
+Database.prototype.writePrototype = function(parsedPrototype, buffer, actor, callback) {
 
   /*
    * Function WebRequest.writePrototype
@@ -1295,7 +3005,7 @@ Database.prototype.writePrototype = function(parsedPrototype, buffer, sessionId,
           var XMLDocuments = updateStationXML(parsedPrototype, files);
 
           // Call routine to write all updated files
-          this.writeSubmittedFiles(sessionId, XMLDocuments, callback);
+          this.writeSubmittedFiles(actor, XMLDocuments, callback);
 
         }.bind(this));
 
@@ -1316,6 +3026,8 @@ Database.prototype.RPCDatabase = function(callback) {
 
   logger.info("RPC for database update received.");
 
+  var started = new Date();
+
   const inventoryFile = path.join("seiscomp3", "etc", "inventory", "inventory.xml");
 
   // Attempt to remove the previous merged XML
@@ -1340,15 +3052,15 @@ Database.prototype.RPCDatabase = function(callback) {
 
       var files = documents.map(x => x.filepath + ".sc3ml");
 
-      seisComP3.mergeSC3ML(files, inventoryFile, function(error) {
+      seisComP3.mergeSC3ML(files, inventoryFile, function(error, stderr) {
 
         if(error) {
-          return callback(error);
+          return this.addInventoryFailure(documents.map(x => x.id), started, error, callback);
         }
 
         logger.info("RPC merged full inventory of " + documents.length + " files.");
 
-        this.RPCUpdateInventory(documents, callback);
+        this.RPCUpdateInventory(documents, started, stderr, callback);
 
       }.bind(this));
 
@@ -1369,38 +3081,73 @@ Database.prototype.restartFDSNWS = function(callback) {
 
 }
 
-Database.prototype.RPCUpdateInventory = function(documents, callback) {
+Database.prototype.createInventoryEntry = function(started, error, stderr) {
+
+  /*
+   * Function Database.createInventoryEntry
+   * Returns the timeline entry of an inventory update by this process
+   */
+
+  var worker = os.hostname() + ":" + process.pid;
+
+  // SeisComP3 rejections are passed as the stderr string
+  if(error && !(error instanceof Error)) {
+    return this.createHistoryEntry("inventory", started, worker, this.METADATA_STATUS_ACCEPTED, "The inventory could not be updated", error);
+  }
+
+  if(error) {
+    return this.createHistoryEntry("inventory", started, worker, this.METADATA_STATUS_ACCEPTED, error.message, stderr);
+  }
+
+  return this.createHistoryEntry("inventory", started, worker, this.METADATA_STATUS_COMPLETED, null, stderr);
+
+}
+
+Database.prototype.RPCUpdateInventory = function(documents, started, mergeLog, callback) {
 
   /*
    * Function Database.RPCUpdateInventory
    * Updates the internal SeisComP3 inventory and restarts FDSNWS
    */
 
-  seisComP3.updateInventory(function(error) {
+  var ids = documents.map(x => x.id);
+
+  seisComP3.updateInventory(function(error, stderr) {
 
     logger.info("SeisComP3 database has been updated.");
 
     // Error updating the database
     if(error) {
-      return callback(error);
+      return this.addInventoryFailure(ids, started, error, callback);
     }
 
+    var entry = this.createInventoryEntry(started, null, [mergeLog, stderr].join(""));
+
     // Set all submitted files to being available/completed
-    this.setAvailable(documents.map(x => x.id), function(error) {
+    this.setAvailable(ids, entry, function(error) {
 
       if(error) {
         return callback(error);
       }
 
-      this.restartFDSNWS(function(error) {
+      // Superseded files are no longer part of the inventory
+      this.setWithdrawn(started, function(error) {
 
         if(error) {
           return callback(error);
         }
 
-        return callback(null);
+        this.restartFDSNWS(function(error) {
 
-      });
+          if(error) {
+            return callback(error);
+          }
+
+          return callback(null);
+
+        });
+
+      }.bind(this));
 
     }.bind(this));
 
@@ -1450,4 +3197,83 @@ Database.prototype.streamAcceptedInventory = function(outstream, callback) {
 
 }
 
+Database.prototype.streamInventoryAt = function(at, format, outstream, callback) {
+
+  /*
+   * Function Database.streamInventoryAt
+   * Streams the inventory that was published at a point in time to the HTTP response object
+   * as merged StationXML or SC3ML
+   */
+
+  const FILENAME = CONFIG.NODE.ID + "-stationxml-inventory-" + at.toISOString() + ".xml";
+
+  logger.info("RPC for inventory at " + at.toISOString() + " received.");
+
+  this.getInventoryAt(at, function(error, documents) {
+
+    if(error) {
+      return callback(error);
+    }
+
+    if(documents.length === 0) {
+      return callback(null);
+    }
+
+    logger.info("RPC is merging " + documents.length + " inventory files published at " + at.toISOString() + ".");
+
+    // Pass writeable as output file
+    // Do not fire the callback explicitly
+    if(format === "sc3ml") {
+      return seisComP3.mergeSC3ML(documents.map(x => x.filepath + ".sc3ml"), outstream, function(error) {
+
+        if(error) {
+          return callback(error);
+        }
+
+      });
+    }
+
+    var files = new Array();
+    var next;
+
+    // Read the StationXML of the published revisions one by one
+    (next = function() {
+
+      if(files.length === documents.length) {
+
+        try {
+          var XMLString = mergeStationXML(files);
+        } catch(exception) {
+          return callback(exception);
+        }
+
+        logger.info("RPC merged inventory of " + documents.length + " files published at " + at.toISOString() + ".");
+
+        outstream.writeHead(200, {
+          "Content-Type": "application/xml",
+          "Content-Disposition": "attachment;filename=" + FILENAME
+        });
+
+        return outstream.end(XMLString);
+
+      }
+
+      fs.readFile(documents[files.length].filepath + ".stationXML", function(error, data) {
+
+        if(error) {
+          return callback(error);
+        }
+
+        files.push(data.toString());
+
+        next();
+
+      });
+
+    })();
+
+  }.bind(this));
+
+}
+
 module.exports = new Database();
@@ -41,7 +41,8 @@ const MIME = {
   "JS": {"Content-Type": "application/javascript"},
   "HTML": {"Content-Type": "text/html"},
   "XML": {"Content-Type": "application/xml"},
-  "TEXT": {"Content-Type": "text/plain"}
+  "TEXT": {"Content-Type": "text/plain"},
+  "CSV": {"Content-Type": "text/csv"}
 }
 
 function request(url, callback) {
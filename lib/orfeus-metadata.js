@@ -14,10 +14,11 @@ const path = require("path");
 const libxmljs = require("libxmljs");
 
 // Custom
-const XSDSchema = require("./lib/orfeus-xml");
+const { validateSchema, getSchemaVersion } = require("./lib/orfeus-xml");
 const logger = require("./lib/orfeus-logging");
 const { SHA256 } = require("./lib/orfeus-crypto.js");
 const { sum } = require("./lib/orfeus-util");
+const { getRuleSet, SEVERITY_ERROR, SEVERITY_OFF } = require("./lib/orfeus-rules");
 const CONFIG = require("./config");
 
 function readAttribute(element, property) {
@@ -72,7 +73,7 @@ function parsePrototype(XMLString) {
   var XMLDocument = libxmljs.parseXml(XMLString);
   var namespace = XMLDocument.root().namespace().href();
 
-  if(!XMLDocument.validate(XSDSchema)) {
+  if(!validateSchema(XMLDocument)) {
     throw new Error("Error validating network prototype against schema.");
   }
 
@@ -104,23 +105,110 @@ function parsePrototype(XMLString) {
 
 }
 
-function validateMetadata(XMLString) {
+var Finding = function(severity, rule, message, element, codes) {
+
+  /*
+   * Class Finding
+   * A single problem found in submitted StationXML
+   * identified by a rule, the affected stream and the XPath of the element
+   */
+
+  this.severity = severity;
+  this.rule = rule;
+  this.message = message;
+  this.network = codes.network || null;
+  this.station = codes.station || null;
+  this.location = codes.location === undefined ? null : codes.location;
+  this.channel = codes.channel || null;
+  this.xpath = element ? element.path() : null;
+
+}
+
+function getText(element, xpath, namespace) {
+
+  /*
+   * Function getText
+   * Returns the text of a child element or null when it is missing
+   */
+
+  var child = element.get(xpath, namespace);
+
+  if(child === null) {
+    return null;
+  }
+
+  return child.text();
+
+}
+
+function hasErrors(report) {
+
+  /*
+   * Function hasErrors
+   * Returns true when a validation report contains findings that reject the metadata
+   */
+
+  return report.some(x => x.severity === SEVERITY_ERROR);
+
+}
+
+function validateMetadata(XMLString, ruleSet) {
 
   /*
    * Function validateMetadata
    * Server side validation of StationXML metadata
+   * Returns a report of all findings instead of stopping at the first problem
+   * The severity and parameters of the rules are taken from the rule set of the network
    */
 
   const NETWORK_REGEXP = new RegExp(/^[a-z0-9]{1,2}$/i);
   const STATION_REGEXP = new RegExp(/^[a-z0-9]{1,5}$/i);
   const CHANNEL_REGEXP = new RegExp(/^[a-z0-9]{1,3}$/i);
-  const GAIN_TOLERNACE_PERCENT = 0.001;
+
+  if(ruleSet === undefined) {
+    ruleSet = getRuleSet(new Object());
+  }
+
+  var report = new Array();
+
+  function addFinding(rule, message, element, codes) {
+
+    /*
+     * Function validateMetadata::addFinding
+     * Adds a finding to the report with the configured severity of the rule
+     * Rules that are switched off are not reported
+     */
+
+    if(ruleSet[rule].severity === SEVERITY_OFF) {
+      return;
+    }
+
+    report.push(new Finding(ruleSet[rule].severity, rule, message, element, codes));
+
+  }
 
   // Parse the XML
-  var XMLDocument = libxmljs.parseXml(XMLString);
+  try {
+    var XMLDocument = libxmljs.parseXml(XMLString);
+  } catch(exception) {
+    addFinding("xml.parse", "StationXML could not be parsed: " + exception.message, null, {});
+    return report;
+  }
 
-  if(!XMLDocument.validate(XSDSchema)) {
-    throw new Error("Error validating StationXML against the schema.");
+  // The document is validated against the schema of its declared version
+  try {
+    var valid = validateSchema(XMLDocument);
+  } catch(exception) {
+    addFinding("xml.schema", exception.message, null, {});
+    return report;
+  }
+
+  // The remaining rules assume a document structured according to the schema
+  if(!valid) {
+    XMLDocument.validationErrors.forEach(function(error) {
+      addFinding("xml.schema", "Error validating StationXML against the schema: " + error.message.trim() + " (line " + error.line + ")", null, {});
+    });
+    return report;
   }
 
   var namespace = XMLDocument.root().namespace().href();
@@ -131,29 +219,41 @@ function validateMetadata(XMLString) {
 
     // Confirm network & station identifiers
     if(!NETWORK_REGEXP.test(networkCode)) {
-      throw new Error("Invalid network code.");
+      addFinding("network.code", "Invalid network code.", network, {"network": networkCode});
     }
 
     network.find("xmlns:Station", namespace).forEach(function(station) {
 
       var stationCode = station.attr("code").value();
 
+      var stationCodes = {
+        "network": networkCode,
+        "station": stationCode
+      }
+
       if(!STATION_REGEXP.test(stationCode)) {
-        throw new Error("Invalid station code.");
+        addFinding("station.code", "Invalid station code.", station, stationCodes);
       }
 
       var channels = station.find("xmlns:Channel", namespace);
 
       if(channels.length === 0) {
-        throw new Error("Channel information is missing.");
+        addFinding("station.channels", "Channel information is missing.", station, stationCodes);
       }
 
       channels.forEach(function(channel) {
 
         var channelCode = channel.attr("code").value();
 
+        var codes = {
+          "network": networkCode,
+          "station": stationCode,
+          "location": readAttribute(channel, "locationCode"),
+          "channel": channelCode
+        }
+
         if(!CHANNEL_REGEXP.test(channelCode)) {
-          throw new Error("Invalid channel code: " + channelCode + ".");
+          addFinding("channel.code", "Invalid channel code: " + channelCode + ".", channel, codes);
         }
 
         // Skip the validation of LOG channels
@@ -161,91 +261,339 @@ function validateMetadata(XMLString) {
           return;
         }
 
-        var sampleRate = Number(channel.get("xmlns:SampleRate", namespace).text());
+        var sampleRate = Number(getText(channel, "xmlns:SampleRate", namespace));
 
         if(isNaN(sampleRate) || sampleRate === 0) {
-          throw new Error("Invalid sample rate: " + sampleRate + ".");
-        }
-
-        // Confirm the bandcode against the sample rate 
-        // These are definitions we SHOULD enforce despite not doing it
-        var sampleRateCode = getExpectedBandCode(sampleRate);
-        if(sampleRateCode !== channelCode.charAt(0)) {
-          throw new Error("Sampling rate of " + sampleRate + " does not match the channel band code " + channelCode + ".");
+          addFinding("channel.sampleRate", "Invalid sample rate: " + sampleRate + ".", channel, codes);
+        } else {
+          validateBandCode(sampleRate, channel, codes);
         }
 
         var response = channel.find("xmlns:Response", namespace);
 
         if(response.length === 0) {
-          throw new Error("Required response element is missing.");
+          return addFinding("response.missing", "Required response element is missing.", channel, codes);
         }
 
         if(response.length !== 1) {
-          throw new Error("Multiple response elements are included.");
+          return addFinding("response.multiple", "Multiple response elements are included.", channel, codes);
         }
 
         var stages = response[0].find("xmlns:Stage", namespace);
 
         if(stages.length === 0) {
-          throw new Error("No response stages included in inventory.");
+          return addFinding("response.stages", "No response stages included in inventory.", response[0], codes);
         }
 
         var perStageGain = 1;
 
         stages.forEach(function(stage) {
 
-          perStageGain = perStageGain * Number(stage.get("xmlns:StageGain", namespace).get("xmlns:Value", namespace).text());
+          perStageGain = perStageGain * Number(getText(stage, "xmlns:StageGain/xmlns:Value", namespace));
 
           stage.find("xmlns:FIR", namespace).forEach(function(FIRStage) {
-            validateFIRStage(FIRStage, namespace);
+            validateFIRStage(FIRStage, namespace, codes, ruleSet, addFinding);
           });
 
         });
 
-        var instrumentSensitivity = Number(response[0].get("xmlns:InstrumentSensitivity", namespace).get("xmlns:Value", namespace).text());
+        var instrumentSensitivity = Number(getText(response[0], "xmlns:InstrumentSensitivity/xmlns:Value", namespace));
 
         // Validate stage calculated & reported gains
-        if(1 - (Math.max(instrumentSensitivity, perStageGain) / Math.min(instrumentSensitivity, perStageGain)) > GAIN_TOLERNACE_PERCENT) {
-          throw new Error("The computed and reported total stage gain are different.");
+        if(isNaN(perStageGain) || isNaN(instrumentSensitivity) || Math.max(instrumentSensitivity, perStageGain) / Math.min(instrumentSensitivity, perStageGain) - 1 > ruleSet["response.gain"].parameters.TOLERANCE) {
+          addFinding("response.gain", "The computed (" + perStageGain + ") and reported (" + instrumentSensitivity + ") total stage gain are different.", response[0], codes);
         }
 
+        validateResponse(response[0], stages, sampleRate, namespace, codes, ruleSet, addFinding);
+
       });
 
     });
 
   });
 
+  function validateBandCode(sampleRate, channel, codes) {
+
+    /*
+     * Function validateMetadata::validateBandCode
+     * Confirms the band code against the sample rate
+     * These are definitions we SHOULD enforce despite not doing it
+     */
+
+    try {
+      var sampleRateCode = getExpectedBandCode(sampleRate);
+    } catch(exception) {
+      return addFinding("channel.bandCode", exception.toString(), channel, codes);
+    }
+
+    if(sampleRateCode !== codes.channel.charAt(0)) {
+      addFinding("channel.bandCode", "Sampling rate of " + sampleRate + " does not match the channel band code " + codes.channel + ".", channel, codes);
+    }
+
+  }
+
+  return report;
+
 }
 
-function validateFIRStage(FIRStage, namespace) {
+function validateFIRStage(FIRStage, namespace, codes, ruleSet, addFinding) {
 
   /*
    * Function validateFIRStage
    * Validates StationXML FIR Stage
    */
 
-  const FIR_TOLERANCE = 0.02;
-
   // Confirm FIR Stage input units as COUNTS
-  if(FIRStage.get("xmlns:InputUnits", namespace).get("xmlns:Name", namespace).text() !== "COUNTS") {
-    throw new Error("FIR Stage input units invalid.");
+  if(getText(FIRStage, "xmlns:InputUnits/xmlns:Name", namespace) !== "COUNTS") {
+    addFinding("fir.inputUnits", "FIR Stage input units invalid.", FIRStage, codes);
   }
 
   // Confirm FIR Stage output units as COUNTS
-  if(FIRStage.get("xmlns:OutputUnits", namespace).get("xmlns:Name", namespace).text() !== "COUNTS") {
-    throw new Error("FIR Stage output units invalid.");
+  if(getText(FIRStage, "xmlns:OutputUnits/xmlns:Name", namespace) !== "COUNTS") {
+    addFinding("fir.outputUnits", "FIR Stage output units invalid.", FIRStage, codes);
   }
 
   var FIRSum = sum(FIRStage.find("xmlns:NumeratorCoefficient", namespace).map(x => Number(x.text())));
 
   // Symmetry specified: FIR coefficients are symmetrical (double the sum)
-  if(FIRStage.get("xmlns:Symmetry", namespace).text() !== "NONE") {
+  if(getText(FIRStage, "xmlns:Symmetry", namespace) !== "NONE") {
     FIRSum = 2 * FIRSum;
   }
 
   // Check if the FIR coefficient sum is within tolerance
-  if(Math.abs(1 - FIRSum) > FIR_TOLERANCE) {
-    throw new Error("Invalid FIR Coefficient Sum (" + Math.abs(1 - FIRSum).toFixed(4) + ").");
+  if(Math.abs(1 - FIRSum) > ruleSet["fir.coefficientSum"].parameters.TOLERANCE) {
+    addFinding("fir.coefficientSum", "Invalid FIR Coefficient Sum (" + Math.abs(1 - FIRSum).toFixed(4) + ").", FIRStage, codes);
+  }
+
+}
+
+function getStageFilter(stage, namespace) {
+
+  /*
+   * Function getStageFilter
+   * Returns the filter element of a response stage or null for gain-only stages
+   */
+
+  const FILTER_TYPES = ["PolesZeros", "Coefficients", "ResponseList", "FIR", "Polynomial"];
+
+  for(var type of FILTER_TYPES) {
+
+    var filter = stage.get("xmlns:" + type, namespace);
+
+    if(filter !== null) {
+      return filter;
+    }
+
+  }
+
+  return null;
+
+}
+
+function isClose(value, expected, tolerance) {
+
+  /*
+   * Function isClose
+   * Returns true when a value is within a relative tolerance of the expected value
+   */
+
+  return Math.abs(value - expected) <= tolerance * Math.abs(expected);
+
+}
+
+function getPolesZerosAmplitude(polesZeros, frequency, namespace) {
+
+  /*
+   * Function getPolesZerosAmplitude
+   * Returns the amplitude of the poles and zeros transfer function at a frequency
+   * without the normalization factor, or null for digital transfer functions
+   */
+
+  var omega;
+
+  switch(getText(polesZeros, "xmlns:PzTransferFunctionType", namespace)) {
+    case "LAPLACE (RADIANS/SECOND)":
+      omega = 2 * Math.PI * frequency;
+      break;
+    case "LAPLACE (HERTZ)":
+      omega = frequency;
+      break;
+    default:
+      return null;
+  }
+
+  function getDistance(element) {
+
+    /*
+     * Function getPolesZerosAmplitude::getDistance
+     * Returns the distance between a pole or zero and the point iω on the imaginary axis
+     */
+
+    var real = Number(getText(element, "xmlns:Real", namespace));
+    var imaginary = Number(getText(element, "xmlns:Imaginary", namespace));
+
+    return Math.hypot(real, omega - imaginary);
+
+  }
+
+  var numerator = polesZeros.find("xmlns:Zero", namespace).map(getDistance).reduce((a, b) => a * b, 1);
+  var denominator = polesZeros.find("xmlns:Pole", namespace).map(getDistance).reduce((a, b) => a * b, 1);
+
+  return numerator / denominator;
+
+}
+
+function validateResponse(response, stages, sampleRate, namespace, codes, ruleSet, addFinding) {
+
+  /*
+   * Function validateResponse
+   * Physical sanity checks of a channel response: poles and zeros normalization,
+   * the chain of stage units, decimation and the instrument sensitivity frequency
+   */
+
+  var sensitivity = response.get("xmlns:InstrumentSensitivity", namespace);
+
+  var previousFilter = null;
+  var previousSampleRate = null;
+  var polesZerosStages = new Array();
+
+  stages.forEach(function(stage) {
+
+    var stageNumber = stage.attr("number").value();
+    var filter = getStageFilter(stage, namespace);
+
+    if(filter !== null) {
+
+      var inputUnits = getText(filter, "xmlns:InputUnits/xmlns:Name", namespace);
+
+      // The units of subsequent stages must chain together
+      if(previousFilter !== null) {
+        var outputUnits = getText(previousFilter, "xmlns:OutputUnits/xmlns:Name", namespace);
+        if(inputUnits.toUpperCase() !== outputUnits.toUpperCase()) {
+          addFinding("response.units", "Stage " + stageNumber + " input units (" + inputUnits + ") do not match the output units of the previous stage (" + outputUnits + ").", filter, codes);
+        }
+      }
+
+      previousFilter = filter;
+
+    }
+
+    if(filter !== null && filter.name() === "PolesZeros") {
+      validatePolesZeros(filter, stageNumber);
+    }
+
+    var decimation = stage.get("xmlns:Decimation", namespace);
+
+    if(decimation === null) {
+      return;
+    }
+
+    var inputSampleRate = Number(getText(decimation, "xmlns:InputSampleRate", namespace));
+    var factor = Number(getText(decimation, "xmlns:Factor", namespace));
+
+    // The input sample rate must be the output sample rate of the previous decimation stage
+    if(previousSampleRate !== null && !isClose(inputSampleRate, previousSampleRate, ruleSet["response.decimation"].parameters.TOLERANCE)) {
+      addFinding("response.decimation", "Stage " + stageNumber + " input sample rate (" + inputSampleRate + ") does not match the output sample rate of the previous stage (" + previousSampleRate + ").", decimation, codes);
+    }
+
+    if(factor <= 0) {
+      return addFinding("response.decimation", "Stage " + stageNumber + " has an invalid decimation factor (" + factor + ").", decimation, codes);
+    }
+
+    previousSampleRate = inputSampleRate / factor;
+
+  });
+
+  // The final decimation stage must produce the sample rate of the channel
+  if(previousSampleRate !== null && !isClose(previousSampleRate, sampleRate, ruleSet["response.decimation"].parameters.TOLERANCE)) {
+    addFinding("response.decimation", "The output sample rate of the decimation stages (" + previousSampleRate + ") does not match the channel sample rate (" + sampleRate + ").", response, codes);
+  }
+
+  if(sensitivity === null) {
+    return;
+  }
+
+  validateSensitivityUnits();
+  validateSensitivityFrequency();
+
+  function validatePolesZeros(polesZeros, stageNumber) {
+
+    /*
+     * Function validateResponse::validatePolesZeros
+     * Confirms that the normalization factor gives unit gain at the normalization frequency
+     */
+
+    var normalizationFactor = Number(getText(polesZeros, "xmlns:NormalizationFactor", namespace));
+    var normalizationFrequency = Number(getText(polesZeros, "xmlns:NormalizationFrequency", namespace));
+    var amplitude = getPolesZerosAmplitude(polesZeros, normalizationFrequency, namespace);
+
+    // Digital transfer functions are not checked
+    if(amplitude === null) {
+      return;
+    }
+
+    polesZerosStages.push(polesZeros);
+
+    var gain = normalizationFactor * amplitude;
+
+    if(isNaN(gain) || !isClose(gain, 1, ruleSet["response.normalization"].parameters.TOLERANCE)) {
+      addFinding("response.normalization", "Stage " + stageNumber + " normalization factor (" + normalizationFactor + ") gives a gain of " + gain.toPrecision(6) + " at the normalization frequency of " + normalizationFrequency + "Hz.", polesZeros, codes);
+    }
+
+  }
+
+  function validateSensitivityUnits() {
+
+    /*
+     * Function validateResponse::validateSensitivityUnits
+     * Confirms that the stages start and end with the units of the instrument sensitivity
+     */
+
+    var filters = stages.map(x => getStageFilter(x, namespace)).filter(x => x !== null);
+
+    if(filters.length === 0) {
+      return;
+    }
+
+    var inputUnits = getText(sensitivity, "xmlns:InputUnits/xmlns:Name", namespace);
+    var outputUnits = getText(sensitivity, "xmlns:OutputUnits/xmlns:Name", namespace);
+    var firstUnits = getText(filters[0], "xmlns:InputUnits/xmlns:Name", namespace);
+    var lastUnits = getText(filters[filters.length - 1], "xmlns:OutputUnits/xmlns:Name", namespace);
+
+    if(inputUnits.toUpperCase() !== firstUnits.toUpperCase()) {
+      addFinding("response.units", "Instrument sensitivity input units (" + inputUnits + ") do not match the input units of the first stage (" + firstUnits + ").", sensitivity, codes);
+    }
+
+    if(outputUnits.toUpperCase() !== lastUnits.toUpperCase()) {
+      addFinding("response.units", "Instrument sensitivity output units (" + outputUnits + ") do not match the output units of the last stage (" + lastUnits + ").", sensitivity, codes);
+    }
+
+  }
+
+  function validateSensitivityFrequency() {
+
+    /*
+     * Function validateResponse::validateSensitivityFrequency
+     * Confirms that the instrument sensitivity frequency lies below the Nyquist frequency
+     * and in the flat part of the poles and zeros response
+     */
+
+    var frequency = Number(getText(sensitivity, "xmlns:Frequency", namespace));
+
+    if(!isNaN(sampleRate) && sampleRate > 0 && frequency >= 0.5 * sampleRate) {
+      return addFinding("response.sensitivityFrequency", "Instrument sensitivity frequency (" + frequency + "Hz) is above the Nyquist frequency (" + (0.5 * sampleRate) + "Hz).", sensitivity, codes);
+    }
+
+    // Amplitude at the sensitivity frequency relative to the normalization frequency of each stage
+    var amplitude = polesZerosStages.map(function(polesZeros) {
+      var normalizationFrequency = Number(getText(polesZeros, "xmlns:NormalizationFrequency", namespace));
+      return getPolesZerosAmplitude(polesZeros, frequency, namespace) / getPolesZerosAmplitude(polesZeros, normalizationFrequency, namespace);
+    }).reduce((a, b) => a * b, 1);
+
+    if(isNaN(amplitude) || !isClose(amplitude, 1, ruleSet["response.sensitivityFrequency"].parameters.TOLERANCE)) {
+      addFinding("response.sensitivityFrequency", "Instrument sensitivity frequency (" + frequency + "Hz) is outside of the passband of the response (relative amplitude " + amplitude.toPrecision(6) + ").", sensitivity, codes);
+    }
+
   }
 
 }
@@ -284,6 +632,98 @@ function updateStationXML(prototype, files) {
 
 }
 
+function mergeStationXML(files) {
+
+  /*
+   * Function mergeStationXML
+   * Merges the station documents written by splitStationXML to a single inventory
+   * Stations of the same network are collected under a single network element
+   */
+
+  const FDSN_SENDER = "ORFEUS";
+  const FDSN_SOURCE = "ORFEUS Manager Inventory";
+  const FDSN_MODULE = "ORFEUS Manager " + CONFIG.__VERSION__;
+  const FDSN_NAMESPACE = "http://www.fdsn.org/xml/station/1";
+
+  var networkHashMap = new Map();
+  var schemaVersions = new Set();
+
+  files.forEach(function(file) {
+
+    var XMLDocument = libxmljs.parseXml(file);
+
+    schemaVersions.add(getSchemaVersion(XMLDocument));
+
+    XMLDocument.find("xmlns:Network", FDSN_NAMESPACE).forEach(function(network) {
+
+      var identifier = network.attr("code").value() + "." + readAttribute(network, "startDate");
+
+      // The first network element is kept and the stations of the others are moved to it
+      if(!networkHashMap.has(identifier)) {
+        network.find("xmlns:Station", FDSN_NAMESPACE).forEach(x => x.remove());
+        networkHashMap.set(identifier, {"network": network, "stations": new Array()});
+      }
+
+      networkHashMap.get(identifier).stations = networkHashMap.get(identifier).stations.concat(network.find("xmlns:Station", FDSN_NAMESPACE));
+
+    });
+
+  });
+
+  // Stations submitted in different versions are merged under the most recent version
+  var schemaVersion = Array.from(schemaVersions).sort(compareVersions).pop();
+
+  var XMLDocument = new libxmljs.Document("1.0", "UTF-8");
+
+  var XMLRoot = XMLDocument.node("FDSNStationXML").attr({
+    "xmlns": FDSN_NAMESPACE,
+    "schemaVersion": schemaVersion
+  });
+
+  XMLRoot.node("Source", FDSN_SOURCE);
+  XMLRoot.node("Sender", FDSN_SENDER);
+  XMLRoot.node("Module", FDSN_MODULE);
+  XMLRoot.node("Created", new Date().toISOString());
+
+  networkHashMap.forEach(function(entry) {
+
+    // Namespace must be removed this way (known bug in libxmljs)
+    entry.network.namespace("");
+
+    XMLRoot.addChild(entry.network);
+
+    entry.stations.forEach(function(station) {
+      station.namespace("");
+      entry.network.addChild(station);
+    });
+
+  });
+
+  var XMLString = XMLDocument.toString(false).replace(new RegExp(" xmlns=\"\"", "g"), "");
+
+  // The stations of older versions must also be valid in the merged version
+  if(schemaVersions.size > 1 && !validateSchema(libxmljs.parseXml(XMLString), schemaVersion)) {
+    throw new Error("Inventory could not be merged to FDSNStationXML version " + schemaVersion + ".");
+  }
+
+  return XMLString;
+
+}
+
+function compareVersions(a, b) {
+
+  /*
+   * Function compareVersions
+   * Sorts FDSNStationXML versions (e.g. 1.0, 1.1) in ascending order
+   */
+
+  var partsA = a.split(".").map(Number);
+  var partsB = b.split(".").map(Number);
+
+  return (partsA[0] - partsB[0]) || (partsA[1] - partsB[1]);
+
+}
+
 function setEndDate(node, endDate) {
 
   /*
@@ -316,6 +756,274 @@ function setChannelRestriction(channels, restricted) {
 
 }
 
+function diffStationXML(fromXMLString, toXMLString) {
+
+  /*
+   * Function diffStationXML
+   * Compares two revisions of the StationXML of a station
+   * Reports changed station attributes and added, removed and modified channel epochs
+   * Channel epochs are identified by their location code, channel code and start time
+   */
+
+  const STATION_PROPERTIES = {
+    "end": "@endDate",
+    "restricted": "@restrictedStatus",
+    "latitude": "xmlns:Latitude",
+    "longitude": "xmlns:Longitude",
+    "elevation": "xmlns:Elevation",
+    "site": "xmlns:Site/xmlns:Name"
+  }
+
+  const CHANNEL_PROPERTIES = {
+    "end": "@endDate",
+    "restricted": "@restrictedStatus",
+    "latitude": "xmlns:Latitude",
+    "longitude": "xmlns:Longitude",
+    "elevation": "xmlns:Elevation",
+    "depth": "xmlns:Depth",
+    "azimuth": "xmlns:Azimuth",
+    "dip": "xmlns:Dip",
+    "sampleRate": "xmlns:SampleRate",
+    "sensor": "xmlns:Sensor/xmlns:Description",
+    "sensitivity": "xmlns:Response/xmlns:InstrumentSensitivity/xmlns:Value",
+    "sensitivityFrequency": "xmlns:Response/xmlns:InstrumentSensitivity/xmlns:Frequency",
+    "sensitivityUnits": "xmlns:Response/xmlns:InstrumentSensitivity/xmlns:InputUnits/xmlns:Name"
+  }
+
+  const STAGE_PROPERTIES = {
+    "gain": "xmlns:StageGain/xmlns:Value",
+    "gainFrequency": "xmlns:StageGain/xmlns:Frequency",
+    "inputSampleRate": "xmlns:Decimation/xmlns:InputSampleRate",
+    "decimationFactor": "xmlns:Decimation/xmlns:Factor",
+    "normalizationFactor": "xmlns:PolesZeros/xmlns:NormalizationFactor",
+    "normalizationFrequency": "xmlns:PolesZeros/xmlns:NormalizationFrequency"
+  }
+
+  function getStation(XMLString) {
+
+    /*
+     * Function diffStationXML::getStation
+     * Returns the station element and namespace of a revision
+     */
+
+    var XMLDocument = libxmljs.parseXml(XMLString);
+    var namespace = XMLDocument.root().namespace().href();
+
+    return {
+      "element": XMLDocument.get("xmlns:Network/xmlns:Station", namespace),
+      "namespace": namespace
+    }
+
+  }
+
+  function getProperties(element, properties, namespace) {
+
+    /*
+     * Function diffStationXML::getProperties
+     * Returns the values of attributes (prefixed by @) and child elements
+     */
+
+    var values = new Object();
+
+    Object.keys(properties).forEach(function(property) {
+
+      var xpath = properties[property];
+
+      if(xpath.startsWith("@")) {
+        values[property] = readAttribute(element, xpath.slice(1));
+      } else {
+        values[property] = getText(element, xpath, namespace);
+      }
+
+    });
+
+    return values;
+
+  }
+
+  function getStageProperties(stage, namespace) {
+
+    /*
+     * Function diffStationXML::getStageProperties
+     * Returns the properties of a response stage including its filter
+     */
+
+    function formatComplex(element) {
+
+      /*
+       * Function diffStationXML::getStageProperties::formatComplex
+       * Formats a pole or zero as a complex number
+       */
+
+      return "(" + getText(element, "xmlns:Real", namespace) + ", " + getText(element, "xmlns:Imaginary", namespace) + ")";
+
+    }
+
+    var values = getProperties(stage, STAGE_PROPERTIES, namespace);
+    var filter = getStageFilter(stage, namespace);
+
+    values.type = filter === null ? null : filter.name();
+    values.inputUnits = filter === null ? null : getText(filter, "xmlns:InputUnits/xmlns:Name", namespace);
+    values.outputUnits = filter === null ? null : getText(filter, "xmlns:OutputUnits/xmlns:Name", namespace);
+    values.zeros = stage.find("xmlns:PolesZeros/xmlns:Zero", namespace).map(formatComplex).join(" ") || null;
+    values.poles = stage.find("xmlns:PolesZeros/xmlns:Pole", namespace).map(formatComplex).join(" ") || null;
+    values.coefficients = filter === null ? null : (filter.find("xmlns:NumeratorCoefficient", namespace).length + filter.find("xmlns:Numerator", namespace).length) || null;
+
+    return values;
+
+  }
+
+  function compareProperties(from, to) {
+
+    /*
+     * Function diffStationXML::compareProperties
+     * Returns the list of properties that changed between two revisions
+     * Numbers are compared by value (e.g. 1.0 equals 1)
+     */
+
+    return Object.keys(from).filter(function(property) {
+
+      var a = from[property];
+      var b = to[property];
+
+      if(a !== null && b !== null && !isNaN(a) && !isNaN(b) && String(a).trim() !== "" && String(b).trim() !== "") {
+        return Number(a) !== Number(b);
+      }
+
+      return a !== b;
+
+    }).map(function(property) {
+      return {"property": property, "from": from[property], "to": to[property]};
+    });
+
+  }
+
+  function getEpochs(station) {
+
+    /*
+     * Function diffStationXML::getEpochs
+     * Returns a map of the channel epochs of a station
+     */
+
+    var epochs = new Map();
+
+    station.element.find("xmlns:Channel", station.namespace).forEach(function(channel) {
+
+      var epoch = {
+        "location": readAttribute(channel, "locationCode") || "",
+        "channel": readAttribute(channel, "code"),
+        "start": readAttribute(channel, "startDate")
+      }
+
+      var start = epoch.start === null ? "" : convertDate(epoch.start).toISOString();
+
+      epochs.set([epoch.location, epoch.channel, start].join("."), {
+        "epoch": epoch,
+        "element": channel
+      });
+
+    });
+
+    return epochs;
+
+  }
+
+  function getStages(channel, namespace) {
+
+    /*
+     * Function diffStationXML::getStages
+     * Returns a map of the response stages of a channel by stage number
+     */
+
+    return new Map(channel.find("xmlns:Response/xmlns:Stage", namespace).map(function(stage) {
+      return [readAttribute(stage, "number"), stage];
+    }));
+
+  }
+
+  function compareStages(from, to) {
+
+    /*
+     * Function diffStationXML::compareStages
+     * Returns the added, removed and modified response stages of a channel epoch
+     */
+
+    var fromStages = getStages(from, fromStation.namespace);
+    var toStages = getStages(to, toStation.namespace);
+
+    var changes = new Array();
+
+    fromStages.forEach(function(stage, number) {
+
+      if(!toStages.has(number)) {
+        return changes.push({"stage": Number(number), "change": "removed", "changes": new Array()});
+      }
+
+      var stageChanges = compareProperties(getStageProperties(stage, fromStation.namespace), getStageProperties(toStages.get(number), toStation.namespace));
+
+      if(stageChanges.length > 0) {
+        changes.push({"stage": Number(number), "change": "modified", "changes": stageChanges});
+      }
+
+    });
+
+    toStages.forEach(function(stage, number) {
+      if(!fromStages.has(number)) {
+        changes.push({"stage": Number(number), "change": "added", "changes": new Array()});
+      }
+    });
+
+    return changes.sort((a, b) => a.stage - b.stage);
+
+  }
+
+  var fromStation = getStation(fromXMLString);
+  var toStation = getStation(toXMLString);
+
+  var fromEpochs = getEpochs(fromStation);
+  var toEpochs = getEpochs(toStation);
+
+  var diff = {
+    "station": compareProperties(
+      getProperties(fromStation.element, STATION_PROPERTIES, fromStation.namespace),
+      getProperties(toStation.element, STATION_PROPERTIES, toStation.namespace)
+    ),
+    "added": new Array(),
+    "removed": new Array(),
+    "modified": new Array()
+  }
+
+  fromEpochs.forEach(function(from, key) {
+
+    if(!toEpochs.has(key)) {
+      return diff.removed.push(from.epoch);
+    }
+
+    var to = toEpochs.get(key);
+
+    var changes = compareProperties(
+      getProperties(from.element, CHANNEL_PROPERTIES, fromStation.namespace),
+      getProperties(to.element, CHANNEL_PROPERTIES, toStation.namespace)
+    );
+
+    var stages = compareStages(from.element, to.element);
+
+    if(changes.length > 0 || stages.length > 0) {
+      diff.modified.push(Object.assign({"changes": changes, "stages": stages}, to.epoch));
+    }
+
+  });
+
+  toEpochs.forEach(function(to, key) {
+    if(!fromEpochs.has(key)) {
+      diff.added.push(to.epoch);
+    }
+  });
+
+  return diff;
+
+}
+
 function getExpectedBandCode(samplingRate) {
 
   /*
@@ -361,10 +1069,10 @@ function splitStationXML(files, properties) {
   const FDSN_SOURCE = "ORFEUS Manager Upload";
   const FDSN_MODULE = "ORFEUS Manager " + CONFIG.__VERSION__;
   const FDSN_NAMESPACE = "http://www.fdsn.org/xml/station/1";
-  const FDSN_STATION_VERSION = "1.0";
 
-  // Collect a hash map of stations
+  // Collect a hash map of stations and the versions they were submitted in
   var stationHashMap = new Object();
+  var stationVersions = new Object();
 
   // Whether the stations must be set to restricted
   files.forEach(function(file) {
@@ -372,25 +1080,20 @@ function splitStationXML(files, properties) {
     // Convert to libxmljs object
     var XMLDocument = libxmljs.parseXml(file);
 
-    // Validate the entire against the schema
-    if(!XMLDocument.validate(XSDSchema)) {
-      throw new Error("Error validating FDSNStationXML against schema.");
-    }
-
     // Get the namespace & schema version of document
     var namespace = XMLDocument.root().namespace().href();
-    var schemaVersion = XMLDocument.root().attr("schemaVersion").value();
+    var schemaVersion = getSchemaVersion(XMLDocument);
+
+    // Validate the entire document against the schema of its version
+    if(!validateSchema(XMLDocument, schemaVersion)) {
+      throw new Error("Error validating FDSNStationXML against schema.");
+    }
 
     // Confirm namespace
     if(namespace !== FDSN_NAMESPACE) {
       throw new Error("Invalid FDSNStationXML namespace.");
     }
 
-    // Confirm version
-    if(schemaVersion !== FDSN_STATION_VERSION) {
-      throw new Error("Invalid FDSNStationXML version.");
-    }
-
     // Split entries by Network / Station
     XMLDocument.find("xmlns:Network", namespace).forEach(function(network) {
 
@@ -409,8 +1112,11 @@ function splitStationXML(files, properties) {
 
         if(!stationHashMap.hasOwnProperty(stationCode)) {
           stationHashMap[stationCode] = new Array();
+          stationVersions[stationCode] = new Set();
         }
 
+        stationVersions[stationCode].add(schemaVersion);
+
         // Check if station is set to restricted
         var sRestricted = properties.restricted || (readAttribute(station, "restrictedStatus") === "closed");
 
@@ -440,13 +1146,21 @@ function splitStationXML(files, properties) {
   // For each station in the hash map create a new document
   Object.keys(stationHashMap).forEach(function(stationCode) {
 
+    // Keep the submitted version unless documents are normalized to a configured version
+    var submittedVersions = Array.from(stationVersions[stationCode]);
+    var schemaVersion = CONFIG.METADATA.SCHEMA.VERSION || submittedVersions[0];
+
+    if(submittedVersions.length > 1 && !CONFIG.METADATA.SCHEMA.VERSION) {
+      throw new Error("Station " + stationCode + " is submitted in multiple FDSNStationXML versions (" + submittedVersions.join(", ") + ").");
+    }
+
     // Create a new XML document
     var stationXMLDocument = new libxmljs.Document("1.0", "UTF-8");
 
     // Add FDSNStationXML attributes
     var stationXMLRoot = stationXMLDocument.node("FDSNStationXML").attr({
       "xmlns": FDSN_NAMESPACE,
-      "schemaVersion": FDSN_STATION_VERSION
+      "schemaVersion": schemaVersion
     });
 
     // Add new properties to the root
@@ -487,6 +1201,11 @@ function splitStationXML(files, properties) {
     // We must do a string replacement of the namespace because of a bug in libxmljs
     var XMLString = stationXMLDocument.toString(false).replace(new RegExp(" xmlns=\"\"", "g"), "");
 
+    // Documents converted to another version must be valid against the schema of that version
+    if(submittedVersions.some(x => x !== schemaVersion) && !validateSchema(libxmljs.parseXml(XMLString), schemaVersion)) {
+      throw new Error("Station " + stationCode + " could not be normalized to FDSNStationXML version " + schemaVersion + ".");
+    }
+
     // XOR the hashes of the station elements 
     var documentHash = SHA256(stationXMLNetwork.toString().replace(new RegExp(" xmlns=\"\"", "g"), ""));
 
@@ -517,6 +1236,9 @@ function splitStationXML(files, properties) {
 module.exports = {
   splitStationXML,
   validateMetadata,
+  hasErrors,
+  diffStationXML,
   parsePrototype,
-  updateStationXML
+  updateStationXML,
+  mergeStationXML
 }
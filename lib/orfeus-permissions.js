@@ -0,0 +1,147 @@
+/*
+ * EIDA Manager - lib/orfeus-permissions.js
+ *
+ * Application roles and the permissions granted to each role
+ *
+ * Copyright: ORFEUS Data Center
+ * Author: Mathijs Koymans, 2018
+ *
+ */
+
+// Application roles as stored in the user documents
+const ROLES = {
+  "ADMINISTRATOR": 0,
+  "USER": 1,
+  "OBSERVER": 2,
+  "REVIEWER": 3
+}
+
+// Human readable names of the roles
+const ROLE_NAMES = {
+  [ROLES.ADMINISTRATOR]: "Node Administrator",
+  [ROLES.USER]: "Network Operator",
+  [ROLES.OBSERVER]: "Observer",
+  [ROLES.REVIEWER]: "Metadata Reviewer"
+}
+
+const PERMISSIONS = {
+  "READ": "read",
+  "SEND_MESSAGES": "messages:send",
+  "UPLOAD_METADATA": "metadata:upload",
+  "DELETE_METADATA": "metadata:delete",
+  "REVIEW_METADATA": "metadata:review",
+  "SUBMIT_SEEDLINK": "seedlink:submit",
+  "MANAGE_USERS": "users:manage",
+  "ADMINISTRATION": "administration",
+  "RPC": "rpc"
+}
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMINISTRATOR]: Object.values(PERMISSIONS),
+  [ROLES.USER]: [
+    PERMISSIONS.READ,
+    PERMISSIONS.SEND_MESSAGES,
+    PERMISSIONS.UPLOAD_METADATA,
+    PERMISSIONS.DELETE_METADATA,
+    PERMISSIONS.SUBMIT_SEEDLINK
+  ],
+  [ROLES.OBSERVER]: [
+    PERMISSIONS.READ,
+    PERMISSIONS.SEND_MESSAGES
+  ],
+  [ROLES.REVIEWER]: [
+    PERMISSIONS.READ,
+    PERMISSIONS.SEND_MESSAGES,
+    PERMISSIONS.REVIEW_METADATA
+  ]
+}
+
+// Permissions that can be exercised with an API token
+// Tokens are meant for scripts and never manage users or the node
+const TOKEN_PERMISSIONS = [
+  PERMISSIONS.READ,
+  PERMISSIONS.UPLOAD_METADATA,
+  PERMISSIONS.DELETE_METADATA
+]
+
+// Permission required per route: the first matching route is used
+// Routes without a method match every method
+const ROUTE_PERMISSIONS = [
+  {"path": /^\/rpc\//, "permission": PERMISSIONS.RPC},
+  {"path": /^\/home\/admin$/, "permission": PERMISSIONS.ADMINISTRATION},
+  {"path": /^\/api\/prototypes$/, "permission": PERMISSIONS.ADMINISTRATION},
+  {"path": /^\/api\/audit$/, "permission": PERMISSIONS.ADMINISTRATION},
+  {"path": /^\/api\/failed$/, "permission": PERMISSIONS.ADMINISTRATION},
+  {"path": /^\/api\/rules$/, "permission": PERMISSIONS.ADMINISTRATION},
+  {"path": /^\/api\/review\/network$/, "permission": PERMISSIONS.ADMINISTRATION},
+  {"path": /^\/api\/review$/, "permission": PERMISSIONS.REVIEW_METADATA},
+  {"path": /^\/api\/lockouts$/, "permission": PERMISSIONS.MANAGE_USERS},
+  {"path": /^\/api\/users(\/.*)?$/, "permission": PERMISSIONS.MANAGE_USERS},
+  {"path": /^\/user$/, "permission": PERMISSIONS.MANAGE_USERS},
+  {"path": /^\/upload$/, "permission": PERMISSIONS.UPLOAD_METADATA},
+  {"path": /^\/api\/validate$/, "permission": PERMISSIONS.UPLOAD_METADATA},
+  {"path": /^\/api\/history\/rollback$/, "permission": PERMISSIONS.UPLOAD_METADATA},
+  {"path": /^\/api\/history$/, "method": "DELETE", "permission": PERMISSIONS.DELETE_METADATA},
+  {"path": /^\/seedlink$/, "permission": PERMISSIONS.SUBMIT_SEEDLINK},
+  {"path": /^\/send$/, "permission": PERMISSIONS.SEND_MESSAGES}
+]
+
+function hasPermission(role, permission) {
+
+  /*
+   * Function hasPermission
+   * Returns true when a role is granted a permission
+   */
+
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role) && ROLE_PERMISSIONS[role].includes(permission);
+
+}
+
+function getRolePermissions(role) {
+
+  /*
+   * Function getRolePermissions
+   * Returns the list of permissions granted to a role
+   */
+
+  return ROLE_PERMISSIONS[role] || new Array();
+
+}
+
+function isTokenPermission(permission) {
+
+  /*
+   * Function isTokenPermission
+   * Returns true when a permission can be exercised with an API token
+   */
+
+  return TOKEN_PERMISSIONS.includes(permission);
+
+}
+
+function getRequiredPermission(method, pathname) {
+
+  /*
+   * Function getRequiredPermission
+   * Returns the permission required to make a request
+   * Everything that is not listed only requires read access
+   */
+
+  var route = ROUTE_PERMISSIONS.find(function(route) {
+    return route.path.test(pathname) && (route.method === undefined || route.method === method);
+  });
+
+  return route ? route.permission : PERMISSIONS.READ;
+
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSIONS,
+  hasPermission,
+  getRolePermissions,
+  getRequiredPermission,
+  isTokenPermission
+}
@@ -0,0 +1,242 @@
+/*
+ * EIDA Manager - lib/orfeus-rules.js
+ *
+ * Registry of the StationXML validation rules
+ * The severity and parameters of a rule are configured per node
+ * and can be overridden per network by administrators
+ *
+ * Copyright: ORFEUS Data Center
+ * Author: Mathijs Koymans, 2018
+ *
+ */
+
+const CONFIG = require("./config");
+
+// Severities of validation findings: errors reject the metadata
+const SEVERITY_ERROR = "error";
+const SEVERITY_WARNING = "warning";
+const SEVERITY_OFF = "off";
+
+const SEVERITIES = [
+  SEVERITY_ERROR,
+  SEVERITY_WARNING,
+  SEVERITY_OFF
+];
+
+// Rules known to the validator with their default severity and parameters
+// Required rules guard the assumptions of the other rules and are always errors
+const RULES = {
+  "xml.parse": {
+    "description": "StationXML must be well-formed",
+    "severity": SEVERITY_ERROR,
+    "required": true
+  },
+  "xml.schema": {
+    "description": "StationXML must be valid against the FDSNStationXML schema",
+    "severity": SEVERITY_ERROR,
+    "required": true
+  },
+  "network.code": {
+    "description": "Network codes are one or two alphanumeric characters",
+    "severity": SEVERITY_ERROR
+  },
+  "station.code": {
+    "description": "Station codes are one to five alphanumeric characters",
+    "severity": SEVERITY_ERROR
+  },
+  "station.channels": {
+    "description": "Stations must include channels",
+    "severity": SEVERITY_ERROR
+  },
+  "channel.code": {
+    "description": "Channel codes are one to three alphanumeric characters",
+    "severity": SEVERITY_ERROR
+  },
+  "channel.sampleRate": {
+    "description": "Channels must have a non-zero sample rate",
+    "severity": SEVERITY_ERROR
+  },
+  "channel.bandCode": {
+    "description": "The band code must match the sample rate (SEED manual appendix A)",
+    "severity": SEVERITY_ERROR
+  },
+  "response.missing": {
+    "description": "Channels must include a response",
+    "severity": SEVERITY_ERROR
+  },
+  "response.multiple": {
+    "description": "Channels must include a single response",
+    "severity": SEVERITY_ERROR
+  },
+  "response.stages": {
+    "description": "Responses must include stages",
+    "severity": SEVERITY_ERROR
+  },
+  "response.gain": {
+    "description": "The product of the stage gains must match the instrument sensitivity",
+    "severity": SEVERITY_WARNING,
+    "parameters": {
+      "TOLERANCE": 0.001
+    }
+  },
+  "response.normalization": {
+    "description": "The poles and zeros normalization factor must give unit gain at the normalization frequency",
+    "severity": SEVERITY_ERROR,
+    "parameters": {
+      "TOLERANCE": 0.02
+    }
+  },
+  "response.units": {
+    "description": "The input units of a stage must match the output units of the previous stage",
+    "severity": SEVERITY_ERROR
+  },
+  "response.decimation": {
+    "description": "Decimation input sample rates and factors must be consistent with the channel sample rate",
+    "severity": SEVERITY_ERROR,
+    "parameters": {
+      "TOLERANCE": 0.001
+    }
+  },
+  "response.sensitivityFrequency": {
+    "description": "The instrument sensitivity frequency must lie in the passband of the response",
+    "severity": SEVERITY_WARNING,
+    "parameters": {
+      "TOLERANCE": 0.05
+    }
+  },
+  "fir.inputUnits": {
+    "description": "FIR stages must have input units of COUNTS",
+    "severity": SEVERITY_ERROR
+  },
+  "fir.outputUnits": {
+    "description": "FIR stages must have output units of COUNTS",
+    "severity": SEVERITY_ERROR
+  },
+  "fir.coefficientSum": {
+    "description": "The FIR coefficients must sum to one",
+    "severity": SEVERITY_ERROR,
+    "parameters": {
+      "TOLERANCE": 0.02
+    }
+  }
+}
+
+function getNodeRule(id) {
+
+  /*
+   * Function getNodeRule
+   * Returns the severity and parameters of a rule as configured for this node
+   */
+
+  var rule = RULES[id];
+  var configured = CONFIG.METADATA.RULES[id] || new Object();
+
+  return {
+    "severity": rule.required ? SEVERITY_ERROR : (configured.SEVERITY || rule.severity),
+    "parameters": Object.assign(new Object(), rule.parameters, configured.PARAMETERS)
+  }
+
+}
+
+function getRuleSet(overrides) {
+
+  /*
+   * Function getRuleSet
+   * Returns the severity and parameters of all rules for a network
+   * Overrides granted to the network take precedence over the node configuration
+   */
+
+  var ruleSet = new Object();
+
+  Object.keys(RULES).forEach(function(id) {
+
+    var rule = getNodeRule(id);
+    var override = overrides[id];
+
+    if(override !== undefined && !RULES[id].required) {
+      rule.severity = override.severity || rule.severity;
+      rule.parameters = Object.assign(rule.parameters, override.parameters);
+    }
+
+    ruleSet[id] = rule;
+
+  });
+
+  return ruleSet;
+
+}
+
+function getRegistry() {
+
+  /*
+   * Function getRegistry
+   * Returns all rules with their description and the configuration of this node
+   */
+
+  return Object.keys(RULES).map(function(id) {
+    return Object.assign({
+      "id": id,
+      "description": RULES[id].description,
+      "required": Boolean(RULES[id].required)
+    }, getNodeRule(id));
+  });
+
+}
+
+function validateOverrides(overrides) {
+
+  /*
+   * Function validateOverrides
+   * Returns an error message when network overrides are invalid or null
+   */
+
+  if(overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return "Rule overrides must be an object keyed by rule identifier";
+  }
+
+  for(var id of Object.keys(overrides)) {
+
+    var override = overrides[id];
+
+    if(!RULES.hasOwnProperty(id)) {
+      return "Unknown validation rule: " + id;
+    }
+
+    if(RULES[id].required) {
+      return "Validation rule " + id + " can not be overridden";
+    }
+
+    if(override === null || typeof override !== "object") {
+      return "Invalid override for validation rule " + id;
+    }
+
+    if(override.severity !== undefined && !SEVERITIES.includes(override.severity)) {
+      return "Invalid severity for validation rule " + id;
+    }
+
+    for(var parameter of Object.keys(override.parameters || new Object())) {
+
+      if(!RULES[id].parameters || !RULES[id].parameters.hasOwnProperty(parameter)) {
+        return "Unknown parameter " + parameter + " for validation rule " + id;
+      }
+
+      if(typeof override.parameters[parameter] !== "number" || !isFinite(override.parameters[parameter])) {
+        return "Parameter " + parameter + " for validation rule " + id + " must be a number";
+      }
+
+    }
+
+  }
+
+  return null;
+
+}
+
+module.exports = {
+  SEVERITY_ERROR,
+  SEVERITY_WARNING,
+  SEVERITY_OFF,
+  getRuleSet,
+  getRegistry,
+  validateOverrides
+}
@@ -49,13 +49,35 @@ function defaultHandler(convertor, callback) {
   /*
    * Function defaultHandler
    * Default SeisComP3 subprocess handler
+   * Input rejected by SeisComP3 is returned as the stderr string
+   * Processes that could not be started or were killed are returned as an Error
+   * The stderr of successful processes is passed as the second argument
    */
 
   var chunks = new Array();
+  var finished = false;
+
+  function finish(error, stderr) {
+
+    /*
+     * Function defaultHandler::finish
+     * Calls back once: a failed spawn may or may not be followed by a close event
+     */
+
+    if(finished) {
+      return;
+    }
+
+    finished = true;
+
+    callback(error, stderr);
+
+  }
 
   // Default error handler
   convertor.on("error", function(error) {
     logger.error(error);
+    finish(error);
   });
 
   // Save stderr
@@ -64,14 +86,19 @@ function defaultHandler(convertor, callback) {
   });
 
   // Child process has closed
-  convertor.on("close", function(code) {
+  convertor.on("close", function(code, signal) {
 
     if(code === 0) {
-      callback(null);
-    } else {
-      callback(Buffer.concat(chunks).toString());
+      return finish(null, Buffer.concat(chunks).toString());
     }
 
+    // The process crashed or was killed (e.g. out of memory)
+    if(signal !== null) {
+      return finish(new Error("SeisComP3 process was terminated by " + signal));
+    }
+
+    finish(Buffer.concat(chunks).toString());
+
   });
 
 }
@@ -9,6 +9,7 @@
  */
 
 const { randomId } = require("./lib/orfeus-crypto");
+const { ROLES, hasPermission } = require("./lib/orfeus-permissions");
 const CONFIG = require("./config");
 
 var Session = function() {
@@ -20,13 +21,56 @@ var Session = function() {
 
   const BYTES_ENTROPY = 32;
 
-  // Create a new session ID
+  // Create a new session ID and a token to protect against cross-site request forgery
   this.id = randomId(BYTES_ENTROPY);
-  this.expiration = new Date(new Date().getTime() + CONFIG.SESSION.TIMEOUT);
+  this.csrf = randomId(BYTES_ENTROPY);
+  this.expiration = getSessionExpiration();
 
 }
 
-var User = function(user, id, prototype) {
+function getSessionExpiration() {
+
+  /*
+   * Function getSessionExpiration
+   * Returns the expiration date of a session that is created or renewed now
+   */
+
+  return new Date(new Date().getTime() + CONFIG.SESSION.TIMEOUT);
+
+}
+
+function getNetworkGrants(user) {
+
+  /*
+   * Function getNetworkGrants
+   * Returns the list of networks a user may manage
+   * Legacy user documents hold a single network
+   */
+
+  if(Array.isArray(user.networks)) {
+    return user.networks;
+  }
+
+  return user.network ? [user.network] : [];
+
+}
+
+function isSameNetwork(a, b) {
+
+  /*
+   * Function isSameNetwork
+   * Returns true when two networks share the code and start time
+   */
+
+  if(!a || !b) {
+    return false;
+  }
+
+  return a.code === b.code && new Date(a.start).getTime() === new Date(b.start).getTime();
+
+}
+
+var User = function(user, session, prototype) {
 
   /*
    * Class User
@@ -34,11 +78,15 @@ var User = function(user, id, prototype) {
    */
 
   this._id = user._id;
-  this.sessionId = id;
+  this.sessionId = session.sessionId;
+  this.expiration = session.expiration;
+  this.csrf = session.csrf;
   this.username = user.username;
   this.version = user.version;
   this.visited = user.visited;
   this.role = user.role;
+  this.networks = getNetworkGrants(user);
+  this.twoFactor = Boolean(user.totp && user.totp.enabled);
 
   // Administrators can use wildcards for networks
   // Otherwise a network is identifier by a start time and network code
@@ -50,15 +98,39 @@ User.prototype.isAdministrator = function() {
 
   /*
    * Function User.isAdministrator
-   * Returns true when the user is an administrator
+   * Returns true when the user is a node administrator with access to all networks
+   */
+
+  return this.role === ROLES.ADMINISTRATOR;
+
+}
+
+User.prototype.can = function(permission) {
+
+  /*
+   * Function User.can
+   * Returns true when the role of the user grants a permission
+   */
+
+  return hasPermission(this.role, permission);
+
+}
+
+User.prototype.hasNetwork = function(network) {
+
+  /*
+   * Function User.hasNetwork
+   * Returns true when the user was granted access to a network
    */
 
-  // XXX Hardcoded
-  return this.role === 0;
+  return this.networks.some(x => isSameNetwork(x, network));
 
 }
 
 module.exports = {
+  getNetworkGrants,
+  isSameNetwork,
+  getSessionExpiration,
   Session,
   User
 }
@@ -11,6 +11,7 @@
 // Import the status codes
 const { STATUS_CODES } = require("http");
 const database = require("./lib/orfeus-database");
+const { ROLE_NAMES, getRolePermissions } = require("./lib/orfeus-permissions");
 
 const CONFIG = require("./config");
 
@@ -98,6 +99,7 @@ function generateProfile(session) {
     "          <div style='display: none;' id='metadata-submission'>",
     "            <p> Use this form to submit new station metadata to your EIDA data center. Metadata is curated and processed before being exposed by the data center. You can follow the progress your metadata here. Station metadata that is exposed by the webservice will no longer be visible in the table below. This process may some time. <b><a href='./schema/fdsn-station-1.0.xsd'>Valid StationXML</a> is required and must follow your <a href='/api/prototype'>network prototype</a> definition.</b>",
     "            <form method='post' action='upload' enctype='multipart/form-data'>",
+    generateCSRFInput(session),
     "              <div class='input-group mb-3'>",
     "                <div class='custom-file'>",
     "                  <input id='file-stage' name='file-data' type='file' class='custom-file-input' required multiple>",
@@ -119,6 +121,7 @@ function generateProfile(session) {
     "            <br>",
     "          </div>",
     "          <div id='table-staged-metadata'></div>",
+    "          <div id='table-staged-report'></div>",
     "          <div style='text-align: center;'>",
     "            <div id='table-staged-legend' style='display: none;'>",
     "              <small>",
@@ -126,6 +129,7 @@ function generateProfile(session) {
     "              &nbsp;&nbsp;<span class='text-warning'><span class='fa fa-clock'></span><b> Pending</b></span> - Metadata was submitted",
     "              &nbsp;&nbsp;<span class='text-info'><span class='fa fa-cogs'></span><b> Validated</b></span> - Metadata was validated",
     "              &nbsp;&nbsp;<span class='text-info'><span class='fa fa-cogs'></span><b> Converted</b></span> - Metadata was converted",
+    "              &nbsp;&nbsp;<span class='text-warning'><span class='fa fa-user-check'></span><b> Awaiting Review</b></span> - Metadata awaits a reviewer",
     "              &nbsp;&nbsp;<span class='text-success'><span class='fa fa-check'></span><b> Approved</b></span> - Approved for inclusion",
     "              </small>",
     "            </div>",
@@ -136,6 +140,7 @@ function generateProfile(session) {
     "          <div style='display: none;' id='seedlink-submission'>",
     "            <p> Use this form to define a new Seedlink server. Stations that are being archived by your data center are colored green.",
     "            <form class='form-inline' method='post' action='seedlink'>",
+    generateCSRFInput(session),
     "              <div class='input-group'>",
     "                <span class='input-group-prepend'>",
     "                  <div class='input-group-text'>Connection</div>",
@@ -202,8 +207,17 @@ function generateAdmin(session) {
     "          <a class='nav-link' role='tab' data-toggle='tab' href='#rpc-tab'><span class='fas fa-cog' aria-hidden='true'></span> &nbsp; RPC</a>",
     "        </li>",
     "        <li class='nav-item'>",
+    "          <a class='nav-link' role='tab' data-toggle='tab' href='#failed-tab'><span class='fas fa-exclamation-triangle' aria-hidden='true'></span> &nbsp; Failed Metadata</a>",
+    "        </li>",
+    "        <li class='nav-item'>",
     "          <a class='nav-link' role='tab' data-toggle='tab' href='#users-tab'><span class='fas fa-users' aria-hidden='true'></span> &nbsp; User Management</a>",
     "        </li>",
+    "        <li class='nav-item'>",
+    "          <a class='nav-link' role='tab' data-toggle='tab' href='#lockouts-tab'><span class='fas fa-lock' aria-hidden='true'></span> &nbsp; Lockouts</a>",
+    "        </li>",
+    "        <li class='nav-item'>",
+    "          <a class='nav-link' role='tab' data-toggle='tab' href='#audit-tab'><span class='fas fa-history' aria-hidden='true'></span> &nbsp; Audit Log</a>",
+    "        </li>",
     "      </ul>",
     "      <div class='tab-content'>",
     "        <div class='tab-pane active' id='status-tab' role='tabpanel'>",
@@ -269,9 +283,30 @@ function generateAdmin(session) {
     "            <div class='col-md-12 col-lg-3'>",
     "              <div class='card'>",
     "                <div class='card-body'>",
+    "                  <h5 class='card-title'>Inventory at Date</h5>",
+    "                  <p class='card-text'>Download the inventory as it was published at a point in time.</p>",
+    "                  <form method='get' action='/rpc/inventory'>",
+    "                    <input type='datetime-local' name='at' class='form-control form-control-sm' required>",
+    "                    <select name='format' class='form-control form-control-sm'>",
+    "                      <option value='sc3ml'>SC3ML</option>",
+    "                      <option value='stationxml'>StationXML</option>",
+    "                    </select>",
+    "                    <br>",
+    "                    <button type='submit' class='btn btn-success btn-sm'><span class='fas fa-history' aria-hidden='true'></span> Download Inventory </button>",
+    "                  </form>",
+    "                </div>",
+    "              </div>",
+    "              <br>",
+    "            </div>",
+    "            <div class='col-md-12 col-lg-3'>",
+    "              <div class='card'>",
+    "                <div class='card-body'>",
     "                  <h5 class='card-title'>Update Prototypes</h5>",
     "                  <p class='card-text'>Call to update network prototypes from disk to the database.</p>",
-    "                  <a href='/rpc/prototypes' onclick='return confirm(\"Are you sure you want to update the network prototypes?\")' class='btn btn-success btn-sm'><span class='fas fa-cogs' aria-hidden='true'></span> Update Prototypes </a>",
+    "                  <form method='post' action='/rpc/prototypes' onsubmit='return confirm(\"Are you sure you want to update the network prototypes?\")'>",
+    generateCSRFInput(session),
+    "                    <button type='submit' class='btn btn-success btn-sm'><span class='fas fa-cogs' aria-hidden='true'></span> Update Prototypes </button>",
+    "                  </form>",
     "                </div>",
     "              </div>",
     "              <br>",
@@ -281,7 +316,10 @@ function generateAdmin(session) {
     "                <div class='card-body'>",
     "                  <h5 class='card-title'>Update Inventory</h5>",
     "                  <p class='card-text'>Call to update the SeisComP3 inventory database.</p>",
-    "                  <a href='/rpc/database' onclick='return confirm(\"Are you sure you want to update the SeisComP3 inventory?\")' class='btn btn-success btn-sm'><span class='fas fa-cogs' aria-hidden='true'></span> Update Inventory </a>",
+    "                  <form method='post' action='/rpc/database' onsubmit='return confirm(\"Are you sure you want to update the SeisComP3 inventory?\")'>",
+    generateCSRFInput(session),
+    "                    <button type='submit' class='btn btn-success btn-sm'><span class='fas fa-cogs' aria-hidden='true'></span> Update Inventory </button>",
+    "                  </form>",
     "                </div>",
     "              </div>",
     "              <br>",
@@ -291,7 +329,10 @@ function generateAdmin(session) {
     "                <div class='card-body'>",
     "                  <h5 class='card-title'>Restart FDSNWS</h5>",
     "                  <p class='card-text'>Call to restart the SeisComP3 FDSNWS Station webservice.</p>",
-    "                  <a href='/rpc/fdsnws' onclick='return confirm(\"Are you sure you want to restart FDSNWS?\")' class='btn btn-success btn-sm'><span class='fas fa-cogs' aria-hidden='true'></span> Restart FDSNWS </a>",
+    "                  <form method='post' action='/rpc/fdsnws' onsubmit='return confirm(\"Are you sure you want to restart FDSNWS?\")'>",
+    generateCSRFInput(session),
+    "                    <button type='submit' class='btn btn-success btn-sm'><span class='fas fa-cogs' aria-hidden='true'></span> Restart FDSNWS </button>",
+    "                  </form>",
     "                </div>",
     "              </div>",
     "              <br>",
@@ -302,11 +343,13 @@ function generateAdmin(session) {
     "          <h3> Network Prototypes </h3>",
     "          <hr>",
     "          <div id='prototype-table'></div>",
+    "          <div id='network-rules'></div>",
     "        </div>",
     "        <div class='tab-pane' id='users-tab' role='tabpanel'>",
     "          <h3> User Management <small> Add a user </small> </h3>",
     "          <hr>",
     "          <form class='message-form' method='post' action='/user'>",
+    generateCSRFInput(session),
     "            <div class='input-group'>",
     "              <div class='input-group-prepend'>",
     "                <div class='input-group-text'><span class='fa fa-user-circle' aria-hidden='true'></span></div>",
@@ -330,17 +373,97 @@ function generateAdmin(session) {
     "                <label class='input-group-text' for='role-select'><span class='fas fa-user-tag' aria-hidden='true'></span>&nbsp; Role</label>",
     "              </div>",
     "              <select id='role-select' class='custom-select' name='role'>",
-    "                <option value='" + database.ROLES.ADMINISTRATOR + "'>Administrator</option>",
-    "                <option value='" + database.ROLES.USER + "' selected>Network Operator</option>",
+    generateRoleOptions(database.ROLES.USER),
     "              </select>",
     "            </div>",
     "            <hr>",
     "            <button class='btn btn-primary btn-block' type='submit'><span class='fas fa-user-plus' aria-hidden='true'></span> Add</button>",
     "          </form>",
     "          <hr>",
+    "          <h3> User Management <small> Edit a user </small> </h3>",
+    "          <hr>",
+    "          <div class='input-group mb-3'>",
+    "            <div class='input-group-prepend'>",
+    "              <label class='input-group-text' for='edit-user-select'><span class='fa fa-user-circle' aria-hidden='true'></span>&nbsp; User</label>",
+    "            </div>",
+    "            <select id='edit-user-select' class='custom-select'></select>",
+    "          </div>",
+    "          <div class='input-group mb-3'>",
+    "            <div class='input-group-prepend'>",
+    "              <label class='input-group-text' for='edit-prototype-select'><span class='fas fa-globe-americas' aria-hidden='true'></span>&nbsp; Network Prototype</label>",
+    "            </div>",
+    "            <select id='edit-prototype-select' class='custom-select'>",
+    "              <option value='' selected>Unchanged</option>",
+    "            </select>",
+    "            <select id='edit-network-action-select' class='custom-select'>",
+    "              <option value='replace' selected>Replace all networks</option>",
+    "              <option value='grant'>Grant network</option>",
+    "              <option value='revoke'>Revoke network</option>",
+    "            </select>",
+    "          </div>",
+    "          <div class='input-group mb-3'>",
+    "            <div class='input-group-prepend'>",
+    "              <label class='input-group-text' for='edit-role-select'><span class='fas fa-user-tag' aria-hidden='true'></span>&nbsp; Role</label>",
+    "            </div>",
+    "            <select id='edit-role-select' class='custom-select'>",
+    "              <option value='' selected>Unchanged</option>",
+    generateRoleOptions(null),
+    "            </select>",
+    "          </div>",
+    "          <div class='input-group mb-3'>",
+    "            <div class='input-group-prepend'>",
+    "              <label class='input-group-text' for='edit-status-select'><span class='fas fa-user-lock' aria-hidden='true'></span>&nbsp; Status</label>",
+    "            </div>",
+    "            <select id='edit-status-select' class='custom-select'>",
+    "              <option value='' selected>Unchanged</option>",
+    "              <option value='false'>Enabled</option>",
+    "              <option value='true'>Disabled</option>",
+    "            </select>",
+    "          </div>",
+    "          <hr>",
+    "          <button class='btn btn-primary' onClick='updateUser()'><span class='fas fa-user-edit' aria-hidden='true'></span> Save</button>",
+    "          <button class='btn btn-danger' style='float: right;' onClick='deleteUser()'><span class='fas fa-user-times' aria-hidden='true'></span> Delete</button>",
+    "          <hr>",
     "          <h3> Users </h3>",
     "          <div id='user-table'></div>",
     "        </div>",
+    "        <div class='tab-pane' id='failed-tab' role='tabpanel'>",
+    "          <h3> Failed Metadata <small> Files the metadaemon gave up on after repeated failures </small> </h3>",
+    "          <hr>",
+    "          <div id='failed-table'></div>",
+    "        </div>",
+    "        <div class='tab-pane' id='lockouts-tab' role='tabpanel'>",
+    "          <h3> Lockouts <small> Failed login attempts </small> </h3>",
+    "          <hr>",
+    "          <div id='lockout-table'></div>",
+    "        </div>",
+    "        <div class='tab-pane' id='audit-tab' role='tabpanel'>",
+    "          <h3> Audit Log <small> Administrative and metadata actions </small> </h3>",
+    "          <hr>",
+    "          <form id='audit-filter' class='form-inline' onSubmit='createAuditTable(); return false;'>",
+    "            <select class='form-control mr-2' name='action'>",
+    "              <option value=''>All actions</option>",
+    "              <option value='login'>Logins</option>",
+    "              <option value='user'>Users</option>",
+    "              <option value='metadata'>Metadata</option>",
+    "              <option value='prototype'>Prototypes</option>",
+    "              <option value='rpc'>RPC</option>",
+    "              <option value='rules'>Validation Rules</option>",
+    "              <option value='review'>Review Settings</option>",
+    "              <option value='seedlink'>Seedlink</option>",
+    "              <option value='token'>API Tokens</option>",
+    "              <option value='totp'>Two-Factor</option>",
+    "            </select>",
+    "            <input class='form-control mr-2' name='username' placeholder='Username'>",
+    "            <input class='form-control mr-2' name='from' type='date' title='From'>",
+    "            <input class='form-control mr-2' name='to' type='date' title='To'>",
+    "            <button class='btn btn-primary mr-2' type='submit'><span class='fas fa-filter' aria-hidden='true'></span> Filter</button>",
+    "            <button class='btn btn-secondary mr-2' type='button' onClick='exportAuditLog(\"json\")'><span class='fas fa-download' aria-hidden='true'></span> JSON</button>",
+    "            <button class='btn btn-secondary' type='button' onClick='exportAuditLog(\"csv\")'><span class='fas fa-download' aria-hidden='true'></span> CSV</button>",
+    "          </form>",
+    "          <br>",
+    "          <div id='audit-table'></div>",
+    "        </div>",
     "      </div>",
     "    </div>",
     "  </div>",
@@ -352,6 +475,30 @@ function generateAdmin(session) {
 
 }
 
+function generateRoleOptions(selected) {
+
+  /*
+   * Function generateRoleOptions
+   * Generates the options of a role selection box
+   */
+
+  return Object.keys(ROLE_NAMES).map(function(role) {
+    return "<option value='" + role + "'" + (Number(role) === selected ? " selected" : "") + ">" + ROLE_NAMES[role] + "</option>";
+  }).join("\n");
+
+}
+
+function generateCSRFInput(session) {
+
+  /*
+   * Function generateCSRFInput
+   * Returns the hidden form input holding the CSRF token of the session
+   */
+
+  return "<input type='hidden' name='csrf' value='" + session.csrf + "'>";
+
+}
+
 function generateWelcomeInformation(session) {
 
   /*
@@ -387,6 +534,41 @@ function generateWelcomeInformation(session) {
 
 }
 
+function generateNetworkSwitcher(session) {
+
+  /*
+   * Function generateNetworkSwitcher
+   * Generates the selection box to switch between granted networks
+   */
+
+  function generateNetworkOption(network) {
+
+    /*
+     * Function generateNetworkSwitcher::generateNetworkOption
+     * Generates a single option for a granted network
+     */
+
+    var value = network.code + " " + new Date(network.start).toISOString();
+    var selected = network.code === session.prototype.network.code && new Date(network.start).getTime() === new Date(session.prototype.network.start).getTime();
+
+    return "<option value='" + value + "'" + (selected ? " selected" : "") + ">" + network.code + " (" + new Date(network.start).getFullYear() + ")</option>";
+
+  }
+
+  // Nothing to switch between
+  if(session.isAdministrator() || session.networks.length < 2) {
+    return "";
+  }
+
+  return [
+    "        <select class='custom-select custom-select-sm' style='width: auto;' title='Select network' onchange='switchNetwork(this.value)'>",
+    session.networks.map(generateNetworkOption).join("\n"),
+    "        </select>",
+    "        &nbsp;"
+  ].join("\n");
+
+}
+
 function generateWelcome(session) {
 
   /*
@@ -402,7 +584,10 @@ function generateWelcome(session) {
     "MODULES": CONFIG.MODULES,
     "NETWORK": session.prototype,
     "ROLE": session.role,
-    "ADMINISTRATOR": session.role === database.ROLES.ADMINISTRATOR
+    "ROLE_NAMES": ROLE_NAMES,
+    "PERMISSIONS": getRolePermissions(session.role),
+    "ADMINISTRATOR": session.role === database.ROLES.ADMINISTRATOR,
+    "CSRF_TOKEN": session.csrf
   }
 
   return [
@@ -412,9 +597,13 @@ function generateWelcome(session) {
     getLogo(CONFIG.NODE.ID),
     "      </div>",
     "      <div style='float: right;'>",
+    generateNetworkSwitcher(session),
     "        <a href='/home/messages'><span class='badge badge-success'><span class='fa fa-envelope' aria-hidden='true'></span> <small><span id='number-messages'></span></small></span></a>",
     "        &nbsp;",
+    "        <a href='/home/account'><span class='fas fa-user-cog' aria-hidden='true'></span><small><b> Account</b></small></a>",
+    "        &nbsp;",
     "        <a href='/logout' onclick='return confirm(\"Are you sure you want to log out?\")'><span class='fas fa-sign-out-alt' aria-hidden='true'></span><small><b> Logout</b></small></a>",
+    "        <small><a href='#' onclick='logoutAllSessions(); return false;' title='Log out of all sessions'>(all)</a></small>",
     "      </div>",
     "      <h2 class='form-signin-heading'><span style='color: #C03;'>E</span>IDA Manager <small class='text-muted'>" + CONFIG.NODE.ID + "</small></h2>",
     generateWelcomeInformation(session),
@@ -423,6 +612,62 @@ function generateWelcome(session) {
 
 }
 
+function generateAccount(session) {
+
+  /*
+   * Function generateAccount
+   * Generates HTML for the account settings page
+   */
+
+  return [
+    generateHeader(),
+    generateWelcome(session),
+    "      <h3> Account <small> Change your password </small> </h3>",
+    "      <hr>",
+    "      <form class='message-form' method='post' action='/password'>",
+    generateCSRFInput(session),
+    "        <div class='input-group'>",
+    "          <div class='input-group-prepend'>",
+    "            <div class='input-group-text'><span class='fa fa-key' aria-hidden='true'></span></div>",
+    "          </div>",
+    "          <input type='password' name='current' class='form-control' placeholder='Current password' required autofocus>",
+    "        </div>",
+    "        <br>",
+    "        <div class='input-group'>",
+    "          <div class='input-group-prepend'>",
+    "            <div class='input-group-text'><span class='fa fa-lock' aria-hidden='true'></span></div>",
+    "          </div>",
+    "          <input type='password' minlength='" + CONFIG.PASSWORD.MINIMUM_LENGTH + "' name='password' class='form-control' placeholder='New password' required>",
+    "          <input type='password' minlength='" + CONFIG.PASSWORD.MINIMUM_LENGTH + "' name='repassword' class='form-control' placeholder='Re-enter' required>",
+    "        </div>",
+    "        <small class='form-text text-muted'>Changing your password logs out all your other sessions.</small>",
+    "        <hr>",
+    "        <button class='btn btn-primary btn-block' type='submit'><span class='fas fa-key' aria-hidden='true'></span> Change Password</button>",
+    "      </form>",
+    "      <h3> API Tokens <small> Scripted metadata submission </small> </h3>",
+    "      <hr>",
+    "      <div class='input-group'>",
+    "        <div class='input-group-prepend'>",
+    "          <div class='input-group-text'><span class='fa fa-tag' aria-hidden='true'></span></div>",
+    "        </div>",
+    "        <input id='token-name' maxlength='64' class='form-control' placeholder='Token name'>",
+    "        <div class='input-group-append'>",
+    "          <button class='btn btn-primary' onClick='createToken()'><span class='fas fa-plus' aria-hidden='true'></span> Create Token</button>",
+    "        </div>",
+    "      </div>",
+    "      <small class='form-text text-muted'>Tokens are sent in the <code>Authorization: Bearer</code> header and act on the network selected in this session.</small>",
+    "      <br>",
+    "      <div id='token-table'></div>",
+    "      <h3> Two-Factor Authentication <small> Authenticator application </small> </h3>",
+    "      <hr>",
+    "      <div id='totp-status'></div>",
+    generateFooter(),
+    "  <script src='https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js'></script>",
+    generateFooterApp()
+  ].join("\n");
+
+}
+
 function generateStationDetails(session) {
 
   /*
@@ -488,6 +733,9 @@ function generateStationDetails(session) {
     "          <div id='collapseOne2' class='collapse' aria-labelledby='headingOne2' data-parent='#accordion2'>",
     "            <div class='card-body'>",
     "              <div id='metadata-history'></div>",
+    "              <div id='metadata-timeline'></div>",
+    "              <div id='metadata-review'></div>",
+    "              <div id='metadata-diff'></div>",
     "            </div>",
     "          </div>",
     "        </div>",
@@ -526,6 +774,7 @@ function generateNewMessageTemplate(invalid, session) {
     generateHeader(),
     generateWelcome(session),
     "      <form class='message-form' method='post' action='/send'>",
+    generateCSRFInput(session),
     "        <div id='message-information' style='text-align: center;'></div>",
     "        <h3>Submit new message</h3>",
     "        <div class='input-group'>",
@@ -748,6 +997,102 @@ function generateLogin(invalid) {
     generateInvalid(invalid),
     "        </div>",
     "        <button class='btn btn-lg btn-primary btn-block' type='submit'><span class='fa fa-lock' aria-hidden='true'></span> Authenticate</button>",
+    generateProviderLogin(),
+    "      </form>",
+    "    </div>",
+    "  </body>",
+    generateFooter(),
+    "</html>"
+  ].join("\n");
+
+}
+
+function generateProviderLogin() {
+
+  /*
+   * Function generateProviderLogin
+   * Generates the button to log in through the OpenID Connect provider
+   */
+
+  if(!CONFIG.AUTHENTICATION.BACKENDS.includes("oidc")) {
+    return "";
+  }
+
+  return "        <a class='btn btn-lg btn-secondary btn-block' href='/login/oidc'><span class='fa fa-id-card' aria-hidden='true'></span> Log in with " + CONFIG.AUTHENTICATION.OIDC.NAME + "</a>";
+
+}
+
+function generateReset(invalid, token) {
+
+  /*
+   * Function generateReset
+   * Generates the HTML for the password reset page
+   */
+
+  return [
+    generateHeader(),
+    "  <body>",
+    "    <div style='text-align: center;'>",
+    getLogo(CONFIG.NODE.ID),
+    "    </div>",
+    "    <div class='container'>",
+    "      <form class='form-signin' method='post' action='reset'>",
+    "        <h2 class='form-signin-heading'><span style='color: #C03;'>E</span>IDA Manager</h2>",
+    "        <input type='hidden' name='token' value='" + token + "'>",
+    "        <div class='input-group'>",
+    "          <div class='input-group-prepend'>",
+    "            <label class='input-group-text'><span class='fa fa-key' aria-hidden='true'></span></label>",
+    "          </div>",
+    "          <input name='password' type='password' minlength='" + CONFIG.PASSWORD.MINIMUM_LENGTH + "' class='form-control' placeholder='New password' required autofocus>",
+    "        </div>",
+    "        <div class='input-group'>",
+    "          <div class='input-group-prepend'>",
+    "            <label class='input-group-text'><span class='fa fa-key' aria-hidden='true'></span></label>",
+    "          </div>",
+    "          <input name='repassword' type='password' minlength='" + CONFIG.PASSWORD.MINIMUM_LENGTH + "' class='form-control' placeholder='Re-enter' required>",
+    "        </div>",
+    "        <hr>",
+    "        <div style='text-align: center;'>",
+    generateInvalid(invalid),
+    "        </div>",
+    "        <button class='btn btn-lg btn-primary btn-block' type='submit'><span class='fa fa-lock' aria-hidden='true'></span> Set Password</button>",
+    "      </form>",
+    "    </div>",
+    "  </body>",
+    generateFooter(),
+    "</html>"
+  ].join("\n");
+
+}
+
+function generateTwoFactor(invalid) {
+
+  /*
+   * Function generateTwoFactor
+   * Generates the HTML for the second step of the login
+   */
+
+  return [
+    generateHeader(),
+    "  <body>",
+    "    <div style='text-align: center;'>",
+    getLogo(CONFIG.NODE.ID),
+    "    </div>",
+    "    <div class='container'>",
+    "      <form class='form-signin' method='post' action='/login/totp'>",
+    "        <h2 class='form-signin-heading'><span style='color: #C03;'>E</span>IDA Manager</h2>",
+    "        <div class='input-group'>",
+    "          <div class='input-group-prepend'>",
+    "            <label class='input-group-text'><span class='fa fa-mobile-alt' aria-hidden='true'></span></label>",
+    "          </div>",
+    "          <input name='code' class='form-control' placeholder='Authentication code' autocomplete='one-time-code' required autofocus>",
+    "        </div>",
+    "        <small class='form-text text-muted'>Enter the code from your authenticator application or one of your recovery codes.</small>",
+    "        <hr>",
+    "        <div style='text-align: center;'>",
+    generateInvalid(invalid),
+    "        </div>",
+    "        <button class='btn btn-lg btn-primary btn-block' type='submit'><span class='fa fa-lock' aria-hidden='true'></span> Verify</button>",
     "      </form>",
     "    </div>",
     "  </body>",
@@ -832,17 +1177,38 @@ function generateInvalid(invalid) {
    * Generates alert message box with status message
    */
 
-  const E_USERNAME_INVALID = "Username is invalid.";
-  const E_PASSWORD_INVALID = "Password is invalid.";
+  const E_AUTHENTICATION_FAILED = "Username or password is invalid.";
+  const E_AUTHENTICATION_LOCKED = "Too many failed login attempts. Please try again later.";
+  const E_PROVIDER_FAILED = "The identity provider could not log you in or your account has no access.";
+  const E_TOTP_INVALID = "The authentication code is invalid.";
+  const E_TOTP_EXPIRED = "The login has expired or too many invalid codes were entered. Please log in again.";
+  const E_RESET_INVALID = "The password reset link is invalid or has expired.";
+  const E_PASSWORD_LENGTH = "The password must be at least " + CONFIG.PASSWORD.MINIMUM_LENGTH + " characters.";
+  const E_PASSWORD_MISMATCH = "The passwords do not match.";
   const S_LOGGED_OUT = "Succesfully logged out.";
+  const S_PASSWORD_RESET = "Your password has been reset. You can now log in.";
 
   // Write the alert message
-  if(invalid.endsWith("E_PASSWORD_INVALID")) {
-    return generateMessageAlert("danger", E_PASSWORD_INVALID);
-  } else if(invalid.endsWith("E_USERNAME_INVALID")) {
-    return generateMessageAlert("danger", E_USERNAME_INVALID);
+  if(invalid.endsWith("E_AUTHENTICATION_FAILED")) {
+    return generateMessageAlert("danger", E_AUTHENTICATION_FAILED);
+  } else if(invalid.endsWith("E_AUTHENTICATION_LOCKED")) {
+    return generateMessageAlert("danger", E_AUTHENTICATION_LOCKED);
+  } else if(invalid.endsWith("E_PROVIDER_FAILED")) {
+    return generateMessageAlert("danger", E_PROVIDER_FAILED);
+  } else if(invalid.endsWith("E_TOTP_INVALID")) {
+    return generateMessageAlert("danger", E_TOTP_INVALID);
+  } else if(invalid.endsWith("E_TOTP_EXPIRED")) {
+    return generateMessageAlert("danger", E_TOTP_EXPIRED);
+  } else if(invalid.endsWith("E_RESET_INVALID")) {
+    return generateMessageAlert("danger", E_RESET_INVALID);
+  } else if(invalid.endsWith("E_PASSWORD_LENGTH")) {
+    return generateMessageAlert("danger", E_PASSWORD_LENGTH);
+  } else if(invalid.endsWith("E_PASSWORD_MISMATCH")) {
+    return generateMessageAlert("danger", E_PASSWORD_MISMATCH);
   } else if(invalid.endsWith("S_LOGGED_OUT")) {
     return generateMessageAlert("success", S_LOGGED_OUT);
+  } else if(invalid.endsWith("S_PASSWORD_RESET")) {
+    return generateMessageAlert("success", S_PASSWORD_RESET);
   }
 
 }
@@ -904,6 +1270,9 @@ function generateHTTPError(statusCode, error) {
 }
 
 module.exports = {
+  generateAccount,
+  generateReset,
+  generateTwoFactor,
   generateInvalid,
   generateHeader,
   generateLogin,
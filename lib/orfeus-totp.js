@@ -0,0 +1,209 @@
+/*
+ * EIDA Manager - lib/orfeus-totp.js
+ *
+ * Time-based one-time passwords (RFC 6238) used as a second authentication factor
+ *
+ * Copyright: ORFEUS Data Center
+ * Author: Mathijs Koymans, 2018
+ *
+ */
+
+const crypto = require("crypto");
+
+const { compareToken, randomId } = require("./lib/orfeus-crypto");
+const CONFIG = require("./config");
+
+// Parameters understood by all authenticator applications
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+
+  /*
+   * Function base32Encode
+   * Encodes a buffer to an unpadded base32 string (RFC 4648)
+   */
+
+  var bits = 0;
+  var value = 0;
+  var output = "";
+
+  for(var i = 0; i < buffer.length; i++) {
+
+    value = (value << 8) | buffer[i];
+    bits += 8;
+
+    while(bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+
+  }
+
+  if(bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+
+}
+
+function base32Decode(string) {
+
+  /*
+   * Function base32Decode
+   * Decodes a base32 string to a buffer
+   */
+
+  var bits = 0;
+  var value = 0;
+  var output = new Array();
+
+  string.toUpperCase().replace(/=+$/, "").split("").forEach(function(character) {
+
+    value = (value << 5) | BASE32_ALPHABET.indexOf(character);
+    bits += 5;
+
+    if(bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+
+  });
+
+  return Buffer.from(output);
+
+}
+
+function generateSecret() {
+
+  /*
+   * Function generateSecret
+   * Returns a new random base32 encoded TOTP secret
+   */
+
+  return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+
+}
+
+function getTimeStep(time) {
+
+  /*
+   * Function getTimeStep
+   * Returns the TOTP time step of a timestamp in milliseconds
+   */
+
+  return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+}
+
+function generateCode(secret, step) {
+
+  /*
+   * Function generateCode
+   * Generates the HOTP code (RFC 4226) of a secret for a time step
+   */
+
+  var counter = Buffer.alloc(8);
+
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+
+  var hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  var offset = hmac[hmac.length - 1] & 15;
+  var code = hmac.readUInt32BE(offset) & 0x7FFFFFFF;
+
+  return String(code % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, "0");
+
+}
+
+function verifyCode(secret, code, lastStep) {
+
+  /*
+   * Function verifyCode
+   * Verifies a code against the time steps within the configured window
+   * Returns the matching time step or null
+   * Steps up to the last used step are rejected to prevent replay
+   */
+
+  var current = getTimeStep(Date.now());
+
+  for(var step = current - CONFIG.TOTP.WINDOW; step <= current + CONFIG.TOTP.WINDOW; step++) {
+
+    if(lastStep !== null && step <= lastStep) {
+      continue;
+    }
+
+    if(compareToken(code, generateCode(secret, step))) {
+      return step;
+    }
+
+  }
+
+  return null;
+
+}
+
+function getProvisioningURI(secret, username) {
+
+  /*
+   * Function getProvisioningURI
+   * Returns the otpauth:// URI that is shown as QR code to authenticator applications
+   */
+
+  var label = encodeURIComponent(CONFIG.TOTP.ISSUER) + ":" + encodeURIComponent(username);
+
+  return "otpauth://totp/" + label + "?" + [
+    "secret=" + secret,
+    "issuer=" + encodeURIComponent(CONFIG.TOTP.ISSUER),
+    "algorithm=SHA1",
+    "digits=" + TOTP_DIGITS,
+    "period=" + TOTP_PERIOD_SECONDS
+  ].join("&");
+
+}
+
+function generateRecoveryCodes() {
+
+  /*
+   * Function generateRecoveryCodes
+   * Returns a list of single use recovery codes
+   */
+
+  const BYTES_ENTROPY = 5;
+
+  var codes = new Array();
+
+  for(var i = 0; i < CONFIG.TOTP.RECOVERY_CODES; i++) {
+    codes.push(randomId(BYTES_ENTROPY));
+  }
+
+  return codes;
+
+}
+
+function normalizeRecoveryCode(code) {
+
+  /*
+   * Function normalizeRecoveryCode
+   * Ignores whitespace, dashes and case in entered recovery codes
+   */
+
+  return String(code).replace(/[\s-]/g, "").toLowerCase();
+
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  getProvisioningURI,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+}
@@ -60,7 +60,71 @@ function createDirectory(filepath) {
 
 }
 
+function removeDirectory(directory) {
+
+  /*
+   * Function removeDirectory
+   * Synchronously removes a directory and the files in it
+   */
+
+  if(!fs.existsSync(directory)) {
+    return;
+  }
+
+  fs.readdirSync(directory).forEach(function(filename) {
+    fs.unlinkSync(path.join(directory, filename));
+  });
+
+  fs.rmdirSync(directory);
+
+}
+
+function toCSV(columns, rows) {
+
+  /*
+   * Function toCSV
+   * Converts a list of objects to CSV with a header of column names
+   * Nested objects are written as JSON
+   */
+
+  function formatValue(value) {
+
+    /*
+     * Function toCSV::formatValue
+     * Quotes a single value and prevents it from being read as a spreadsheet formula
+     */
+
+    if(value === null || value === undefined) {
+      return "";
+    }
+
+    if(value instanceof Date) {
+      value = value.toISOString();
+    } else if(typeof value === "object") {
+      value = JSON.stringify(value);
+    } else {
+      value = String(value);
+    }
+
+    if(/^[=+\-@]/.test(value)) {
+      value = "'" + value;
+    }
+
+    return "\"" + value.replace(/"/g, "\"\"") + "\"";
+
+  }
+
+  var lines = [columns.join(",")].concat(rows.map(function(row) {
+    return columns.map(x => formatValue(row[x])).join(",");
+  }));
+
+  return lines.join("\r\n") + "\r\n";
+
+}
+
 module.exports = {
   sum,
-  createDirectory
+  createDirectory,
+  removeDirectory,
+  toCSV
 }
@@ -1,7 +1,8 @@
 /*
  * EIDA-Manager - lib/orfeus-xml.js
- * 
+ *
  * Wrapper for XSD schema templates
+ * One schema is loaded per supported FDSNStationXML version
  *
  * Copyright: ORFEUS Data Center
  * Author: Mathijs Koymans, 2018
@@ -10,7 +11,89 @@
 
 const fs = require("fs");
 const libxmljs = require("libxmljs");
+const logger = require("./lib/orfeus-logging");
 const CONFIG = require("./config");
 
-// Export the parsed schema file
-module.exports = libxmljs.parseXml(fs.readFileSync(CONFIG.METADATA.SCHEMA.PATH, "utf8"));
+// Parse the schema file of every configured version
+// Versions whose schema file is not installed are not supported
+const SCHEMAS = new Map(Object.keys(CONFIG.METADATA.SCHEMA.VERSIONS).filter(function(version) {
+
+  if(fs.existsSync(CONFIG.METADATA.SCHEMA.VERSIONS[version])) {
+    return true;
+  }
+
+  logger.error("Schema for FDSNStationXML version " + version + " is not installed at " + CONFIG.METADATA.SCHEMA.VERSIONS[version] + ".");
+
+  return false;
+
+}).map(function(version) {
+  return [version, libxmljs.parseXml(fs.readFileSync(CONFIG.METADATA.SCHEMA.VERSIONS[version], "utf8"))];
+}));
+
+function getSchemaVersion(XMLDocument) {
+
+  /*
+   * Function getSchemaVersion
+   * Returns the declared FDSNStationXML version of a document or null
+   */
+
+  var attribute = XMLDocument.root().attr("schemaVersion");
+
+  if(attribute === null) {
+    return null;
+  }
+
+  return attribute.value();
+
+}
+
+function getSchema(version) {
+
+  /*
+   * Function getSchema
+   * Returns the parsed XSD schema for a FDSNStationXML version or null when unsupported
+   */
+
+  return SCHEMAS.get(version) || null;
+
+}
+
+function validateSchema(XMLDocument, version) {
+
+  /*
+   * Function validateSchema
+   * Validates a document against the schema of a version (default: its declared version)
+   * Throws when the version is not supported
+   */
+
+  if(version === undefined) {
+    version = getSchemaVersion(XMLDocument);
+  }
+
+  var schema = getSchema(version);
+
+  if(schema === null) {
+    throw new Error("Unsupported FDSNStationXML version: " + version + ". Supported versions are " + getSupportedVersions().join(", ") + ".");
+  }
+
+  return XMLDocument.validate(schema);
+
+}
+
+function getSupportedVersions() {
+
+  /*
+   * Function getSupportedVersions
+   * Returns the FDSNStationXML versions that have a schema
+   */
+
+  return Array.from(SCHEMAS.keys());
+
+}
+
+module.exports = {
+  getSchemaVersion,
+  getSchema,
+  validateSchema,
+  getSupportedVersions
+}
@@ -16,28 +16,43 @@ require("./require");
 
 // Native libs
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
 // Self
-const XSDSchema = require("./lib/orfeus-xml");
 const database = require("./lib/orfeus-database");
 const logger = require("./lib/orfeus-logging");
-const { parsePrototype, validateMetadata } = require("./lib/orfeus-metadata");
+const { validateMetadata, hasErrors } = require("./lib/orfeus-metadata");
+const { getRuleSet, SEVERITY_ERROR } = require("./lib/orfeus-rules");
 const seisComP3 = require("./lib/orfeus-seiscomp");
 
 // Configuration
 const CONFIG = require("./config");
 
-var GLOBAL_CALLBACK;
+// Actions of the daemon are recorded in the audit log under this actor
+const DAEMON_ACTOR = {
+  "userId": null,
+  "username": "metadaemon",
+  "ip": null
+}
 
-var metaDaemonInit = function() {
+// Identifies the leases held by this process
+const WORKER_ID = os.hostname() + ":" + process.pid;
+
+// Jobs currently processed by this process keyed by document identifier
+var activeJobs = new Map();
+var stopping = false;
+
+// Sleep timers of idle workers keyed by slot
+var sleepingWorkers = new Map();
+
+function getStatusCodes() {
 
   /*
-   * Function metaDaemonInit
-   * Initializes the metadata processing pipeline
+   * Function getStatusCodes
+   * Returns the status codes that need metadaemon attention
    */
 
-  // Status codes that need metadaemon attention
   var statusCodes = [
     database.METADATA_STATUS_PENDING,
     database.METADATA_STATUS_VALIDATED,
@@ -49,47 +64,258 @@ var metaDaemonInit = function() {
     statusCodes.push(database.METADATA_STATUS_DELETED);
   }
 
-  // Define a global callback
-  (GLOBAL_CALLBACK = function() {
+  return statusCodes;
+
+}
 
-    // Get the next result again (prevent race conditions)
-    database.files().findOne({"status": {"$in": statusCodes}}, function(error, document) {
+var metaDaemonInit = function() {
 
-      // Put the metadaemon to sleep
-      if(error || document === null) {
-        return metaDaemonSleep(CONFIG.METADATA.DAEMON.SLEEP_INTERVAL_SECONDS);
-      }
+  /*
+   * Function metaDaemonInit
+   * Initializes the metadata processing pipeline with a number of concurrent workers
+   * Workers in this and other processes claim files using leases so each file is processed once
+   */
 
-      // Map the document status to the processing pipeline 
-      switch(document.status) {
-        case database.METADATA_STATUS_PENDING:
-          return metadValidate(document);
-        case database.METADATA_STATUS_VALIDATED:
-          return metadConvert(document);
-        case database.METADATA_STATUS_CONVERTED:
-          return metadMerge(document);
-        case database.METADATA_STATUS_DELETED:
-          return metadPurge(document);
-        default:
-          throw("Unknown document status received: " + document.status);
-      }
+  logger.info("metaDaemon " + WORKER_ID + " is starting " + CONFIG.METADATA.DAEMON.CONCURRENCY + " worker(s)");
+
+  for(var slot = 0; slot < CONFIG.METADATA.DAEMON.CONCURRENCY; slot++) {
+    metaDaemonWorker(slot);
+  }
+
+}
+
+function metaDaemonWorker(slot) {
+
+  /*
+   * Function metaDaemonWorker
+   * Claims the next file that needs processing and passes it to the pipeline
+   */
+
+  // No new work is claimed during shutdown
+  if(stopping) {
+    return;
+  }
+
+  database.claimJob(getStatusCodes(), {"id": WORKER_ID, "slot": slot}, function(error, document) {
+
+    if(error) {
+      logger.error(error);
+    }
+
+    // Put the worker to sleep
+    if(error || document === null) {
+      return metaDaemonSleep(slot, CONFIG.METADATA.DAEMON.SLEEP_INTERVAL_SECONDS);
+    }
+
+    startJob(document, slot);
+
+    // Map the document status to the processing pipeline 
+    switch(document.status) {
+      case database.METADATA_STATUS_PENDING:
+        return metadValidate(document);
+      case database.METADATA_STATUS_VALIDATED:
+        return metadConvert(document);
+      case database.METADATA_STATUS_CONVERTED:
+        return metadMerge(document);
+      case database.METADATA_STATUS_DELETED:
+        return metadPurge(document);
+      default:
+        throw("Unknown document status received: " + document.status);
+    }
+
+  });
+
+}
+
+function getStage(status) {
+
+  /*
+   * Function getStage
+   * Returns the name of the pipeline stage that processes a status in the timeline
+   */
+
+  switch(status) {
+    case database.METADATA_STATUS_PENDING:
+      return "validate";
+    case database.METADATA_STATUS_VALIDATED:
+      return "convert";
+    case database.METADATA_STATUS_CONVERTED:
+      return "merge";
+    case database.METADATA_STATUS_DELETED:
+      return "purge";
+    default:
+      return "unknown";
+  }
+
+}
+
+function startJob(document, slot) {
+
+  /*
+   * Function startJob
+   * Keeps track of the start of a job and periodically extends the lease while it is processed
+   * The lease expires and the file is recovered by another worker when this process dies
+   */
 
+  var interval = setInterval(function() {
+
+    database.renewLease(document, function(error) {
+      if(error) {
+        logger.error(error);
+      }
     });
 
-  })();
+  }, 1E3 * CONFIG.METADATA.DAEMON.LEASE_SECONDS / 3);
+
+  activeJobs.set(document._id.toString(), {
+    "slot": slot,
+    "stage": getStage(document.status),
+    "started": new Date(),
+    "interval": interval
+  });
+
+}
+
+function createHistoryEntry(document, status, error, stderr) {
+
+  /*
+   * Function createHistoryEntry
+   * Returns the timeline entry of the job processing a file
+   */
+
+  var job = activeJobs.get(document._id.toString());
+
+  return database.createHistoryEntry(job.stage, job.started, WORKER_ID + "#" + job.slot, status, error, stderr);
 
 }
 
-function metaDaemonSleep(time) {
+function finishJob(document) {
+
+  /*
+   * Function finishJob
+   * Stops renewing the lease of a file and lets its worker claim the next file
+   */
+
+  var job = activeJobs.get(document._id.toString());
+
+  clearInterval(job.interval);
+  activeJobs.delete(document._id.toString());
+
+  metaDaemonWorker(job.slot);
+
+}
+
+function metaDaemonSleep(slot, time) {
 
   /*
    * Function metaDaemonSleep
-   * Put the daemon to sleep for N seconds
+   * Put a worker to sleep for N seconds
    */
 
-  logger.info("metaDaemon is sleeping for " + time + " seconds");
+  logger.info("metaDaemon worker " + WORKER_ID + "#" + slot + " is sleeping for " + time + " seconds");
+
+  sleepingWorkers.set(slot, setTimeout(function() {
+    sleepingWorkers.delete(slot);
+    metaDaemonWorker(slot);
+  }, 1E3 * time));
+
+}
+
+function metaDaemonWake() {
+
+  /*
+   * Function metaDaemonWake
+   * Wakes up all sleeping workers to look for new work immediately
+   */
 
-  setTimeout(metaDaemonInit, 1E3 * time);
+  sleepingWorkers.forEach(function(timeout, slot) {
+    clearTimeout(timeout);
+    sleepingWorkers.delete(slot);
+    metaDaemonWorker(slot);
+  });
+
+}
+
+function followNotifications() {
+
+  /*
+   * Function followNotifications
+   * Wakes up the workers when the web application writes a notification (e.g. a new submission)
+   * The workers keep polling as a fallback when notifications are unavailable
+   */
+
+  var since = new Date();
+  var reopened = false;
+
+  function reopen(error) {
+
+    /*
+     * Function followNotifications::reopen
+     * Follows the notifications again after the cursor was closed
+     */
+
+    if(reopened || stopping) {
+      return;
+    }
+
+    reopened = true;
+
+    if(error) {
+      logger.error(error);
+    }
+
+    logger.info("metaDaemon notification cursor was closed: polling until it is reopened");
+
+    setTimeout(followNotifications, 1E3 * CONFIG.METADATA.DAEMON.SLEEP_INTERVAL_SECONDS);
+
+  }
+
+  // A tailable cursor without results is closed immediately: start with a notification
+  database.notify("metadaemon.started", function(error) {
+
+    if(error) {
+      return reopen(error);
+    }
+
+    var stream = database.followNotifications(since);
+
+    stream.on("data", function(notification) {
+      logger.info("metaDaemon received notification " + notification.type);
+      metaDaemonWake();
+    });
+
+    stream.on("error", reopen);
+    stream.on("end", reopen);
+
+  });
+
+}
+
+function metaDaemonStop(signal) {
+
+  /*
+   * Function metaDaemonStop
+   * Releases the leases held by this process before exiting
+   * so that other workers can pick up the files without waiting for the leases to expire
+   */
+
+  if(stopping) {
+    return;
+  }
+
+  stopping = true;
+
+  logger.info("metaDaemon " + WORKER_ID + " received " + signal + " and is releasing " + activeJobs.size + " lease(s)");
+
+  database.releaseJobs(WORKER_ID, function(error) {
+
+    if(error) {
+      logger.error(error);
+    }
+
+    process.exit(0);
+
+  });
 
 }
 
@@ -113,21 +339,27 @@ function getStatusInfo(status) {
       return "METADATA_STATUS_CONVERTED";
     case database.METADATA_STATUS_ACCEPTED:
       return "METADATA_STATUS_ACCEPTED";
+    case database.METADATA_STATUS_AWAITING_REVIEW:
+      return "METADATA_STATUS_AWAITING_REVIEW";
     case database.METADATA_STATUS_COMPLETED:
       return "METADATA_STATUS_COMPLETED";
     case database.METADATA_STATUS_DELETED:
       return "METADATA_STATUS_DELETED";
+    case database.METADATA_STATUS_FAILED:
+      return "METADATA_STATUS_FAILED";
     default:
       return "METADATA_STATUS_UNKNOWN";
   }
 
 }
 
-function metaDaemonCallback(document, status, error) {
+function metaDaemonCallback(document, status, error, details) {
 
   /*
    * Function metaDaemonCallback
    * Fired after an attempted metadMerge, metadConvert and sets new status for metadata
+   * Details may hold the captured SeisComP3 output (kept in the timeline of the file)
+   * and the validation report
    */
 
   // If not defined set to null
@@ -135,17 +367,34 @@ function metaDaemonCallback(document, status, error) {
     error = null;
   }
 
-  // Nothing has changed: proceed
+  if(details === undefined) {
+    details = new Object();
+  }
+
+  // Nothing has changed (e.g. the file was purged): continue
   if(status === database.METADATA_STATUS_UNCHANGED) {
-    return GLOBAL_CALLBACK();
+    return finishJob(document);
   }
 
   logger.info("Setting document " + document.network.code + "." + document.station + " to status " + getStatusInfo(status));
 
+  // Attempts are counted per pipeline stage
   var setObject = {
     "modified": new Date(),
     "status": status,
-    "error": error
+    "error": error,
+    "attempts": 0,
+    "retryAfter": null
+  }
+
+  if(details.report !== undefined) {
+    setObject.report = details.report;
+  }
+
+  // Keep the stage the file failed in so that it can be requeued
+  if(status === database.METADATA_STATUS_FAILED) {
+    setObject.attempts = document.attempts;
+    setObject.failedStatus = document.status;
   }
 
   // When metadata is completed (available through FDSNWS)
@@ -154,8 +403,76 @@ function metaDaemonCallback(document, status, error) {
     setObject.available = new Date();
   }
 
-  // Update the status of the file and fire the global callback
-  database.files().updateOne({"_id": document._id}, {"$set": setObject}, GLOBAL_CALLBACK);
+  // Update the status of the file, release the lease and continue with the next file
+  var entry = createHistoryEntry(document, status, error, details.stderr);
+
+  database.completeJob(document, setObject, entry, function(databaseError, updated) {
+
+    if(databaseError) {
+      logger.error(databaseError);
+    } else if(!updated) {
+      logger.info("Discarding result for document " + document.network.code + "." + document.station + ": lease was lost or status was changed");
+    } else {
+      database.audit(DAEMON_ACTOR, "metadata.status", document.sha256, {"status": document.status}, {"status": status, "error": error, "worker": WORKER_ID});
+    }
+
+    finishJob(document);
+
+  });
+
+}
+
+function isTransient(error) {
+
+  /*
+   * Function isTransient
+   * Rejections of the metadata are passed as message strings
+   * while failures of the system (e.g. disk, database, SeisComP3 crashes) are passed as errors
+   */
+
+  return error instanceof Error;
+
+}
+
+function metaDaemonRetry(document, error) {
+
+  /*
+   * Function metaDaemonRetry
+   * Schedules a file that hit a transient failure for another attempt with exponential backoff
+   * The file is marked as failed after the maximum number of attempts
+   */
+
+  document.attempts = (document.attempts || 0) + 1;
+
+  if(document.attempts >= CONFIG.METADATA.DAEMON.RETRY.MAXIMUM_ATTEMPTS) {
+    logger.error("Giving up on document " + document.network.code + "." + document.station + " after " + document.attempts + " attempts: " + error.message);
+    return metaDaemonCallback(document, database.METADATA_STATUS_FAILED, error.message);
+  }
+
+  var delay = CONFIG.METADATA.DAEMON.RETRY.BACKOFF_SECONDS * Math.pow(2, document.attempts - 1);
+
+  logger.info("Retrying document " + document.network.code + "." + document.station + " in " + delay + " seconds after attempt " + document.attempts + ": " + error.message);
+
+  var setObject = {
+    "error": error.message,
+    "attempts": document.attempts,
+    "retryAfter": new Date(Date.now() + 1E3 * delay)
+  }
+
+  var entry = createHistoryEntry(document, document.status, error.message, null);
+
+  entry.retryAfter = setObject.retryAfter;
+
+  // Release the lease so any worker can pick the file up after the backoff
+  database.completeJob(document, setObject, entry, function(databaseError) {
+
+    if(databaseError) {
+      logger.error(databaseError);
+    }
+
+    finishJob(document);
+
+  });
 
 }
 
@@ -171,74 +488,61 @@ function metadValidate(document) {
   // Read the file from disk
   fs.readFile(document.filepath + ".stationXML", function(error, XMLString) {
  
-    // Problem reading the file: skip
+    // Problem reading the file: try again later
     if(error) {
-      return metaDaemonCallback(document, database.METADATA_STATUS_UNCHANGED);
+      return metaDaemonRetry(document, error);
     }
 
-    // Validate sanity of the document (e.g. sampling rate, FIR filters)
-    try {
-      validateMetadata(XMLString);
-    } catch(exception) {
-      return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, exception.message);
-    }
+    // Get the validation rules overridden for the network
+    database.getNetworkRules(document.network, function(error, overrides) {
 
-    // Validate against the prototype
-    comparePrototypes(XMLString, function(error) {
- 
       if(error) {
-        return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, error);
+        return metaDaemonRetry(document, error);
       }
 
-      metaDaemonCallback(document, database.METADATA_STATUS_VALIDATED);
+      // Validate sanity of the document (e.g. sampling rate, FIR filters)
+      // and collect all findings in a report that is stored with the file
+      var report = validateMetadata(XMLString, getRuleSet(overrides));
 
-    });
-
-  });
+      if(hasErrors(report)) {
+        return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, getReportSummary(report), {"report": report});
+      }
 
-}
+      // Validate against the prototype
+      database.comparePrototype(XMLString, function(error) {
+ 
+        if(isTransient(error)) {
+          return metaDaemonRetry(document, error);
+        }
 
-function comparePrototypes(XMLDocument, callback) {
+        if(error) {
+          return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, error, {"report": report});
+        }
 
-  /*
-   * Function comparePrototypes
-   * Does simple validation of submitted file against the network prototype definition
-   */
+        metaDaemonCallback(document, database.METADATA_STATUS_VALIDATED, null, {"report": report});
 
-  const E_PROTOTYPE_MISSING = "The network prototype could not be found. Please contact an administrator";
-  const E_PROTOTYPE_CONFLICT_END = "The submitted network end time conflicts with the network prototype definition";
-  const E_PROTOTYPE_CONFLICT_RESTRICTED = "The submitted network restricted status conflicts with the network prototype definition";
-  const E_INTERNAL_SERVER_ERROR = "The server experienced an unexpected error";
+      });
 
-  var thing = parsePrototype(XMLDocument);
-
-  // A network is identifier by its code, start & end time
-  database.prototypes().find({"network": thing.network}).sort({"created": database.DESCENDING}).limit(1).toArray(function(error, documents) {
+    });
 
-    if(error) {
-      return callback(E_INTERNAL_SERVER_ERROR);
-    }
+  });
 
-    // The network prototype could not be found in the database
-    if(documents.length === 0) {
-      return callback(E_PROTOTYPE_MISSING);
-    }
+}
 
-    var document = documents.pop();
+function getReportSummary(report) {
 
-    // Check if end time matches
-    if(document.network.end !== thing.network.end) {
-      return callback(E_PROTOTYPE_CONFLICT_END);
-    }
+  /*
+   * Function getReportSummary
+   * Returns the error message of a rejected validation report
+   */
 
-    // Check if the restricted status matches
-    if(document.restricted !== thing.restricted) {
-      return callback(E_PROTOTYPE_CONFLICT_RESTRICTED);
-    }
+  var errors = report.filter(x => x.severity === SEVERITY_ERROR);
 
-    callback(null);
+  if(errors.length === 1) {
+    return errors[0].message;
+  }
 
-  });
+  return errors[0].message + " (and " + (errors.length - 1) + " more errors, see the validation report)";
 
 }
 
@@ -275,9 +579,11 @@ function metadPurge(document) {
   database.files().deleteOne({"_id": document._id}, function(error, result) {
 
     if(error) {
-      return metaDaemonCallback(document, database.METADATA_STATUS_UNCHANGED);
+      return metaDaemonRetry(document, error);
     }
 
+    database.audit(DAEMON_ACTOR, "metadata.purge", document.sha256, {"status": document.status}, null);
+
     // Check if there is another document with this hash
     // In that case DO NOT delete it from disk
     database.files().find({"sha256": document.sha256}).count(function(error, count) {
@@ -328,7 +634,7 @@ function metadMerge(document) {
   database.getActivePrototype(document.network, function(error, prototypes) {
 
     if(error) {
-      return metaDaemonCallback(document, database.METADATA_STATUS_UNCHANGED);
+      return metaDaemonRetry(document, error);
     }
 
     if(prototypes.length === 0) {
@@ -339,14 +645,30 @@ function metadMerge(document) {
     var files = new Array(document.filepath + ".sc3ml", prototype.filepath + ".sc3ml");
 
     // Attempt to merge without output
-    seisComP3.mergeSC3ML(files, null, function(error) {
+    seisComP3.mergeSC3ML(files, null, function(error, stderr) {
+
+      // SeisComP3 itself failed: try again later
+      if(isTransient(error)) {
+        return metaDaemonRetry(document, error);
+      }
 
       // Set status to rejected when failed
       if(error) {
-        return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, E_PROTOTYPE_CONFLICT + error);
+        return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, E_PROTOTYPE_CONFLICT + error, {"stderr": error});
       }
 
-      metaDaemonCallback(document, database.METADATA_STATUS_ACCEPTED);
+      // Networks can require a reviewer to approve the metadata before it is accepted
+      database.requiresReview(document.network, function(error, review) {
+
+        if(error) {
+          return metaDaemonRetry(document, error);
+        }
+
+        var status = review ? database.METADATA_STATUS_AWAITING_REVIEW : database.METADATA_STATUS_ACCEPTED;
+
+        metaDaemonCallback(document, status, null, {"stderr": stderr});
+
+      });
 
     });
 
@@ -366,14 +688,19 @@ function metadConvert(document) {
   var input = document.filepath + ".stationXML";
   var output = document.filepath + ".sc3ml";
 
-  seisComP3.convertSC3ML(input, output, function(error) {
+  seisComP3.convertSC3ML(input, output, function(error, stderr) {
+
+    // SeisComP3 itself failed: try again later
+    if(isTransient(error)) {
+      return metaDaemonRetry(document, error);
+    }
 
     // Set to rejected if the conversion fails
     if(error) {
-      return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, stderr);
+      return metaDaemonCallback(document, database.METADATA_STATUS_REJECTED, error, {"stderr": error});
     }
 
-    metaDaemonCallback(document, database.METADATA_STATUS_CONVERTED);
+    metaDaemonCallback(document, database.METADATA_STATUS_CONVERTED, null, {"stderr": stderr});
 
   });
 
@@ -394,8 +721,26 @@ function __init__() {
       logger.fatal(error);
       return setTimeout(__init__, RETRY_TIMEOUT_MS);
     }
+
+    // Give up leases when the container is stopped
+    process.on("SIGINT", metaDaemonStop);
+    process.on("SIGTERM", metaDaemonStop);
   
     metaDaemonInit();
+
+    if(!CONFIG.METADATA.DAEMON.NOTIFICATIONS.ENABLED) {
+      return;
+    }
+
+    database.createNotifications(function(error) {
+
+      if(error) {
+        return logger.error(error);
+      }
+
+      followNotifications();
+
+    });
   
   });
 
@@ -0,0 +1,25 @@
+#!/bin/bash
+
+# Retrieves the FDSNStationXML XSD schemas published by the FDSN
+# Submitted StationXML is validated against the schema of its declared version
+# This script needs to be run once during setup
+
+FDSN_SCHEMA_URL="https://www.fdsn.org/xml/station"
+SCHEMA_DIRECTORY="./static/schema"
+
+for version in 1.1 1.2; do
+
+  schema="fdsn-station-$version.xsd"
+
+  echo "Downloading FDSNStationXML schema version $version"
+
+  # Do not leave a partial schema behind when the download fails
+  if ! curl -sf "$FDSN_SCHEMA_URL/$schema" -o "$SCHEMA_DIRECTORY/$schema"; then
+    echo "Could not download $schema"
+    rm -f "$SCHEMA_DIRECTORY/$schema"
+    exit 1
+  fi
+
+done
+
+exit 0
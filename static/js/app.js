@@ -19,6 +19,8 @@ var chartPointers;
 var _stationJson = new Array();
 var _latencyHashMap = new Object();
 var _channelJson = new Array();
+var _historyJson = new Array();
+var _stagedJson = new Array();
 
 var App = function() {
 
@@ -117,7 +119,18 @@ function HTTPRequestDELETE(url, callback) {
 }
 
 
-function HTTPRequest(url, type, callback) {
+function HTTPRequestPATCH(url, body, callback) {
+
+  /*
+   * Function HTTPRequestPATCH
+   * Makes a PATCH request with an URL encoded body to the resource
+   */
+
+  HTTPRequest(url, "PATCH", callback, body);
+
+}
+
+function HTTPRequest(url, type, callback, body) {
 
   /*
    * Function HTTPRequest
@@ -156,6 +169,18 @@ function HTTPRequest(url, type, callback) {
 
   // Open and finish the request
   xhr.open(type, url);
+
+  // State-changing requests must carry the CSRF token of the session
+  if(type !== "GET") {
+    xhr.setRequestHeader("X-CSRF-Token", CONFIG.CSRF_TOKEN);
+  }
+
+  // Bodies are URL encoded like submitted forms
+  if(body) {
+    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+    return xhr.send(new URLSearchParams(body).toString());
+  }
+
   xhr.send();
 
 }
@@ -635,12 +660,50 @@ App.prototype.init = function() {
       return this.launchStation();
     case "/home/admin":
       return this.launchAdmin();
+    case "/home/account":
+      return this.launchAccount();
     case "/home":
      return this.launchHome();
   }
 
 }
 
+App.prototype.launchAccount = function() {
+
+  /*
+   * Function App.launchAccount
+   * Launches client-side code for the account page
+   */
+
+  const S_PASSWORD_CHANGED = "Your password has been changed. All other sessions have been logged out.";
+  const E_PASSWORD_INVALID = "The current password is invalid.";
+  const E_PASSWORD_MISMATCH = "The new passwords do not match.";
+  const E_PASSWORD_LENGTH = "The new password is too short.";
+  const E_TOTP_REQUIRED = "Administrators must enable two-factor authentication before continuing.";
+
+  if(location.search) {
+    switch(location.search.substring(1)) {
+      case "E_TOTP_REQUIRED":
+        Element("modal-content").innerHTML = generateMessageAlert("warning", E_TOTP_REQUIRED); break;
+      case "S_PASSWORD_CHANGED":
+        Element("modal-content").innerHTML = generateMessageAlert("success", S_PASSWORD_CHANGED); break;
+      case "E_PASSWORD_INVALID":
+        Element("modal-content").innerHTML = generateMessageAlert("danger", E_PASSWORD_INVALID); break;
+      case "E_PASSWORD_MISMATCH":
+        Element("modal-content").innerHTML = generateMessageAlert("danger", E_PASSWORD_MISMATCH); break;
+      case "E_PASSWORD_LENGTH":
+        Element("modal-content").innerHTML = generateMessageAlert("danger", E_PASSWORD_LENGTH); break;
+    }
+    $("#modal-alert").modal();
+  }
+
+  updateCrumbTitle("Account Settings");
+
+  createTokenTable();
+  createTwoFactorStatus();
+
+}
+
 App.prototype.launchAdmin = function() {
 
   /*
@@ -700,9 +763,12 @@ App.prototype.launchAdmin = function() {
 
   });
 
-  // Create a table for registered users & prototypes
+  // Create a table for registered users, prototypes & lockouts
   createUserTable();
   createPrototypeTable();
+  createFailedTable();
+  createLockoutTable();
+  createAuditTable();
 
   // Set the last breadcrum title
   updateCrumbTitle("Administrator Panel");
@@ -729,123 +795,746 @@ function createPrototypeTable() {
 
     }
 
-    return [
-      createPIDLink(x.sha256),
-      x.network.code,
-      x.network.start ? new Date(x.network.start).getFullYear() : "",
-      x.end ? new Date(x.end).getFullYear() : "",
-      "<small>" + x.description + "</small>",
-      x.restricted,
-      x.created
-    ];
+    return [
+      createPIDLink(x.sha256),
+      x.network.code,
+      x.network.start ? new Date(x.network.start).getFullYear() : "",
+      x.end ? new Date(x.end).getFullYear() : "",
+      "<small>" + x.description + "</small>",
+      x.restricted,
+      x.created,
+      "<button class='btn btn-link btn-sm' onClick='showNetworkRules(\"" + x.network.code + "\", \"" + (x.network.start || "") + "\")'><span class='fas fa-tasks'></span> Rules</button>"
+    ];
+
+  }
+
+  // Collect all network prototypes from the API
+  HTTPRequestGET("/api/prototypes", function(json) {
+
+    if(json === null) {
+      return Element("prototype-table").innerHTML = "<span class='text-muted'>No prototypes available.</span>";
+    }
+
+    json.sort(sortCreated).map(getPrototypeValues).filter(unique).forEach(addPrototypeSelection);
+
+    new Table({
+      "id": "prototype-table",
+      "search": true,
+      "header": new Array("Identifier", "Code", "Start", "End", "Description", "Restricted", "Created", "Validation"),
+      "body": json.sort(sortCreated).map(formatPrototypeTable)
+    });
+
+  });
+
+}
+
+function getPrototypeValues(x) {
+
+  /*
+   * Function getPrototypeValues
+   * Adds a prototype to the user prototype selection box
+   */
+
+  return x.network.code + " " + x.network.start;
+
+}
+
+function addPrototypeSelection(x) {
+
+  /*
+   * Function addPrototypeSelection
+   * Adds a prototype to the user prototype selection box
+   */
+
+  ["prototype-select", "edit-prototype-select"].forEach(function(id) {
+
+    var option = document.createElement("option");
+
+    option.text = x.split("-")[0];
+    option.value = x;
+
+    Element(id).add(option);
+
+  });
+
+}
+
+function sortCreated(x, y) {
+
+  /*
+   * Function sortCreated
+   * Sorts documents by the created property
+   */
+
+  return (new Date(y.created) - new Date(x.created));
+
+}
+
+function createUserTable() {
+
+  /*
+   * Function createUserTable
+   * Makes API call and creates the user table 
+   */
+
+  function formatUserTable(x) {
+
+    /*
+     * Function formatUserTable
+     * Generator for a single row of the user table
+     */
+
+    return [
+      formatMessageSender(x) + (x.disabled ? " <span class='badge badge-secondary'>Disabled</span>" : ""),
+      CONFIG.ROLE_NAMES[x.role],
+      x.role === 0 ? "" : (x.networks || [x.network]).map(y => y.code + " " + new Date(Date.parse(y.start)).getFullYear()).join(", "),
+      x.created,
+      "<button class='btn btn-warning btn-sm' onClick='resetPassword(\"" + x._id + "\", false)'><span class='fas fa-key'></span> Reset</button>" +
+      " <button class='btn btn-warning btn-sm' onClick='resetPassword(\"" + x._id + "\", true)'><span class='fas fa-envelope'></span> Reset &amp; Message</button>"
+    ];
+
+  }
+
+  // Asynchronous request to get the users API
+  HTTPRequestGET("/api/users", function(json) {
+
+    if(json === null) {
+      return Element("user-table").innerHTML = "<span class='text-muted'>No users available.</span>";
+    }
+
+    json.forEach(addUserSelection);
+
+    new Table({
+      "id": "user-table",
+      "search": true,
+      "header": new Array("Username", "Role", "Networks", "Created", "Password"),
+      "body": json.sort(sortCreated).map(formatUserTable)
+    });
+
+  });
+
+}
+
+function addUserSelection(x) {
+
+  /*
+   * Function addUserSelection
+   * Adds a user to the user edit selection box
+   */
+
+  var option = document.createElement("option");
+
+  option.text = x.username;
+  option.value = x._id;
+
+  Element("edit-user-select").add(option);
+
+}
+
+function updateUser() {
+
+  /*
+   * Function updateUser
+   * Submits the changes to the selected user
+   */
+
+  var changes = {
+    "role": Element("edit-role-select").value,
+    "prototype": Element("edit-prototype-select").value,
+    "disabled": Element("edit-status-select").value
+  }
+
+  // Only submit the fields that were changed
+  Object.keys(changes).forEach(function(key) {
+    if(changes[key] === "") {
+      delete changes[key];
+    }
+  });
+
+  if(Object.keys(changes).length === 0) {
+    return alert("No changes were selected.");
+  }
+
+  // Grant, revoke or replace the selected network
+  if(changes.prototype) {
+    changes.action = Element("edit-network-action-select").value;
+  }
+
+  HTTPRequestPATCH("/api/users/" + Element("edit-user-select").value, changes, function() { window.location.reload() });
+
+}
+
+function deleteUser() {
+
+  /*
+   * Function deleteUser
+   * Deletes the selected user
+   */
+
+  var select = Element("edit-user-select");
+
+  if(!confirm("Are you sure you want to delete user " + select.options[select.selectedIndex].text + "?")) {
+    return;
+  }
+
+  HTTPRequestDELETE("/api/users/" + select.value, function() { window.location.reload() });
+
+}
+
+function resetPassword(id, message) {
+
+  /*
+   * Function resetPassword
+   * Creates a one-time password reset link for a user
+   */
+
+  if(!confirm("Are you sure you want to reset the password of this user?")) {
+    return;
+  }
+
+  HTTPRequest("/api/users/reset?id=" + id + (message ? "&deliver=message" : ""), "POST", function(json) {
+
+    if(json === null) {
+      Element("modal-content").innerHTML = generateMessageAlert("danger", "The password reset link could not be created.");
+    } else {
+      Element("modal-content").innerHTML = generateMessageAlert("success", "Password reset link (valid until " + json.expiration + "):<br><code>" + window.location.origin + json.url + "</code>");
+    }
+
+    $("#modal-alert").modal();
+
+  });
+
+}
+
+function createTwoFactorStatus() {
+
+  /*
+   * Function createTwoFactorStatus
+   * Shows the second factor status of the user with the available actions
+   */
+
+  HTTPRequestGET("/api/totp", function(json) {
+
+    if(json === null) {
+      return;
+    }
+
+    if(!json.enabled) {
+      return Element("totp-status").innerHTML = [
+        "<p>Two-factor authentication is <b>disabled</b>." + (json.required ? " It is required for your account." : "") + "</p>",
+        "<button class='btn btn-primary' onClick='startTwoFactorEnrollment()'><span class='fas fa-mobile-alt'></span> Enable</button>"
+      ].join("");
+    }
+
+    Element("totp-status").innerHTML = [
+      "<p>Two-factor authentication is <b class='text-success'>enabled</b>. " + json.recoveryCodes + " recovery codes remaining.</p>",
+      "<div class='input-group'>",
+      "  <input id='totp-confirm' class='form-control' placeholder='Current code or recovery code' autocomplete='one-time-code'>",
+      "  <div class='input-group-append'>",
+      "    <button class='btn btn-secondary' onClick='regenerateRecoveryCodes()'><span class='fas fa-sync'></span> New Recovery Codes</button>",
+      json.required ? "" : "    <button class='btn btn-danger' onClick='disableTwoFactor()'><span class='fas fa-times'></span> Disable</button>",
+      "  </div>",
+      "</div>"
+    ].join("");
+
+  });
+
+}
+
+function startTwoFactorEnrollment() {
+
+  /*
+   * Function startTwoFactorEnrollment
+   * Requests a new secret and shows it as QR code to scan with an authenticator
+   */
+
+  HTTPRequest("/api/totp/secret", "POST", function(json) {
+
+    if(json === null) {
+      return;
+    }
+
+    Element("totp-status").innerHTML = [
+      "<p>Scan the QR code with your authenticator application or enter the secret <code>" + json.secret + "</code> manually.</p>",
+      "<div id='totp-qr' style='margin-bottom: 16px;'></div>",
+      "<div class='input-group'>",
+      "  <input id='totp-code' class='form-control' placeholder='Code from the authenticator' autocomplete='one-time-code'>",
+      "  <div class='input-group-append'>",
+      "    <button class='btn btn-primary' onClick='enableTwoFactor()'><span class='fas fa-check'></span> Confirm</button>",
+      "  </div>",
+      "</div>"
+    ].join("");
+
+    new QRCode(Element("totp-qr"), json.uri);
+
+  });
+
+}
+
+function showRecoveryCodes(json) {
+
+  /*
+   * Function showRecoveryCodes
+   * Shows the recovery codes once in a modal
+   */
+
+  if(json === null) {
+    Element("modal-content").innerHTML = generateMessageAlert("danger", "The submitted code is invalid.");
+  } else {
+    Element("modal-content").innerHTML = generateMessageAlert("success", "Store these single use recovery codes in a safe place: they will not be shown again.<br><code>" + json.recoveryCodes.join("<br>") + "</code>");
+  }
+
+  $("#modal-alert").modal();
+
+  createTwoFactorStatus();
+
+}
+
+function enableTwoFactor() {
+
+  /*
+   * Function enableTwoFactor
+   * Confirms enrollment with the first code from the authenticator
+   */
+
+  HTTPRequest("/api/totp", "POST", showRecoveryCodes, {"code": Element("totp-code").value});
+
+}
+
+function regenerateRecoveryCodes() {
+
+  /*
+   * Function regenerateRecoveryCodes
+   * Replaces the recovery codes of the user
+   */
+
+  HTTPRequest("/api/totp/recovery", "POST", showRecoveryCodes, {"code": Element("totp-confirm").value});
+
+}
+
+function disableTwoFactor() {
+
+  /*
+   * Function disableTwoFactor
+   * Removes the second factor of the user
+   */
+
+  if(!confirm("Are you sure you want to disable two-factor authentication?")) {
+    return;
+  }
+
+  HTTPRequest("/api/totp", "DELETE", function() { window.location.reload() }, {"code": Element("totp-confirm").value});
+
+}
+
+function createTokenTable() {
+
+  /*
+   * Function createTokenTable
+   * Makes API call and creates the table of API tokens of the user
+   */
+
+  function formatTokenTable(x) {
+
+    /*
+     * Function formatTokenTable
+     * Generator for a single row of the token table
+     */
+
+    return [
+      x.name,
+      "<code>" + x.prefix + "&hellip;</code>",
+      x.network ? x.network.code : "<span class='text-muted'>None</span>",
+      x.created,
+      x.used || "<span class='text-muted'>Never</span>",
+      "<button class='btn btn-danger btn-sm' onClick='revokeToken(\"" + x._id + "\")'><span class='fas fa-trash'></span> Revoke</button>"
+    ];
+
+  }
+
+  HTTPRequestGET("/api/tokens", function(json) {
+
+    if(json === null) {
+      return Element("token-table").innerHTML = "<span class='text-muted'>No API tokens have been created.</span>";
+    }
+
+    new Table({
+      "id": "token-table",
+      "search": false,
+      "header": new Array("Name", "Token", "Network", "Created", "Last Used", "Actions"),
+      "body": json.map(formatTokenTable)
+    });
+
+  });
+
+}
+
+function createToken() {
+
+  /*
+   * Function createToken
+   * Creates a new API token: the token is only shown once
+   */
+
+  var name = Element("token-name").value;
+
+  if(name === "") {
+    return;
+  }
+
+  HTTPRequest("/api/tokens", "POST", function(json) {
+
+    if(json === null) {
+      Element("modal-content").innerHTML = generateMessageAlert("danger", "The API token could not be created.");
+    } else {
+      Element("modal-content").innerHTML = generateMessageAlert("success", "Copy your API token now: it will not be shown again.<br><code>" + json.token + "</code>");
+    }
+
+    $("#modal-alert").modal();
+
+    Element("token-name").value = "";
+    createTokenTable();
+
+  }, {"name": name});
+
+}
+
+function revokeToken(id) {
+
+  /*
+   * Function revokeToken
+   * Revokes an API token of the user
+   */
+
+  if(!confirm("Are you sure you want to revoke this token?")) {
+    return;
+  }
+
+  HTTPRequestDELETE("/api/tokens?id=" + id, function() { window.location.reload() });
+
+}
+
+function getAuditQuery() {
+
+  /*
+   * Function getAuditQuery
+   * Returns the query string of the audit log filter form
+   */
+
+  var parameters = new URLSearchParams(new FormData(Element("audit-filter")));
+
+  // The end date includes the full day
+  if(parameters.get("to")) {
+    parameters.set("to", parameters.get("to") + "T23:59:59.999Z");
+  }
+
+  // Remove empty filters
+  Array.from(parameters.keys()).forEach(function(key) {
+    if(parameters.get(key) === "") {
+      parameters.delete(key);
+    }
+  });
+
+  return parameters.toString();
+
+}
+
+function createAuditTable() {
+
+  /*
+   * Function createAuditTable
+   * Makes API call and creates the filtered table of audit log entries
+   */
+
+  const MAXIMUM_ROWS = 1000;
+
+  function formatAuditTable(x) {
+
+    /*
+     * Function formatAuditTable
+     * Generator for a single row of the audit log table
+     */
+
+    return [
+      x.created,
+      x.username || "<span class='text-muted'>System</span>",
+      x.ip ? "<code>" + x.ip + "</code>" : "",
+      "<b>" + x.action + "</b>",
+      x.target ? "<code>" + x.target + "</code>" : "",
+      x.before ? "<small><code>" + x.before + "</code></small>" : "",
+      x.after ? "<small><code>" + x.after + "</code></small>" : ""
+    ];
+
+  }
+
+  HTTPRequestGET("/api/audit?limit=" + MAXIMUM_ROWS + "&" + getAuditQuery(), function(json) {
+
+    if(json === null) {
+      return Element("audit-table").innerHTML = "<span class='text-muted'>No audit log entries match the filter.</span>";
+    }
+
+    new Table({
+      "id": "audit-table",
+      "search": true,
+      "header": new Array("Date", "User", "IP Address", "Action", "Target", "Before", "After"),
+      "body": json.map(formatAuditTable)
+    });
+
+  });
+
+}
+
+function exportAuditLog(format) {
+
+  /*
+   * Function exportAuditLog
+   * Downloads the filtered audit log as JSON or CSV
+   */
+
+  window.location.href = "/api/audit?format=" + format + "&" + getAuditQuery();
+
+}
+
+function showNetworkRules(code, start) {
+
+  /*
+   * Function showNetworkRules
+   * Shows the validation rules of the node with the overrides granted to a network
+   */
+
+  function formatRule(rule, overrides) {
+
+    /*
+     * Function showNetworkRules::formatRule
+     * Generator for a single row of the validation rule table
+     */
+
+    var override = overrides[rule.id] || new Object();
+
+    var severities = ["", "error", "warning", "off"].map(function(severity) {
+      return "<option value='" + severity + "'" + ((override.severity || "") === severity ? " selected" : "") + ">" + (severity || "Node default") + "</option>";
+    }).join("");
+
+    var parameters = Object.keys(rule.parameters).map(function(parameter) {
+      var value = override.parameters && override.parameters.hasOwnProperty(parameter) ? override.parameters[parameter] : "";
+      return "<input class='form-control form-control-sm' type='number' step='any' data-rule='" + rule.id + "' data-parameter='" + parameter + "' placeholder='" + parameter + " (" + rule.parameters[parameter] + ")' value='" + value + "'>";
+    }).join("");
+
+    return [
+      "<code>" + rule.id + "</code>",
+      "<small>" + rule.description + "</small>",
+      rule.severity,
+      rule.required ? "<span class='text-muted'>Required</span>" : "<select class='form-control form-control-sm' data-rule='" + rule.id + "'>" + severities + "</select>",
+      parameters
+    ];
+
+  }
+
+  HTTPRequestGET("/api/rules?network=" + encodeURIComponent(code) + "&start=" + encodeURIComponent(start), function(json) {
+
+    if(json === null) {
+      return Element("network-rules").innerHTML = "<span class='text-danger'>Could not load the validation rules.</span>";
+    }
+
+    Element("network-rules").innerHTML = [
+      "<hr>",
+      "<h4> Validation Rules <small> Overrides for network " + code + " " + (start ? new Date(start).getFullYear() : "") + "</small></h4>",
+      "<div class='form-check'>",
+      "  <input class='form-check-input' type='checkbox' id='network-review'" + (json.review ? " checked" : "") + " onChange='setNetworkReview(\"" + code + "\", \"" + start + "\", this.checked)'>",
+      "  <label class='form-check-label' for='network-review'>Metadata must be approved by a reviewer before it is accepted</label>",
+      "</div>",
+      "<div id='network-rules-table'></div>",
+      "<button class='btn btn-primary' onClick='saveNetworkRules(\"" + code + "\", \"" + start + "\")'><span class='fas fa-save'></span> Save</button>"
+    ].join("\n");
+
+    new Table({
+      "id": "network-rules-table",
+      "search": false,
+      "header": new Array("Rule", "Description", "Node Severity", "Network Severity", "Network Parameters"),
+      "body": json.rules.map(x => formatRule(x, json.overrides))
+    });
+
+  });
+
+}
+
+function saveNetworkRules(code, start) {
+
+  /*
+   * Function saveNetworkRules
+   * Collects the overrides from the validation rule table and submits them
+   */
+
+  var rules = new Object();
+
+  function getOverride(id) {
+
+    /*
+     * Function saveNetworkRules::getOverride
+     * Returns the override of a rule
+     */
+
+    if(!rules.hasOwnProperty(id)) {
+      rules[id] = new Object();
+    }
+
+    return rules[id];
 
   }
 
-  // Collect all network prototypes from the API
-  HTTPRequestGET("/api/prototypes", function(json) {
-
-    if(json === null) {
-      return Element("prototype-table").innerHTML = "<span class='text-muted'>No prototypes available.</span>";
-    }
-
-    json.sort(sortCreated).map(getPrototypeValues).filter(unique).forEach(addPrototypeSelection);
+  Array.from(document.querySelectorAll("#network-rules-table select")).filter(x => x.value !== "").forEach(function(select) {
+    getOverride(select.dataset.rule).severity = select.value;
+  });
 
-    new Table({
-      "id": "prototype-table",
-      "search": true,
-      "header": new Array("Identifier", "Code", "Start", "End", "Description", "Restricted", "Created"),
-      "body": json.sort(sortCreated).map(formatPrototypeTable)
-    });
+  Array.from(document.querySelectorAll("#network-rules-table input")).filter(x => x.value !== "").forEach(function(input) {
+    var override = getOverride(input.dataset.rule);
+    override.parameters = override.parameters || new Object();
+    override.parameters[input.dataset.parameter] = Number(input.value);
+  });
 
+  HTTPRequest("/api/rules", "POST", function() { window.location.reload() }, {
+    "network": code,
+    "start": start,
+    "rules": JSON.stringify(rules)
   });
 
 }
 
-function getPrototypeValues(x) {
+function setNetworkReview(code, start, review) {
 
   /*
-   * Function getPrototypeValues
-   * Adds a prototype to the user prototype selection box
+   * Function setNetworkReview
+   * Enables or disables the manual review of metadata for a network
    */
 
-  return x.network.code + " " + x.network.start;
+  HTTPRequest("/api/review/network", "POST", Function.prototype, {
+    "network": code,
+    "start": start,
+    "review": review
+  });
 
 }
 
-function addPrototypeSelection(x) {
+function createFailedTable() {
 
   /*
-   * Function addPrototypeSelection
-   * Adds a prototype to the user prototype selection box
+   * Function createFailedTable
+   * Makes API call and creates the table of files that failed processing
    */
 
-  var option = document.createElement("option");
+  function formatFailedTable(x) {
+
+    /*
+     * Function formatFailedTable
+     * Generator for a single row of the failed metadata table
+     */
+
+    return [
+      "<b><a href='/home/station?network=" + escapeHTML(x.network.code) + "&station=" + escapeHTML(x.station) + "'>" + escapeHTML(x.network.code + "." + x.station) + "</a></b>",
+      "<code>" + x.sha256.slice(0, 8) + "…</code>",
+      getStatus(x.failedStatus),
+      x.attempts,
+      "<span class='text-danger'>" + escapeHTML(x.error) + "</span>",
+      x.modified,
+      "<button class='btn btn-primary btn-sm' onClick='requeueFile(\"" + x._id + "\")'><span class='fas fa-redo'></span> Requeue</button>"
+    ];
+
+  }
+
+  HTTPRequestGET("/api/failed", function(json) {
+
+    if(json === null) {
+      return Element("failed-table").innerHTML = "<span class='text-muted'>No failed metadata.</span>";
+    }
 
-  option.text = x.split("-")[0];
-  option.value = x;
+    new Table({
+      "id": "failed-table",
+      "search": true,
+      "header": new Array("Station", "Identifier", "Failed Stage", "Attempts", "Last Error", "Modified", "Actions"),
+      "body": json.map(formatFailedTable)
+    });
 
-  Element("prototype-select").add(option);
+  });
 
 }
 
-function sortCreated(x, y) {
+function requeueFile(id) {
 
   /*
-   * Function sortCreated
-   * Sorts documents by the created property
+   * Function requeueFile
+   * Returns a failed file to the processing pipeline
    */
 
-  return (new Date(y.created) - new Date(x.created));
+  HTTPRequest("/api/failed?id=" + id, "POST", function() { window.location.reload() });
 
 }
 
-function createUserTable() {
+function createLockoutTable() {
 
   /*
-   * Function createUserTable
-   * Makes API call and creates the user table 
+   * Function createLockoutTable
+   * Makes API call and creates the table of failed login attempts
    */
 
-  function formatUserTable(x) {
+  function formatLockoutTable(x) {
 
     /*
-     * Function formatUserTable
-     * Generator for a single row of the user table
+     * Function formatLockoutTable
+     * Generator for a single row of the lockout table
      */
 
+    var locked = x.lockedUntil && new Date(x.lockedUntil) > new Date();
+
     return [
-      formatMessageSender(x),
-      x.role === 0 ? "Administrator" : "Network Operator",
-      x.role === 0 ? "" : (x.network.code + " " + new Date(Date.parse(x.network.start)).getFullYear()),
-      x.created
+      x.type === "ip" ? "IP Address" : "Username",
+      "<code>" + x.value + "</code>",
+      x.failures,
+      x.lastAttempt,
+      locked ? "<span class='text-danger'><span class='fas fa-lock'></span> " + x.lockedUntil + "</span>" : "<span class='text-muted'>Not locked</span>",
+      "<button class='btn btn-danger btn-sm' onClick='removeLockout(\"" + x._id + "\")'><span class='fas fa-unlock'></span> Clear</button>"
     ];
 
   }
 
-  // Asynchronous request to get the users API
-  HTTPRequestGET("/api/users", function(json) {
+  HTTPRequestGET("/api/lockouts", function(json) {
 
     if(json === null) {
-      return Element("user-table").innerHTML = "<span class='text-muted'>No users available.</span>";
+      return Element("lockout-table").innerHTML = "<span class='text-muted'>No failed login attempts.</span>";
     }
 
     new Table({
-      "id": "user-table",
+      "id": "lockout-table",
       "search": true,
-      "header": new Array("Username", "Role", "Network Prototype", "Created"),
-      "body": json.sort(sortCreated).map(formatUserTable)
+      "header": new Array("Type", "Value", "Failures", "Last Attempt", "Locked Until", "Actions"),
+      "body": json.map(formatLockoutTable)
     });
 
   });
 
 }
 
+function removeLockout(id) {
+
+  /*
+   * Function removeLockout
+   * Clears failed login attempts and lockout
+   */
+
+  if(!confirm("Are you sure you want to clear this lockout?")) {
+    return;
+  }
+
+  HTTPRequestDELETE("/api/lockouts?id=" + id, function() { window.location.reload() });
+
+}
+
 function getStatus(status) {
 
   /* Function App.setupStagedFilePolling::createStagedMetadataTable::getStatus
    * Maps status integer to string
    */
 
+  const METADATA_STATUS_FAILED = -4;
   const METADATA_STATUS_SUPERSEDED = -3;
   const METADATA_STATUS_DELETED = -2;
   const METADATA_STATUS_REJECTED = -1;
@@ -855,6 +1544,7 @@ function getStatus(status) {
   const METADATA_STATUS_CONVERTED = 3;
   const METADATA_STATUS_APPROVED = 4;
   const METADATA_STATUS_AVAILABLE = 5;
+  const METADATA_STATUS_AWAITING_REVIEW = 6;
 
   switch(status) {
     case METADATA_STATUS_SUPERSEDED:
@@ -869,10 +1559,14 @@ function getStatus(status) {
       return "<span title='Metadata is converted to SC3ML' class='text-info'>" + getIcon("cogs") + " Converted </span>"
     case METADATA_STATUS_APPROVED:
       return "<span title='Metadata is approved by the system' class='text-success'>" + getIcon("check") + " Approved </span>"
+    case METADATA_STATUS_AWAITING_REVIEW:
+      return "<span title='Metadata awaits approval by a reviewer' class='text-warning'>" + getIcon("user-check") + " Awaiting Review </span>"
     case METADATA_STATUS_AVAILABLE:
       return "<span title='Metadata is available through FDSNWS' class='text-success'>" + getIcon("rocket") + " Available </span>"
     case METADATA_STATUS_DELETED:
       return "<span title='Metadata processing is terminated' class='text-danger'>" + getIcon("ban") + " Terminated </span>"
+    case METADATA_STATUS_FAILED:
+      return "<span title='Metadata processing failed repeatedly and awaits an administrator' class='text-danger'>" + getIcon("exclamation-triangle") + " Failed </span>"
     default:
       return "<span title='Metadata has an unknown status' class='text-muted'>" + getIcon("question") + " Unknown </span>"
   }
@@ -899,11 +1593,13 @@ App.prototype.setupStagedFilePolling = function() {
     json.sort(function(a, b) {
       return Date.parse(b.created) - Date.parse(a.created);
     });
+
+    _stagedJson = json;
   
     // Set up the body for the table
     var stagedTable = json.map(function(file) {
 
-      var title = file.status === -1 ? file.error : "";
+      var title = file.status === -1 || file.status === -4 ? escapeHTML(file.error) : "";
       var statusInformation = "<b title='" + title + "'>" + getStatus(file.status) + "</b>";
 
       return [
@@ -913,7 +1609,8 @@ App.prototype.setupStagedFilePolling = function() {
         file.created,
         file.modified || file.created,
         (1E-3 * file.size).toFixed(1) + "KB",
-        statusInformation
+        statusInformation,
+        getReportSummary(file)
       ];
     });
   
@@ -926,7 +1623,8 @@ App.prototype.setupStagedFilePolling = function() {
       "Submitted",
       "Modified",
       "Inventory Size",
-      "Status"
+      "Status",
+      "Validation"
     ];
   
     new Table({
@@ -1035,7 +1733,7 @@ App.prototype.launchHome = function() {
   this.setupStagedFilePolling();
 
   // Adds possibility to upload metadata
-  if(!CONFIG.ADMINISTRATOR) {
+  if(!CONFIG.ADMINISTRATOR && CONFIG.PERMISSIONS.includes("metadata:upload")) {
     this.AddMetadataUpload();
   }
 
@@ -1139,17 +1837,25 @@ App.prototype.launchStation = function() {
 
   Element("history-table-title").innerHTML = this.queryString.network + "." + this.queryString.station;
 
-  function formatHistoryTable(x) {
+  function formatHistoryTable(x, i, files) {
 
-    var title = x.status === -1 ? x.error : "";
+    var title = x.status === -1 || x.status === -4 ? x.error : "";
+
+    // Revisions are compared against the previously submitted revision
+    var previous = files[i + 1];
  
     return [
-        "<a target='_blank' href='/api/history?id=" + x.sha256 + "'><code data-toggle='tooltip' data-placement='right' data-html='true' title='<span class=\"fas fa-fingerprint\"></span> " + x.sha256 +"'>" + x.sha256.slice(0, 8) + "…</code></a>",
+        "<a target='_blank' href='/api/history?id=" + x.sha256 + "'><code data-toggle='tooltip' data-placement='right' data-html='true' title='<span class=\"fas fa-fingerprint\"></span> " + x.sha256 +"'>" + x.sha256.slice(0, 8) + "…</code></a>" +
+        (x.rollback ? " <small class='text-muted'>" + getIcon("undo") + " restores <code>" + x.rollback.slice(0, 8) + "…</code></small>" : ""),
       x.created,
       x.type,
       x.nChannels,
       (1E-3 * x.size).toFixed(1) + "KB",
-      "<b title='" + title + "'>" + getStatus(x.status) + "</b>"
+      "<b title='" + title + "'>" + getStatus(x.status) + "</b>",
+      "<button class='btn btn-link btn-sm' onclick='showTimeline(\"" + x.sha256 + "\")'><span class='fas fa-stream'></span> Timeline</button>" +
+      (x.status === 6 && CONFIG.PERMISSIONS.includes("metadata:review") ? "<button class='btn btn-link btn-sm' onclick='showReview(\"" + x.sha256 + "\")'><span class='fas fa-user-check'></span> Review</button>" : "") +
+      (x.status === -3 && CONFIG.PERMISSIONS.includes("metadata:upload") ? "<button class='btn btn-link btn-sm' onclick='rollbackMetadata(\"" + x.sha256 + "\")'><span class='fas fa-undo'></span> Restore</button>" : "") +
+      (previous ? "<button class='btn btn-link btn-sm' onclick='showDiff(\"" + previous.sha256 + "\", \"" + x.sha256 + "\")'><span class='fas fa-exchange-alt'></span> Changes</button>" : "")
     ];
 
   }
@@ -1163,15 +1869,19 @@ App.prototype.launchStation = function() {
     // Sort by ascending date
     json.sort((a, b) => Date.parse(b.created) - Date.parse(a.created));
 
+    _historyJson = json;
+
     new Table({
       "id": "metadata-history",
-      "header": ["Identifier", "Submitted", "Metadata Type", "Number of Channels", "Inventory Size", "Status"],
+      "header": ["Identifier", "Submitted", "Metadata Type", "Number of Channels", "Inventory Size", "Status", "Processing"],
       "body": json.map(formatHistoryTable),
       "search": false
     });
 
     var topElement = json[0];
 
+    showTimeline(topElement.sha256);
+
     // Add option to supersede the most recent metadata
     switch(topElement.status) {
       case 5:
@@ -1558,6 +2268,300 @@ function updateCrumbTitle(subject) {
 
 }
 
+function getReportSummary(file) {
+
+  /*
+   * Function getReportSummary
+   * Returns the number of errors and warnings in the validation report of a file
+   */
+
+  // The file was not validated yet
+  if(!file.report) {
+    return "<span class='text-muted'>-</span>";
+  }
+
+  if(file.report.length === 0) {
+    return "<span class='text-success'>" + getIcon("check") + " No findings</span>";
+  }
+
+  var errors = file.report.filter(x => x.severity === "error").length;
+  var warnings = file.report.length - errors;
+
+  return "<button class='btn btn-link btn-sm' onclick='showReport(\"" + file.sha256 + "\")'>" +
+    (errors ? "<span class='text-danger'>" + getIcon("times") + " " + errors + " error(s)</span> " : "") +
+    (warnings ? "<span class='text-warning'>" + getIcon("exclamation-triangle") + " " + warnings + " warning(s)</span>" : "") +
+    "</button>";
+
+}
+
+function createReportTable(id, report) {
+
+  /*
+   * Function createReportTable
+   * Creates the table of validation findings of a file
+   */
+
+  function formatFinding(x) {
+
+    /*
+     * Function createReportTable::formatFinding
+     * Generator for a single row of the validation report table
+     */
+
+    return [
+      x.severity === "error" ? "<span class='text-danger'>" + getIcon("times") + " Error</span>" : "<span class='text-warning'>" + getIcon("exclamation-triangle") + " Warning</span>",
+      "<code>" + escapeHTML(x.rule) + "</code>",
+      [x.network, x.station, x.location, x.channel].map(y => y === null ? "" : escapeHTML(y)).join(".").replace(/\.+$/, ""),
+      escapeHTML(x.message),
+      x.xpath ? "<small><code>" + escapeHTML(x.xpath) + "</code></small>" : ""
+    ];
+
+  }
+
+  new Table({
+    "id": id,
+    "header": new Array("Severity", "Rule", "Stream", "Message", "Location"),
+    "body": report.map(formatFinding),
+    "search": true
+  });
+
+}
+
+function showReport(hash) {
+
+  /*
+   * Function showReport
+   * Shows the table of validation findings for a staged file
+   */
+
+  var file = _stagedJson.find(x => x.sha256 === hash);
+
+  if(file === undefined) {
+    return;
+  }
+
+  createReportTable("table-staged-report", file.report);
+
+}
+
+function showReview(hash) {
+
+  /*
+   * Function showReview
+   * Shows the validation report and the changes of a file that awaits review
+   * with the form to approve or reject it
+   */
+
+  var index = _historyJson.findIndex(x => x.sha256 === hash);
+
+  if(index === -1) {
+    return;
+  }
+
+  var file = _historyJson[index];
+  var previous = _historyJson[index + 1];
+
+  Element("metadata-review").innerHTML = [
+    "<hr>",
+    "<h5><span class='fas fa-user-check'></span> Review of <code>" + hash.slice(0, 8) + "…</code></h5>",
+    "<div id='metadata-review-report'></div>",
+    "<textarea class='form-control' id='metadata-review-comment' rows='3' maxlength='1000' placeholder='Comment for the uploader (required when rejecting)'></textarea>",
+    "<br>",
+    "<button class='btn btn-success btn-sm' onclick='submitReview(\"" + file._id + "\", \"approve\")'>" + getIcon("check") + " Approve</button>",
+    "&nbsp;",
+    "<button class='btn btn-danger btn-sm' onclick='submitReview(\"" + file._id + "\", \"reject\")'>" + getIcon("times") + " Reject</button>",
+    "<hr>"
+  ].join("\n");
+
+  if(file.report && file.report.length) {
+    createReportTable("metadata-review-report", file.report);
+  } else {
+    Element("metadata-review-report").innerHTML = "<p class='text-muted'>The validation report has no findings.</p>";
+  }
+
+  // New stations have no previous revision to compare against
+  if(previous) {
+    showDiff(previous.sha256, hash);
+  } else {
+    Element("metadata-diff").innerHTML = "<span class='text-muted'>This is the first submitted revision of the station.</span>";
+  }
+
+}
+
+function submitReview(id, decision) {
+
+  /*
+   * Function submitReview
+   * Approves or rejects a file that awaits review
+   */
+
+  var comment = Element("metadata-review-comment").value.trim();
+
+  if(decision === "reject" && comment === "") {
+    return alert("A comment is required to reject metadata.");
+  }
+
+  HTTPRequest("/api/review?id=" + id, "POST", function() { window.location.reload() }, {
+    "decision": decision,
+    "comment": comment
+  });
+
+}
+
+function escapeHTML(string) {
+
+  /*
+   * Function escapeHTML
+   * Escapes text (e.g. error messages) before it is written as HTML
+   */
+
+  return String(string)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+
+}
+
+function showTimeline(hash) {
+
+  /*
+   * Function showTimeline
+   * Shows the processing timeline of a submitted file with stage timings and logs
+   */
+
+  function formatEntry(entry, i) {
+
+    /*
+     * Function showTimeline::formatEntry
+     * Generator for a single stage of the timeline
+     */
+
+    var duration = ((Date.parse(entry.finished) - Date.parse(entry.started)) / 1000).toFixed(1);
+
+    var result = entry.retryAfter ? "<span class='text-warning'>" + getIcon("redo") + " Retry after " + entry.retryAfter + "</span>" : getStatus(entry.status);
+
+    return [
+      "<li class='list-group-item'>",
+      "  <b>" + entry.stage + "</b> &nbsp; " + result,
+      "  <div class='small text-muted'>" + entry.started + " &rarr; " + entry.finished + " (" + duration + "s) on " + escapeHTML(entry.worker) + "</div>",
+      entry.error ? "  <div class='small text-danger'>" + escapeHTML(entry.error) + "</div>" : "",
+      entry.stderr ? "  <a class='small' data-toggle='collapse' href='#timeline-log-" + i + "'>Show log</a><pre id='timeline-log-" + i + "' class='collapse small'>" + escapeHTML(entry.stderr) + "</pre>" : "",
+      "</li>"
+    ].join("\n");
+
+  }
+
+  var file = _historyJson.find(x => x.sha256 === hash);
+
+  if(file === undefined) {
+    return;
+  }
+
+  var header = "<h5><span class='fas fa-stream'></span> Processing timeline of <code>" + hash.slice(0, 8) + "…</code></h5>";
+
+  if(!file.history || file.history.length === 0) {
+    return Element("metadata-timeline").innerHTML = header + "<span class='text-muted'>No processing steps have been recorded.</span>";
+  }
+
+  Element("metadata-timeline").innerHTML = header + "<ul class='list-group'>" + file.history.map(formatEntry).join("") + "</ul>";
+
+}
+
+function showDiff(from, to) {
+
+  /*
+   * Function showDiff
+   * Shows the changes in channel epochs and responses between two revisions of a station
+   */
+
+  function formatChanges(changes) {
+
+    /*
+     * Function showDiff::formatChanges
+     * Formats a list of changed properties
+     */
+
+    return "<ul class='small mb-1'>" + changes.map(function(x) {
+      return "<li><b>" + escapeHTML(x.property) + "</b>: <span class='text-danger'>" + escapeHTML(x.from) + "</span> &rarr; <span class='text-success'>" + escapeHTML(x.to) + "</span></li>";
+    }).join("") + "</ul>";
+
+  }
+
+  function formatEpoch(x) {
+
+    /*
+     * Function showDiff::formatEpoch
+     * Formats the identifier of a channel epoch
+     */
+
+    return "<code>" + escapeHTML(x.location + "." + x.channel) + "</code> <small class='text-muted'>starting " + escapeHTML(x.start) + "</small>";
+
+  }
+
+  function formatStage(x) {
+
+    /*
+     * Function showDiff::formatStage
+     * Formats an added, removed or modified response stage
+     */
+
+    return "<li>Stage " + x.stage + " " + x.change + (x.changes.length ? formatChanges(x.changes) : "") + "</li>";
+
+  }
+
+  var header = "<h5><span class='fas fa-exchange-alt'></span> Changes from <code>" + from.slice(0, 8) + "…</code> to <code>" + to.slice(0, 8) + "…</code></h5>";
+
+  HTTPRequestGET("/api/history/diff?from=" + from + "&to=" + to, function(json) {
+
+    if(json === null) {
+      return Element("metadata-diff").innerHTML = header + "<span class='text-muted'>The revisions could not be compared.</span>";
+    }
+
+    var items = new Array();
+
+    if(json.station.length) {
+      items.push("<li class='list-group-item'><b>Station</b>" + formatChanges(json.station) + "</li>");
+    }
+
+    json.added.forEach(function(x) {
+      items.push("<li class='list-group-item'><span class='text-success'>" + getIcon("plus") + " Added</span> " + formatEpoch(x) + "</li>");
+    });
+
+    json.removed.forEach(function(x) {
+      items.push("<li class='list-group-item'><span class='text-danger'>" + getIcon("minus") + " Removed</span> " + formatEpoch(x) + "</li>");
+    });
+
+    json.modified.forEach(function(x) {
+      items.push("<li class='list-group-item'><span class='text-warning'>" + getIcon("pen") + " Modified</span> " + formatEpoch(x) + formatChanges(x.changes) + (x.stages.length ? "<ul class='small'>" + x.stages.map(formatStage).join("") + "</ul>" : "") + "</li>");
+    });
+
+    if(items.length === 0) {
+      return Element("metadata-diff").innerHTML = header + "<span class='text-muted'>The revisions do not differ in the compared attributes.</span>";
+    }
+
+    Element("metadata-diff").innerHTML = header + "<ul class='list-group'>" + items.join("") + "</ul>";
+
+  });
+
+}
+
+function rollbackMetadata(hash) {
+
+  /*
+   * Function rollbackMetadata
+   * Restores a superseded revision as the current metadata of the station
+   */
+
+  if(!confirm("Are you sure you want to restore revision " + hash.slice(0, 8) + "? The revision will be processed again as new metadata.")) {
+    return;
+  }
+
+  HTTPRequest("/api/history/rollback?id=" + hash, "POST", function() { window.location.reload() });
+
+}
+
 function deleteMetadata(hash) {
 
   /*
@@ -1603,6 +2607,32 @@ function deleteAllMessages(type) {
 
 }
 
+function switchNetwork(network) {
+
+  /*
+   * Function switchNetwork
+   * Switches the network managed in this session
+   */
+
+  HTTPRequest("/api/network", "POST", function() { window.location.reload() }, {"network": network});
+
+}
+
+function logoutAllSessions() {
+
+  /*
+   * Function logoutAllSessions
+   * Ends all sessions of the user on every device
+   */
+
+  if(!confirm("Are you sure you want to log out of all sessions?")) {
+    return;
+  }
+
+  HTTPRequestDELETE("/api/sessions", function() { window.location = "/login?S_LOGGED_OUT" });
+
+}
+
 function deleteMessage() {
 
   /*
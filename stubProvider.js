@@ -0,0 +1,173 @@
+/*
+ * EIDA Manager - stubProvider.js
+ *
+ * Local stub OpenID Connect and LDAP identity providers
+ * for testing external authentication during development
+ *
+ * Every authorization request is approved for the identity
+ * passed as ?login=<username> (default: the first identity)
+ *
+ * Copyright: ORFEUS Data Center
+ * Author: Mathijs Koymans, 2018
+ *
+ */
+
+"use strict";
+
+const { createServer } = require("http");
+const crypto = require("crypto");
+const querystring = require("querystring");
+const url = require("url");
+
+const ldap = require("ldapjs");
+
+const OIDC_PORT = Number(process.env.OIDC_PORT) || 8091;
+const LDAP_PORT = Number(process.env.LDAP_PORT) || 1389;
+const LDAP_BASE = "ou=people,dc=eida,dc=local";
+
+// Identities known to the stub providers
+const IDENTITIES = [{
+  "sub": "stub-operator",
+  "preferred_username": "operator",
+  "password": "password",
+  "eduperson_entitlement": ["urn:eida:operator:NL"]
+}, {
+  "sub": "stub-observer",
+  "preferred_username": "observer",
+  "password": "password",
+  "eduperson_entitlement": ["urn:eida:observer"]
+}];
+
+// Issued authorization codes and access tokens
+var codes = new Map();
+var tokens = new Map();
+
+function writeJSON(response, statusCode, json) {
+
+  /*
+   * Function writeJSON
+   * Writes a JSON response
+   */
+
+  response.writeHead(statusCode, {"Content-Type": "application/json"});
+  response.end(JSON.stringify(json));
+
+}
+
+function handleOIDCRequest(request, response) {
+
+  /*
+   * Function handleOIDCRequest
+   * Handles requests to the stub OpenID Connect provider
+   */
+
+  var uri = url.parse(request.url, true);
+
+  switch(uri.pathname) {
+
+    // Approve the login immediately and return to the client with a code
+    case "/authorize":
+      var identity = IDENTITIES.find(x => x.preferred_username === uri.query.login) || IDENTITIES[0];
+      var code = crypto.randomBytes(16).toString("hex");
+      codes.set(code, identity);
+      response.writeHead(302, {
+        "Location": uri.query.redirect_uri + "?" + querystring.stringify({"code": code, "state": uri.query.state})
+      });
+      return response.end();
+
+    // Exchange the code for an access token
+    case "/token":
+      var chunks = new Array();
+      request.on("data", chunk => chunks.push(chunk));
+      request.on("end", function() {
+        var body = querystring.parse(Buffer.concat(chunks).toString());
+        if(!codes.has(body.code)) {
+          return writeJSON(response, 400, {"error": "invalid_grant"});
+        }
+        var token = crypto.randomBytes(16).toString("hex");
+        tokens.set(token, codes.get(body.code));
+        codes.delete(body.code);
+        writeJSON(response, 200, {"access_token": token, "token_type": "Bearer", "expires_in": 3600});
+      });
+      return;
+
+    // Return the claims of the identity
+    case "/userinfo":
+      var token = String(request.headers.authorization).replace("Bearer ", "");
+      if(!tokens.has(token)) {
+        return writeJSON(response, 401, {"error": "invalid_token"});
+      }
+      var claims = Object.assign({}, tokens.get(token));
+      delete claims.password;
+      return writeJSON(response, 200, claims);
+
+    default:
+      return writeJSON(response, 404, {"error": "not_found"});
+
+  }
+
+}
+
+function createLDAPServer() {
+
+  /*
+   * Function createLDAPServer
+   * Creates the stub LDAP server supporting simple binds and base searches of users
+   */
+
+  var server = ldap.createServer();
+
+  function getIdentity(dn) {
+
+    /*
+     * Function createLDAPServer::getIdentity
+     * Returns the identity for a distinguished name
+     */
+
+    return IDENTITIES.find(x => ldap.parseDN("uid=" + x.preferred_username + "," + LDAP_BASE).equals(dn));
+
+  }
+
+  server.bind(LDAP_BASE, function(request, response, next) {
+
+    var identity = getIdentity(request.dn);
+
+    if(identity === undefined || identity.password !== request.credentials) {
+      return next(new ldap.InvalidCredentialsError());
+    }
+
+    response.end();
+
+  });
+
+  server.search(LDAP_BASE, function(request, response, next) {
+
+    var identity = getIdentity(request.dn);
+
+    if(identity === undefined) {
+      return next(new ldap.NoSuchObjectError(request.dn.toString()));
+    }
+
+    response.send({
+      "dn": request.dn.toString(),
+      "attributes": {
+        "uid": identity.preferred_username,
+        "memberOf": identity.eduperson_entitlement
+      }
+    });
+
+    response.end();
+
+  });
+
+  return server;
+
+}
+
+createServer(handleOIDCRequest).listen(OIDC_PORT, function() {
+  console.log("Stub OpenID Connect provider listening on port " + OIDC_PORT);
+});
+
+createLDAPServer().listen(LDAP_PORT, function() {
+  console.log("Stub LDAP server listening on port " + LDAP_PORT);
+});